@@ -0,0 +1,307 @@
+/**
+ * Screen-reader and keyboard access to the pitch canvas
+ * PitchAccessibility adds, next to a canvas:
+ * - an ARIA live region announcing possession changes, goals, kickoffs and status changes
+ *   (possession announcements are rate limited, the latest one wins)
+ * - an offscreen, keyboard-navigable list of players with their positions in words
+ * It is fed the same state stream as the renderer. Uses getGameTimeSeconds from scoreboard.js.
+ */
+
+// Game status values (FootballCommentary.Core.Models.GameStatus)
+const STATUS_NAMES = ["Not started", "In progress", "Paused", "Ended", "Goal scored"];
+
+let accessibilityIdCounter = 0;
+
+/**
+ * Describe a normalized position in words from the point of view of a team
+ * TeamA (home) attacks towards x = 1, TeamB (away) towards x = 0; "left" is the left
+ * side when facing the opponent's goal
+ * @returns {string} e.g. "left wing, attacking third"
+ */
+function describePitchPosition(position, teamId) {
+    if (!position) return "position unknown";
+    const attacksRight = teamId !== "TeamB";
+    const progress = attacksRight ? position.x : 1 - position.x; // 0 = own goal line, 1 = opponent's
+    const fromLeft = attacksRight ? position.y : 1 - position.y;
+
+    let lane;
+    if (fromLeft < 0.2) lane = "left wing";
+    else if (fromLeft < 0.4) lane = "left of centre";
+    else if (fromLeft <= 0.6) lane = "centre";
+    else if (fromLeft <= 0.8) lane = "right of centre";
+    else lane = "right wing";
+
+    // Penalty areas: 16.5 m deep and 40.32 m wide on a 105 x 68 m pitch
+    const inPenaltyWidth = Math.abs(position.y - 0.5) <= (PITCH_MARKINGS.penaltyAreaWidth / DEFAULT_PITCH_WIDTH) / 2;
+    const penaltyDepth = PITCH_MARKINGS.penaltyAreaDepth / DEFAULT_PITCH_LENGTH;
+    let zone;
+    if (inPenaltyWidth && progress >= 1 - penaltyDepth) zone = "in the opponent's penalty area";
+    else if (inPenaltyWidth && progress <= penaltyDepth) zone = "in their own penalty area";
+    else if (progress < 1 / 3) zone = "defensive third";
+    else if (progress < 2 / 3) zone = "middle third";
+    else zone = "attacking third";
+
+    return `${lane}, ${zone}`;
+}
+
+class PitchAccessibility {
+    /**
+     * @param {HTMLCanvasElement} canvas
+     * @param {object} [options]
+     * @param {function(string|null)} [options.onSelectPlayer] - Called when a player is chosen from the list
+     * @param {number} [options.minAnnouncementInterval] - ms between routine (possession) announcements
+     * @param {number} [options.listUpdateInterval] - ms between refreshes of the player list
+     * @param {function(): number} [options.now] - Clock in ms
+     */
+    constructor(canvas, options = {}) {
+        this.canvas = canvas;
+        this.onSelectPlayer = options.onSelectPlayer || null;
+        this.minAnnouncementInterval = options.minAnnouncementInterval ?? 4000;
+        this.listUpdateInterval = options.listUpdateInterval ?? 1000;
+        this.now = options.now || (() => performance.now());
+
+        this.id = `pitch-a11y-${++accessibilityIdCounter}`;
+        this.lastState = null;
+        this.lastListUpdate = -Infinity;
+        this.lastRoutineAnnouncement = -Infinity;
+        this.pendingAnnouncement = null;
+        this.announcementTimer = null;
+        this.playerItems = new Map(); // playerId -> <li>
+        this.activePlayerId = null; // Player the keyboard cursor is on
+        this.selectedPlayerId = null;
+
+        this.onListKeyDown = event => this.handleListKeyDown(event);
+        this.createElements();
+    }
+
+    createElements() {
+        if (typeof document === 'undefined') return;
+
+        // The canvas itself is a picture; the list and announcements carry the information
+        this.canvas.setAttribute("role", "img");
+        this.canvas.setAttribute("aria-label", "Football pitch showing the live match");
+
+        this.liveRegion = document.createElement("div");
+        this.liveRegion.id = `${this.id}-live`;
+        this.liveRegion.className = "pitch-a11y-offscreen";
+        this.liveRegion.setAttribute("role", "status");
+        this.liveRegion.setAttribute("aria-live", "polite");
+        this.liveRegion.setAttribute("aria-atomic", "true");
+
+        this.playerList = document.createElement("ul");
+        this.playerList.id = `${this.id}-players`;
+        this.playerList.className = "pitch-a11y-offscreen";
+        this.playerList.setAttribute("role", "listbox");
+        this.playerList.setAttribute("aria-label", "Players on the pitch. Use the arrow keys to move and Enter to select.");
+        this.playerList.tabIndex = 0;
+        this.playerList.addEventListener("keydown", this.onListKeyDown);
+
+        this.canvas.setAttribute("aria-describedby", this.playerList.id);
+        if (typeof this.canvas.insertAdjacentElement === 'function') {
+            this.canvas.insertAdjacentElement("afterend", this.playerList);
+            this.canvas.insertAdjacentElement("afterend", this.liveRegion);
+        }
+    }
+
+    dispose() {
+        if (this.announcementTimer) {
+            clearTimeout(this.announcementTimer);
+            this.announcementTimer = null;
+        }
+        this.playerList?.removeEventListener("keydown", this.onListKeyDown);
+        this.liveRegion?.remove();
+        this.playerList?.remove();
+        ["role", "aria-label", "aria-describedby"].forEach(name => this.canvas?.removeAttribute(name));
+        this.playerItems.clear();
+        this.canvas = null;
+    }
+
+    // Feed one game state: announce what changed and keep the player list current
+    processState(state) {
+        if (!state || !this.canvas) return;
+        const previous = this.lastState;
+        // A late state from before the last one would announce changes that are already over
+        if (previous && previous.gameId === state.gameId &&
+            getGameTimeSeconds(state.gameTime) < getGameTimeSeconds(previous.gameTime)) {
+            return;
+        }
+        this.lastState = state;
+
+        if (previous) {
+            this.announceChanges(previous, state);
+        }
+
+        const now = this.now();
+        if (now - this.lastListUpdate >= this.listUpdateInterval) {
+            this.lastListUpdate = now;
+            this.updatePlayerList(state);
+        }
+    }
+
+    announceChanges(previous, state) {
+        const score = `${state.homeTeam?.name || "Home"} ${state.homeTeam?.score ?? 0}, ${state.awayTeam?.name || "Away"} ${state.awayTeam?.score ?? 0}`;
+
+        if (previous.status !== state.status) {
+            if (state.status === 4) {
+                const scoringTeam = (state.homeTeam?.score ?? 0) > (previous.homeTeam?.score ?? 0)
+                    ? state.homeTeam?.name
+                    : (state.awayTeam?.score ?? 0) > (previous.awayTeam?.score ?? 0) ? state.awayTeam?.name : null;
+                this.announce(scoringTeam ? `Goal for ${scoringTeam}! ${score}` : `Goal! ${score}`, true);
+            } else if (state.status === 1 && (previous.status === 0 || previous.status === 4)) {
+                const taker = findPlayerWithTeam(state, state.ballPossession);
+                this.announce(taker ? `Kick-off, ${taker.player.name} to restart` : "Kick-off", true);
+            } else if (state.status === 1 && previous.status === 2) {
+                this.announce("Play resumed", true);
+            } else if (state.status === 2) {
+                this.announce("Match paused", true);
+            } else if (state.status === 3) {
+                this.announce(`Full time. ${score}`, true);
+            } else {
+                this.announce(`Match status: ${STATUS_NAMES[state.status] || state.status}`, true);
+            }
+            return;
+        }
+
+        if (state.status === 1 && state.ballPossession && state.ballPossession !== previous.ballPossession) {
+            const holder = findPlayerWithTeam(state, state.ballPossession);
+            if (holder) {
+                const team = holder.teamId === "TeamB" ? state.awayTeam : state.homeTeam;
+                this.announce(`${holder.player.name}, ${team?.name || holder.teamId}, has the ball, ${describePitchPosition(holder.player.position, holder.teamId)}`);
+            }
+        }
+    }
+
+    /**
+     * Put a message in the live region
+     * Important messages go out immediately; routine ones at most every minAnnouncementInterval,
+     * replacing any routine message still waiting
+     */
+    announce(message, important = false) {
+        if (!this.liveRegion) return;
+        const now = this.now();
+
+        if (important) {
+            this.pendingAnnouncement = null;
+            this.lastRoutineAnnouncement = now; // Give an important message time to be read
+            this.liveRegion.textContent = message;
+            return;
+        }
+
+        const wait = this.lastRoutineAnnouncement + this.minAnnouncementInterval - now;
+        if (wait <= 0) {
+            this.lastRoutineAnnouncement = now;
+            this.liveRegion.textContent = message;
+            return;
+        }
+
+        this.pendingAnnouncement = message;
+        if (!this.announcementTimer) {
+            this.announcementTimer = setTimeout(() => {
+                this.announcementTimer = null;
+                if (this.pendingAnnouncement && this.liveRegion) {
+                    this.lastRoutineAnnouncement = this.now();
+                    this.liveRegion.textContent = this.pendingAnnouncement;
+                    this.pendingAnnouncement = null;
+                }
+            }, wait);
+        }
+    }
+
+    // Refresh the player list in place so keyboard focus and position are kept
+    updatePlayerList(state) {
+        if (!this.playerList) return;
+        const seen = new Set();
+
+        [{ team: state.homeTeam, teamId: "TeamA" }, { team: state.awayTeam, teamId: "TeamB" }].forEach(({ team, teamId }) => {
+            (team?.players || []).forEach((player, index) => {
+                if (!player?.playerId) return;
+                seen.add(player.playerId);
+
+                let item = this.playerItems.get(player.playerId);
+                if (!item) {
+                    item = document.createElement("li");
+                    item.id = `${this.id}-${player.playerId}`;
+                    item.setAttribute("role", "option");
+                    item.dataset.playerId = player.playerId;
+                    this.playerItems.set(player.playerId, item);
+                    this.playerList.appendChild(item);
+                }
+
+                const number = player.playerId.split("_")[1];
+                const role = index === 0 ? "goalkeeper, " : "";
+                const onBall = state.ballPossession === player.playerId ? ", has the ball" : "";
+                item.textContent = `${team.name || teamId} number ${number}, ${player.name || player.playerId}, ${role}${describePitchPosition(player.position, team.teamId || teamId)}${onBall}`;
+                item.setAttribute("aria-selected", String(player.playerId === this.selectedPlayerId));
+            });
+        });
+
+        // Players no longer in the state
+        this.playerItems.forEach((item, playerId) => {
+            if (!seen.has(playerId)) {
+                item.remove();
+                this.playerItems.delete(playerId);
+            }
+        });
+
+        if (!this.activePlayerId || !this.playerItems.has(this.activePlayerId)) {
+            this.setActivePlayer(this.playerItems.keys().next().value || null);
+        }
+    }
+
+    // Move the keyboard cursor (aria-activedescendant) to a player
+    setActivePlayer(playerId) {
+        this.activePlayerId = playerId;
+        const item = playerId ? this.playerItems.get(playerId) : null;
+        if (item) {
+            this.playerList.setAttribute("aria-activedescendant", item.id);
+        } else {
+            this.playerList?.removeAttribute("aria-activedescendant");
+        }
+    }
+
+    // Mark the player selected on the canvas (or from this list)
+    setSelectedPlayer(playerId) {
+        this.selectedPlayerId = playerId || null;
+        this.playerItems.forEach((item, id) => item.setAttribute("aria-selected", String(id === this.selectedPlayerId)));
+        if (this.selectedPlayerId && this.playerItems.has(this.selectedPlayerId)) {
+            this.setActivePlayer(this.selectedPlayerId);
+        }
+    }
+
+    handleListKeyDown(event) {
+        const ids = Array.from(this.playerItems.keys());
+        if (ids.length === 0) return;
+        const current = Math.max(ids.indexOf(this.activePlayerId), 0);
+
+        let next = null;
+        switch (event.key) {
+            case "ArrowDown":
+                next = Math.min(current + 1, ids.length - 1);
+                break;
+            case "ArrowUp":
+                next = Math.max(current - 1, 0);
+                break;
+            case "Home":
+                next = 0;
+                break;
+            case "End":
+                next = ids.length - 1;
+                break;
+            case "Enter":
+            case " ":
+                event.preventDefault();
+                if (this.onSelectPlayer) {
+                    this.onSelectPlayer(this.activePlayerId === this.selectedPlayerId ? null : this.activePlayerId);
+                }
+                return;
+            default:
+                return;
+        }
+
+        event.preventDefault();
+        this.setActivePlayer(ids[next]);
+    }
+}
+
+window.PitchAccessibility = PitchAccessibility;
+window.describePitchPosition = describePitchPosition;
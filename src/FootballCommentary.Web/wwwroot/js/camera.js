@@ -0,0 +1,105 @@
+/**
+ * Camera for the live pitch view
+ * PitchCamera zooms and pans the drawing area: world coordinates are the unzoomed
+ * drawing coordinates produced by PitchLayout, screen coordinates are what ends up
+ * on the canvas. Rendering and hit-testing both go through the same transform.
+ */
+
+class PitchCamera {
+    /**
+     * @param {object} [options]
+     * @param {number} [options.minZoom] - Smallest zoom (1 = whole pitch)
+     * @param {number} [options.maxZoom] - Largest zoom
+     * @param {number} [options.followSmoothing] - Time constant in ms for following a target
+     */
+    constructor(options = {}) {
+        this.minZoom = options.minZoom ?? 1;
+        this.maxZoom = options.maxZoom ?? 6;
+        this.followSmoothing = options.followSmoothing ?? 250;
+
+        this.viewWidth = 0;
+        this.viewHeight = 0;
+        this.zoom = 1;
+        this.centerX = 0; // World point shown in the middle of the view
+        this.centerY = 0;
+        this.followMode = "none"; // "none", "ball" or "player"
+    }
+
+    // Match the drawing area size; the view keeps showing the same part of the pitch
+    setViewport(width, height) {
+        if (width === this.viewWidth && height === this.viewHeight) return;
+        if (this.viewWidth > 0 && this.viewHeight > 0) {
+            this.centerX *= width / this.viewWidth;
+            this.centerY *= height / this.viewHeight;
+        } else {
+            this.centerX = width / 2;
+            this.centerY = height / 2;
+        }
+        this.viewWidth = width;
+        this.viewHeight = height;
+        this.clampCenter();
+    }
+
+    toScreen(x, y) {
+        return {
+            x: (x - this.centerX) * this.zoom + this.viewWidth / 2,
+            y: (y - this.centerY) * this.zoom + this.viewHeight / 2
+        };
+    }
+
+    toWorld(x, y) {
+        return {
+            x: (x - this.viewWidth / 2) / this.zoom + this.centerX,
+            y: (y - this.viewHeight / 2) / this.zoom + this.centerY
+        };
+    }
+
+    // Apply the camera on top of the context's current transform
+    apply(ctx) {
+        ctx.translate(this.viewWidth / 2, this.viewHeight / 2);
+        ctx.scale(this.zoom, this.zoom);
+        ctx.translate(-this.centerX, -this.centerY);
+    }
+
+    // Zoom by a factor, keeping the world point under (screenX, screenY) in place
+    zoomAt(screenX, screenY, factor) {
+        const anchor = this.toWorld(screenX, screenY);
+        this.zoom = Math.min(Math.max(this.zoom * factor, this.minZoom), this.maxZoom);
+        this.centerX = anchor.x - (screenX - this.viewWidth / 2) / this.zoom;
+        this.centerY = anchor.y - (screenY - this.viewHeight / 2) / this.zoom;
+        this.clampCenter();
+    }
+
+    // Move the view by a distance in screen pixels (drag)
+    panBy(dx, dy) {
+        this.centerX -= dx / this.zoom;
+        this.centerY -= dy / this.zoom;
+        this.clampCenter();
+    }
+
+    // Ease the centre towards a world point; elapsed is the time since the last call in ms
+    follow(target, elapsed) {
+        if (!target) return;
+        const amount = 1 - Math.exp(-Math.max(elapsed, 0) / this.followSmoothing);
+        this.centerX += (target.x - this.centerX) * amount;
+        this.centerY += (target.y - this.centerY) * amount;
+        this.clampCenter();
+    }
+
+    // Never show anything beyond the edges of the drawing area
+    clampCenter() {
+        const halfWidth = this.viewWidth / 2 / this.zoom;
+        const halfHeight = this.viewHeight / 2 / this.zoom;
+        this.centerX = Math.min(Math.max(this.centerX, halfWidth), this.viewWidth - halfWidth);
+        this.centerY = Math.min(Math.max(this.centerY, halfHeight), this.viewHeight - halfHeight);
+    }
+
+    reset() {
+        this.zoom = 1;
+        this.centerX = this.viewWidth / 2;
+        this.centerY = this.viewHeight / 2;
+        this.followMode = "none";
+    }
+}
+
+window.PitchCamera = PitchCamera;
@@ -0,0 +1,193 @@
+/**
+ * Dead reckoning for stalled live feeds
+ * DeadReckoning keeps the last known motion of the ball and every player. While no new
+ * state arrives it carries them forward for a bounded time: the ball with its velocity and
+ * the server's friction, players with their recent velocity, slowing down. When real states
+ * resume, blend() eases the drawn positions back onto them instead of snapping.
+ * Positions are normalized (0-1); players are indexed home team first, then away team.
+ */
+
+class DeadReckoning {
+    /**
+     * @param {object} [options]
+     * @param {number} [options.maxDuration] - Longest extrapolation in ms; after that everything holds still
+     * @param {number} [options.friction] - Ball speed kept per simulation step (as on the server)
+     * @param {number} [options.stepDuration] - ms per simulation step (ball velocity is per step)
+     * @param {number} [options.playerSlowdown] - Time constant in ms with which players slow down
+     * @param {number} [options.blendDuration] - ms to ease back onto real states
+     */
+    constructor(options = {}) {
+        this.maxDuration = options.maxDuration ?? 1000;
+        this.friction = options.friction ?? 0.95;
+        this.stepDuration = options.stepDuration ?? 100;
+        this.playerSlowdown = options.playerSlowdown ?? 500;
+        this.blendDuration = options.blendDuration ?? 300;
+        this.maxSampleGap = 1000; // States further apart than this (ms) give no usable velocity
+
+        this.playerIds = [];
+        this.lastPositions = new Float64Array(0); // x, y per player from the last observed state
+        this.velocities = new Float64Array(0); // Units per ms, x, y per player
+        this.lastTime = null;
+        this.lastStatus = null;
+        this.lastGameId = null;
+
+        this.snapshot = new Float64Array(0); // Drawn positions (players, then the ball) to blend from
+        this.snapshotIds = [];
+        this.blendStart = null;
+    }
+
+    forEachPlayer(state, callback) {
+        const home = state?.homeTeam?.players || [];
+        const away = state?.awayTeam?.players || [];
+        for (let i = 0; i < home.length + away.length; i++) {
+            callback(i < home.length ? home[i] : away[i - home.length], i);
+        }
+        return home.length + away.length;
+    }
+
+    /**
+     * Learn player velocities from a newly accepted state
+     * @param {object} state
+     * @param {number} time - When the state happened in ms (server time when known)
+     */
+    observe(state, time) {
+        const count = (state?.homeTeam?.players?.length || 0) + (state?.awayTeam?.players?.length || 0);
+        if (this.lastPositions.length !== count * 2) {
+            this.lastPositions = new Float64Array(count * 2).fill(NaN);
+            this.velocities = new Float64Array(count * 2);
+            this.playerIds.length = count;
+        }
+
+        const gap = this.lastTime === null ? Infinity : time - this.lastTime;
+        const usable = gap > 0 && gap <= this.maxSampleGap &&
+            state.status === this.lastStatus && state.gameId === this.lastGameId;
+
+        this.forEachPlayer(state, (player, i) => {
+            const position = player?.position;
+            const samePlayer = this.playerIds[i] === player?.playerId;
+            if (position && usable && samePlayer && !Number.isNaN(this.lastPositions[i * 2])) {
+                this.velocities[i * 2] = (position.x - this.lastPositions[i * 2]) / gap;
+                this.velocities[i * 2 + 1] = (position.y - this.lastPositions[i * 2 + 1]) / gap;
+            } else {
+                this.velocities[i * 2] = 0;
+                this.velocities[i * 2 + 1] = 0;
+            }
+            this.playerIds[i] = player?.playerId;
+            this.lastPositions[i * 2] = position ? position.x : NaN;
+            this.lastPositions[i * 2 + 1] = position ? position.y : NaN;
+        });
+
+        this.lastTime = time;
+        this.lastStatus = state.status;
+        this.lastGameId = state.gameId;
+    }
+
+    /**
+     * Carry a state forward by elapsed ms into out (a copyGameStateInto buffer)
+     * @returns {object} out
+     */
+    extrapolate(state, elapsed, out) {
+        const result = copyGameStateInto(out, state);
+        const t = Math.min(Math.max(elapsed, 0), this.maxDuration);
+        if (t === 0) return result;
+
+        // Players keep going in their recent direction, slowing down: v * tau * (1 - e^(-t/tau))
+        const travel = this.playerSlowdown * (1 - Math.exp(-t / this.playerSlowdown));
+        let holderDx = 0;
+        let holderDy = 0;
+        this.forEachPlayer(result, (player, i) => {
+            if (!player?.position || this.playerIds[i] !== player.playerId) return;
+            const dx = this.velocities[i * 2] * travel;
+            const dy = this.velocities[i * 2 + 1] * travel;
+            player.position.x = Math.min(Math.max(player.position.x + dx, 0), 1);
+            player.position.y = Math.min(Math.max(player.position.y + dy, 0), 1);
+            if (player.playerId === state.ballPossession) {
+                holderDx = dx;
+                holderDy = dy;
+            }
+        });
+
+        const ball = result.ball?.position;
+        if (ball) {
+            if (state.ballPossession) {
+                // A held ball stays at the holder's feet
+                ball.x += holderDx;
+                ball.y += holderDy;
+            } else {
+                // A loose ball rolls on with friction: v * (1 - f^n) / (1 - f) after n steps
+                const steps = t / this.stepDuration;
+                const distance = this.friction < 1 ? (1 - Math.pow(this.friction, steps)) / (1 - this.friction) : steps;
+                ball.x += (result.ball.velocityX || 0) * distance;
+                ball.y += (result.ball.velocityY || 0) * distance;
+            }
+            ball.x = Math.min(Math.max(ball.x, 0), 1);
+            ball.y = Math.min(Math.max(ball.y, 0), 1);
+        }
+        return result;
+    }
+
+    // Remember the positions drawn last, to blend from once real states resume
+    capture(state) {
+        const count = (state?.homeTeam?.players?.length || 0) + (state?.awayTeam?.players?.length || 0);
+        if (this.snapshot.length !== count * 2 + 2) {
+            this.snapshot = new Float64Array(count * 2 + 2);
+        }
+        this.snapshotIds.length = count;
+        this.forEachPlayer(state, (player, i) => {
+            this.snapshotIds[i] = player?.playerId;
+            this.snapshot[i * 2] = player?.position ? player.position.x : NaN;
+            this.snapshot[i * 2 + 1] = player?.position ? player.position.y : NaN;
+        });
+        const ball = state?.ball?.position;
+        this.snapshot[count * 2] = ball ? ball.x : NaN;
+        this.snapshot[count * 2 + 1] = ball ? ball.y : NaN;
+    }
+
+    startBlend(now) {
+        this.blendStart = now;
+    }
+
+    isBlending(now) {
+        return this.blendStart !== null && now - this.blendStart < this.blendDuration;
+    }
+
+    /**
+     * Ease the state's positions (in place) from the captured ones onto their own
+     * @returns {boolean} Whether the blend is still running
+     */
+    blend(state, now) {
+        if (!this.isBlending(now)) {
+            this.blendStart = null;
+            return false;
+        }
+        const progress = (now - this.blendStart) / this.blendDuration;
+        const keep = Math.pow(1 - progress, 3); // Share of the captured position, cubic ease-out
+        const mix = (position, x, y) => {
+            if (!position || Number.isNaN(x)) return;
+            position.x += (x - position.x) * keep;
+            position.y += (y - position.y) * keep;
+        };
+
+        const count = this.forEachPlayer(state, (player, i) => {
+            if (this.snapshotIds[i] === player?.playerId) {
+                mix(player.position, this.snapshot[i * 2], this.snapshot[i * 2 + 1]);
+            }
+        });
+        if (this.snapshot.length === count * 2 + 2) {
+            mix(state.ball?.position, this.snapshot[count * 2], this.snapshot[count * 2 + 1]);
+        }
+        return true;
+    }
+
+    // Forget all motion (new match, restarts)
+    reset() {
+        this.lastTime = null;
+        this.lastStatus = null;
+        this.lastGameId = null;
+        this.velocities.fill(0);
+        this.lastPositions.fill(NaN);
+        this.blendStart = null;
+    }
+}
+
+window.DeadReckoning = DeadReckoning;
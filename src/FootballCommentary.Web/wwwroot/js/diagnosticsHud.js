@@ -0,0 +1,210 @@
+/**
+ * On-canvas diagnostics HUD
+ * DiagnosticsHud counts frames and samples the renderer's update metrics a few times a
+ * second into fixed-size histories, and draws them in a corner of the canvas as rows of
+ * value plus sparkline: FPS, frame time, server updates per second, updates dropped by the
+ * change filter and by the kickoff block, interpolation progress, the current _stateId and
+ * the time since the last server update. Sampling runs while hidden, so the history is
+ * there as soon as the HUD is shown.
+ */
+
+// Rows of the HUD: key in the sample, label, how to print the value, smallest sparkline scale
+const DIAGNOSTICS_METRICS = [
+    { key: "fps", label: "FPS", format: value => value.toFixed(0), scale: 60 },
+    { key: "frameTime", label: "Frame ms (max)", format: value => value.toFixed(1), scale: 33 },
+    { key: "updatesPerSecond", label: "Updates/s", format: value => value.toFixed(1), scale: 10 },
+    { key: "droppedUnchanged", label: "Dropped unchanged", format: value => value.toFixed(0), rate: true, scale: 1 },
+    { key: "droppedDuringKickoff", label: "Dropped kickoff", format: value => value.toFixed(0), rate: true, scale: 1 },
+    { key: "interpolationProgress", label: "Interpolation", format: value => value.toFixed(2), scale: 1 },
+    { key: "stateId", label: "State id", format: value => value.toFixed(0), scale: 1 },
+    { key: "sinceLastUpdate", label: "Since update ms", format: value => value.toFixed(0), scale: 250 }
+];
+
+class DiagnosticsHud {
+    /**
+     * @param {function(number): object} source - Returns the renderer's counters at a timestamp:
+     *     { received, droppedUnchanged, droppedDuringKickoff, interpolationProgress, stateId, sinceLastUpdate }
+     * @param {object} [options]
+     * @param {boolean} [options.visible] - Start shown (default false)
+     * @param {number} [options.sampleInterval] - ms between samples
+     * @param {number} [options.historyLength] - Samples kept per metric (the sparkline width)
+     * @param {number} [options.rateWindow] - ms over which per-second rates are measured
+     */
+    constructor(source, options = {}) {
+        this.source = source;
+        this.visible = options.visible ?? false;
+        this.sampleInterval = options.sampleInterval ?? 100;
+        this.historyLength = options.historyLength ?? 100;
+        this.rateWindow = options.rateWindow ?? 1000;
+
+        // Sparkline histories, one slot per sample; rates keep their raw counters alongside
+        this.history = new Map(DIAGNOSTICS_METRICS.map(metric => [metric.key, new Float32Array(this.historyLength)]));
+        this.counterHistory = new Map(DIAGNOSTICS_METRICS.filter(metric => metric.rate)
+            .map(metric => [metric.key, new Float64Array(this.historyLength)]));
+        this.receivedHistory = new Float64Array(this.historyLength);
+        this.sampleTimes = new Float64Array(this.historyLength);
+        this.head = 0; // Next slot to write
+        this.count = 0; // Slots written so far (up to historyLength)
+        this.latest = {}; // The most recent sample, for the text values and totals
+
+        // Frames since the last sample
+        this.lastFrameTime = null;
+        this.framesSinceSample = 0;
+        this.frameTimeSinceSample = 0;
+        this.maxFrameTimeSinceSample = 0;
+        this.lastSampleTime = null;
+    }
+
+    show() {
+        this.visible = true;
+    }
+
+    hide() {
+        this.visible = false;
+    }
+
+    toggle() {
+        this.visible = !this.visible;
+        return this.visible;
+    }
+
+    // Count a rendered frame and take a sample when one is due
+    recordFrame(timestamp) {
+        if (this.lastFrameTime !== null) {
+            const frameTime = timestamp - this.lastFrameTime;
+            this.framesSinceSample++;
+            this.frameTimeSinceSample += frameTime;
+            this.maxFrameTimeSinceSample = Math.max(this.maxFrameTimeSinceSample, frameTime);
+        }
+        this.lastFrameTime = timestamp;
+
+        if (this.lastSampleTime === null) {
+            this.lastSampleTime = timestamp;
+        } else if (timestamp - this.lastSampleTime >= this.sampleInterval) {
+            this.takeSample(timestamp);
+        }
+    }
+
+    takeSample(timestamp) {
+        const counters = this.source(timestamp) || {};
+        const elapsed = timestamp - this.lastSampleTime;
+        const slot = this.head;
+
+        this.sampleTimes[slot] = timestamp;
+        this.receivedHistory[slot] = counters.received ?? 0;
+        const values = {
+            fps: elapsed > 0 ? this.framesSinceSample * 1000 / elapsed : 0,
+            frameTime: this.maxFrameTimeSinceSample,
+            averageFrameTime: this.framesSinceSample > 0 ? this.frameTimeSinceSample / this.framesSinceSample : 0,
+            updatesPerSecond: this.getRate(this.receivedHistory, slot, timestamp),
+            interpolationProgress: counters.interpolationProgress ?? 0,
+            stateId: counters.stateId ?? 0,
+            sinceLastUpdate: Math.max(counters.sinceLastUpdate ?? 0, 0)
+        };
+        this.counterHistory.forEach((counts, key) => {
+            counts[slot] = counters[key] ?? 0;
+            values[key] = counts[slot]; // Totals are shown as text, the sparkline shows the rate
+            values[`${key}PerSecond`] = this.getRate(counts, slot, timestamp);
+        });
+
+        DIAGNOSTICS_METRICS.forEach(metric => {
+            this.history.get(metric.key)[slot] = metric.rate ? values[`${metric.key}PerSecond`] : values[metric.key];
+        });
+        this.latest = values;
+
+        this.head = (slot + 1) % this.historyLength;
+        this.count = Math.min(this.count + 1, this.historyLength);
+        this.lastSampleTime = timestamp;
+        this.framesSinceSample = 0;
+        this.frameTimeSinceSample = 0;
+        this.maxFrameTimeSinceSample = 0;
+    }
+
+    // Per-second increase of a counter history over the rate window, ending at slot
+    getRate(counts, slot, timestamp) {
+        let oldest = slot;
+        for (let back = 1; back < this.count; back++) {
+            const index = (slot - back + this.historyLength) % this.historyLength;
+            if (timestamp - this.sampleTimes[index] > this.rateWindow) break;
+            oldest = index;
+        }
+        const span = timestamp - this.sampleTimes[oldest];
+        return span > 0 ? (counts[slot] - counts[oldest]) * 1000 / span : 0;
+    }
+
+    /**
+     * The latest sample and the recent history of every metric, oldest first
+     * @returns {object} { latest, history: { [metric]: number[] } }
+     */
+    getSnapshot() {
+        const history = {};
+        this.history.forEach((values, key) => {
+            history[key] = [];
+            for (let i = 0; i < this.count; i++) {
+                history[key].push(values[(this.head - this.count + i + this.historyLength) % this.historyLength]);
+            }
+        });
+        return { latest: { ...this.latest }, history };
+    }
+
+    // Draw the panel in the top-left corner, in screen space (CSS pixels)
+    draw(ctx) {
+        if (!this.visible) return;
+        const rowHeight = 16;
+        const labelWidth = 112;
+        const valueWidth = 48;
+        const sparkWidth = this.historyLength;
+        const padding = 6;
+        const width = labelWidth + valueWidth + sparkWidth + padding * 3;
+        const height = DIAGNOSTICS_METRICS.length * rowHeight + padding * 2;
+        const left = 8;
+        const top = 8;
+
+        ctx.save();
+        ctx.fillStyle = "rgba(0, 0, 0, 0.65)";
+        ctx.fillRect(left, top, width, height);
+        ctx.font = "11px monospace";
+        ctx.textBaseline = "middle";
+
+        DIAGNOSTICS_METRICS.forEach((metric, row) => {
+            const y = top + padding + row * rowHeight + rowHeight / 2;
+            const value = this.latest[metric.key];
+
+            ctx.fillStyle = "#CCCCCC";
+            ctx.textAlign = "left";
+            ctx.fillText(metric.label, left + padding, y);
+            ctx.fillStyle = "white";
+            ctx.textAlign = "right";
+            ctx.fillText(value === undefined ? "-" : metric.format(value), left + padding + labelWidth + valueWidth, y);
+
+            this.drawSparkline(ctx, this.history.get(metric.key), metric.scale,
+                left + padding * 2 + labelWidth + valueWidth, y - rowHeight / 2 + 2, sparkWidth, rowHeight - 4);
+        });
+        ctx.restore();
+    }
+
+    // Line through the history, scaled to its largest value (at least minScale)
+    drawSparkline(ctx, values, minScale, x, y, width, height) {
+        if (this.count < 2) return;
+        let max = minScale;
+        for (let i = 0; i < this.count; i++) {
+            max = Math.max(max, values[i]);
+        }
+        const step = width / (this.historyLength - 1);
+        const first = this.head - this.count + this.historyLength;
+
+        ctx.strokeStyle = "#4CAF50";
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        for (let i = 0; i < this.count; i++) {
+            const value = values[(first + i) % this.historyLength];
+            const px = x + (this.historyLength - this.count + i) * step;
+            const py = y + height - (Math.max(value, 0) / max) * height;
+            if (i === 0) ctx.moveTo(px, py);
+            else ctx.lineTo(px, py);
+        }
+        ctx.stroke();
+    }
+}
+
+window.DiagnosticsHud = DiagnosticsHud;
@@ -0,0 +1,264 @@
+/**
+ * Pitch event markers
+ * PitchEventMarkers keeps the GameEvents that happen somewhere on the pitch (shots, saves,
+ * tackles, fouls, out of play, possession lost) and draws a marker where each happened,
+ * fading out over its lifetime. Shots also get a line towards the goal they were aimed at.
+ * A legend in the corner lists the kinds with their counts; clicking a row, or
+ * setFilter(), chooses which kinds are drawn.
+ * Uses getGameEventTypeName from matchOverlays.js and RENDER_SIZES from football.js.
+ */
+
+// Marker per event type: shape, fill colour and legend label
+const EVENT_MARKER_TYPES = {
+    Shot: { shape: "circle", colour: "#FF9800", label: "Shot" },
+    Save: { shape: "square", colour: "#03A9F4", label: "Save" },
+    Tackle: { shape: "triangle", colour: "#FFEB3B", label: "Tackle" },
+    Foul: { shape: "cross", colour: "#F44336", label: "Foul" },
+    OutOfBounds: { shape: "diamond", colour: "#FFFFFF", label: "Out of play" },
+    PossessionLost: { shape: "ring", colour: "#CE93D8", label: "Possession lost" }
+};
+
+class PitchEventMarkers {
+    /**
+     * @param {object} [options]
+     * @param {number} [options.lifetime] - ms a marker stays on the pitch, fading out as it ages
+     * @param {number} [options.maxMarkers] - Markers kept (the oldest are dropped)
+     * @param {boolean} [options.visible] - Draw markers and legend (default true)
+     * @param {boolean} [options.legend] - Draw the legend (default true)
+     * @param {string[]} [options.filter] - Event types to draw (default all)
+     */
+    constructor(options = {}) {
+        this.lifetime = options.lifetime ?? 20000;
+        this.maxMarkers = options.maxMarkers ?? 200;
+        this.visible = options.visible ?? true;
+        this.legend = options.legend ?? true;
+        this.markers = []; // { type, x, y, teamId, playerId, time }, oldest first
+        this.shownTypes = new Set(Object.keys(EVENT_MARKER_TYPES));
+        this.legendRows = []; // Screen rectangles of the legend rows from the last draw, for clicks
+        if (options.filter) {
+            this.setFilter(options.filter);
+        }
+    }
+
+    /**
+     * Add the marker for a GameEvent
+     * @param {object} gameEvent - { eventType (number or name), teamId, playerId, position: { x, y } }
+     * @param {number} now - Current time in ms
+     * @returns {boolean} Whether the event got a marker (false for other types or without a position)
+     */
+    add(gameEvent, now) {
+        const type = getGameEventTypeName(gameEvent?.eventType);
+        const position = gameEvent?.position;
+        if (!EVENT_MARKER_TYPES[type] || !position || !Number.isFinite(position.x) || !Number.isFinite(position.y)) {
+            return false;
+        }
+        this.markers.push({
+            type,
+            x: Math.min(Math.max(position.x, 0), 1),
+            y: Math.min(Math.max(position.y, 0), 1),
+            teamId: gameEvent.teamId || null,
+            playerId: gameEvent.playerId ?? null,
+            time: now
+        });
+        if (this.markers.length > this.maxMarkers) {
+            this.markers.splice(0, this.markers.length - this.maxMarkers);
+        }
+        return true;
+    }
+
+    // Forget markers older than their lifetime
+    prune(now) {
+        const firstLive = this.markers.findIndex(marker => now - marker.time < this.lifetime);
+        if (firstLive === -1) {
+            this.markers.length = 0;
+        } else if (firstLive > 0) {
+            this.markers.splice(0, firstLive);
+        }
+    }
+
+    clear() {
+        this.markers.length = 0;
+    }
+
+    show() {
+        this.visible = true;
+    }
+
+    hide() {
+        this.visible = false;
+    }
+
+    /**
+     * Draw only these event types
+     * @param {string[]|null} types - Names from EVENT_MARKER_TYPES (null = all)
+     */
+    setFilter(types) {
+        const known = Object.keys(EVENT_MARKER_TYPES);
+        if (!types) {
+            this.shownTypes = new Set(known);
+            return;
+        }
+        const unknown = types.filter(type => !EVENT_MARKER_TYPES[type]);
+        if (unknown.length > 0) {
+            clientLog.warn("render", `Unknown event marker types ${unknown.join(", ")} - expected some of ${known.join(", ")}`);
+        }
+        this.shownTypes = new Set(types.filter(type => EVENT_MARKER_TYPES[type]));
+    }
+
+    // Show or hide one type; returns whether it is now shown
+    toggleType(type) {
+        if (!EVENT_MARKER_TYPES[type]) return false;
+        if (this.shownTypes.has(type)) {
+            this.shownTypes.delete(type);
+            return false;
+        }
+        this.shownTypes.add(type);
+        return true;
+    }
+
+    /**
+     * What is kept and drawn
+     * @returns {object} { visible, filter: string[], counts: { [type]: markers on the pitch } }
+     */
+    getStatus(now) {
+        this.prune(now);
+        const counts = {};
+        Object.keys(EVENT_MARKER_TYPES).forEach(type => {
+            counts[type] = 0;
+        });
+        this.markers.forEach(marker => counts[marker.type]++);
+        return { visible: this.visible, filter: Array.from(this.shownTypes), counts };
+    }
+
+    // Draw the markers on the pitch (call inside the camera transform)
+    draw(ctx, layout, kits, now) {
+        this.prune(now);
+        if (!this.visible || this.markers.length === 0) return;
+        const size = layout.metres(RENDER_SIZES.playerRadius) * 0.8;
+
+        ctx.save();
+        this.markers.forEach(marker => {
+            if (!this.shownTypes.has(marker.type)) return;
+            const style = EVENT_MARKER_TYPES[marker.type];
+            const x = layout.toCanvasX(marker.x);
+            const y = layout.toCanvasY(marker.y);
+            ctx.globalAlpha = Math.max(0, 1 - (now - marker.time) / this.lifetime);
+
+            // Shots point at the goal the team attacks (TeamA towards x = 1)
+            if (marker.type === "Shot" && marker.teamId) {
+                ctx.strokeStyle = style.colour;
+                ctx.lineWidth = layout.metres(RENDER_SIZES.ballOutlineWidth) * 2;
+                ctx.setLineDash([layout.metres(1), layout.metres(0.6)]);
+                ctx.beginPath();
+                ctx.moveTo(x, y);
+                ctx.lineTo(layout.toCanvasX(marker.teamId === "TeamA" ? 1 : 0), layout.toCanvasY(0.5));
+                ctx.stroke();
+                ctx.setLineDash([]);
+            }
+
+            // Outline in the team's kit so it is clear whose moment it was
+            const kit = marker.teamId === "TeamA" ? kits.home : marker.teamId === "TeamB" ? kits.away : null;
+            drawEventMarkerShape(ctx, style.shape, x, y, size, style.colour, kit ? kit.primary : "black",
+                layout.metres(RENDER_SIZES.kitTrimWidth));
+        });
+        ctx.restore();
+    }
+
+    // Draw the legend in the bottom-left corner, in screen space
+    drawLegend(ctx, layout, now) {
+        this.legendRows = [];
+        const types = Object.keys(EVENT_MARKER_TYPES);
+        this.prune(now);
+        // Nothing to explain until there are markers, unless a filter is set
+        if (!this.visible || !this.legend || (this.markers.length === 0 && this.shownTypes.size === types.length)) return;
+        const counts = this.getStatus(now).counts;
+        const rowHeight = 16;
+        const padding = 6;
+        const width = 150;
+        const height = types.length * rowHeight + padding * 2;
+        const left = 8;
+        const top = layout.canvasHeight - height - 8;
+
+        ctx.save();
+        ctx.fillStyle = "rgba(0, 0, 0, 0.6)";
+        ctx.fillRect(left, top, width, height);
+        ctx.font = "11px Arial";
+        ctx.textBaseline = "middle";
+
+        types.forEach((type, row) => {
+            const style = EVENT_MARKER_TYPES[type];
+            const y = top + padding + row * rowHeight + rowHeight / 2;
+            const shown = this.shownTypes.has(type);
+            ctx.globalAlpha = shown ? 1 : 0.35; // Filtered-out types are greyed out
+
+            drawEventMarkerShape(ctx, style.shape, left + padding + 5, y, 5, style.colour, "black", 1);
+            ctx.fillStyle = "white";
+            ctx.textAlign = "left";
+            ctx.fillText(style.label, left + padding + 16, y);
+            ctx.textAlign = "right";
+            ctx.fillText(String(counts[type]), left + width - padding, y);
+
+            this.legendRows.push({ type, left, top: y - rowHeight / 2, right: left + width, bottom: y + rowHeight / 2 });
+        });
+        ctx.restore();
+    }
+
+    // Event type of the legend row at a point (screen coordinates), or null
+    hitTestLegend(screenX, screenY) {
+        const row = this.legendRows.find(r => screenX >= r.left && screenX <= r.right && screenY >= r.top && screenY < r.bottom);
+        return row ? row.type : null;
+    }
+}
+
+// One marker shape centred on x, y
+function drawEventMarkerShape(ctx, shape, x, y, size, fill, outline, outlineWidth) {
+    ctx.fillStyle = fill;
+    ctx.strokeStyle = outline;
+    ctx.lineWidth = outlineWidth;
+    ctx.beginPath();
+    switch (shape) {
+        case "square":
+            ctx.rect(x - size * 0.8, y - size * 0.8, size * 1.6, size * 1.6);
+            break;
+        case "triangle":
+            ctx.moveTo(x, y - size);
+            ctx.lineTo(x + size, y + size * 0.8);
+            ctx.lineTo(x - size, y + size * 0.8);
+            ctx.closePath();
+            break;
+        case "diamond":
+            ctx.moveTo(x, y - size);
+            ctx.lineTo(x + size, y);
+            ctx.lineTo(x, y + size);
+            ctx.lineTo(x - size, y);
+            ctx.closePath();
+            break;
+        case "cross": {
+            // Thick X in the fill colour over a wider one in the outline colour
+            const arm = size * 0.8;
+            ctx.moveTo(x - arm, y - arm);
+            ctx.lineTo(x + arm, y + arm);
+            ctx.moveTo(x + arm, y - arm);
+            ctx.lineTo(x - arm, y + arm);
+            ctx.lineWidth = size * 0.5 + outlineWidth * 2;
+            ctx.stroke();
+            ctx.strokeStyle = fill;
+            ctx.lineWidth = size * 0.5;
+            ctx.stroke();
+            return;
+        }
+        case "ring":
+            ctx.arc(x, y, size, 0, Math.PI * 2);
+            ctx.lineWidth = outlineWidth + size * 0.3;
+            ctx.strokeStyle = fill;
+            ctx.stroke();
+            return;
+        default:
+            ctx.arc(x, y, size, 0, Math.PI * 2);
+    }
+    ctx.fill();
+    ctx.stroke();
+}
+
+window.PitchEventMarkers = PitchEventMarkers;
+window.EVENT_MARKER_TYPES = EVENT_MARKER_TYPES;
@@ -1,31 +1,38 @@
-// Global state variables for game data and animation
-let latestGameState = null;
-let previousGameState = null;
-let interpolatedState = null; // Added for smooth interpolation
-let interpolationProgress = 0; // Progress between states (0 to 1)
-let lastUpdateTime = 0; // Timestamp of last state update
-let stateDuration = 50; // Reduced further from 70ms
-let lastServerUpdateTime = 0; // Track when we last received a server update
-let serverUpdateThreshold = 2000; // If no update in 2 seconds, reset interpolation
-let lastStateSignature = ""; // To detect actual changes in state
-let stateHashCounter = 0; // To track unique states
-let isPassing = false;
-let passData = {}; // { startX, startY, endX, endY, startTime, duration }
-let canvas = null;
-let ctx = null;
-let animationFrameId = null; // To potentially cancel the loop if needed
-let isInitialized = false; // Flag to track if canvas/animation loop is set up
-let animationFrameCounter = 0; // Counter for animation frames
-let goalCelebrationStart = null; // Time when goal celebration started
-let goalCelebrationTeam = null; // Which team scored (for text display)
-let skipLogFrames = 120; // Only log every 120 frames to reduce console spam
-let lastBallPosition = null; // Track last ball position for anti-swarming logic
-let matchRestarting = false; // Flag to indicate match is restarting (kickoff)
-let kickoffAnimationStart = null; // Time when kickoff animation started
-let kickoffAnimationDuration = 5000; // Duration of kickoff animation in ms (increased to 5 seconds for more realistic movement)
-let blockStateUpdates = false; // Flag to block state updates during crucial animations
-let ignoreServerUpdatesUntil = 0; // Timestamp until which server updates should be ignored
-let playerMovementSpeeds = {}; // Store movement speeds for each player to make movement natural
+/**
+ * Live match renderer for the Football Commentary System
+ * A GameRenderer owns one canvas and its interpolation, kickoff, celebration and replay state.
+ * window.updateGameState keeps driving a default renderer bound to #gameCanvas for Blazor,
+ * and routes states for games attached with attachMatchCanvas to their own canvases.
+ */
+
+// On-canvas sizes in metres so they scale with the pitch
+// (at the default 600x400 canvas these match the original pixel sizes)
+const RENDER_SIZES = {
+    playerRadius: 1.85,
+    possessionPlayerRadius: 2.2,
+    possessionRingGap: 0.55,
+    possessionRingWidth: 0.37,
+    numberFont: 1.85,
+    ballRadius: 1.5,
+    looseBallRadius: 1.85,
+    ballOutlineWidth: 0.185,
+    goalFont: 8.9,
+    goalSubFont: 4.45,
+    goalTextOutlineWidth: 0.55,
+    goalTextOffset: 5.5,
+    goalSubTextOffset: 3.7,
+    kitTrimWidth: 0.3
+};
+
+// Player disc in kit colours: primary fill with a secondary-colour trim
+function drawPlayerKit(ctx, x, y, radius, kit, trimWidth) {
+    drawCircle(ctx, x, y, radius, kit.primary);
+    ctx.beginPath();
+    ctx.arc(x, y, Math.max(radius - trimWidth / 2, 0), 0, Math.PI * 2);
+    ctx.strokeStyle = kit.secondary;
+    ctx.lineWidth = trimWidth;
+    ctx.stroke();
+}
 
 // Helper function to draw a circle
 function drawCircle(ctx, x, y, radius, color) {
@@ -36,58 +43,61 @@ function drawCircle(ctx, x, y, radius, color) {
     ctx.closePath();
 }
 
-// Helper function to draw the football field
-function drawField(ctx, width, height) {
-    // Draw grass background
-    ctx.fillStyle = "#4CAF50";
-    ctx.fillRect(0, 0, width, height);
-    
-    // Draw field markings
-    ctx.strokeStyle = "white";
-    ctx.lineWidth = 2;
-    
-    // Draw outer boundary
-    ctx.strokeRect(0, 0, width, height);
-    
-    // Draw center line
-    ctx.beginPath();
-    ctx.moveTo(width / 2, 0);
-    ctx.lineTo(width / 2, height);
-    ctx.stroke();
-    
-    // Draw center circle
-    ctx.beginPath();
-    ctx.arc(width / 2, height / 2, 50, 0, Math.PI * 2);
-    ctx.stroke();
-    
-    // Draw goal areas
-    const goalWidth = 20;
-    const goalHeight = 100;
-    
-    // Team A goal (left)
-    ctx.strokeStyle = "white";
-    ctx.beginPath();
-    ctx.moveTo(0, height / 2 - goalHeight / 2);
-    ctx.lineTo(goalWidth, height / 2 - goalHeight / 2);
-    ctx.lineTo(goalWidth, height / 2 + goalHeight / 2);
-    ctx.lineTo(0, height / 2 + goalHeight / 2);
-    ctx.stroke();
-    
-    // Team B goal (right)
-    ctx.beginPath();
-    ctx.moveTo(width, height / 2 - goalHeight / 2);
-    ctx.lineTo(width - goalWidth, height / 2 - goalHeight / 2);
-    ctx.lineTo(width - goalWidth, height / 2 + goalHeight / 2);
-    ctx.lineTo(width, height / 2 + goalHeight / 2);
-    ctx.stroke();
+// Players near the ball, reused by every preventPlayerSwarm call
+const swarmHomeNearBall = [];
+const swarmAwayNearBall = [];
+
+function byDistanceToBall(a, b) {
+    return a._distanceToBall - b._distanceToBall;
+}
+
+// Enforce minimum distance between players on the same team
+function enforceMinimumDistance(players, minDistance = 0.07) {
+    for (let i = 0; i < players.length; i++) {
+        for (let j = i + 1; j < players.length; j++) {
+            const p1 = players[i];
+            const p2 = players[j];
+            
+            const dx = p2.position.x - p1.position.x;
+            const dy = p2.position.y - p1.position.y;
+            const distSquared = dx*dx + dy*dy;
+            
+            if (distSquared < minDistance * minDistance) {
+                // Too close, move them apart - use gentler force
+                const dist = Math.sqrt(distSquared);
+                const moveX = dx / dist * (minDistance - dist) * 0.25; // Reduced from 0.3
+                const moveY = dy / dist * (minDistance - dist) * 0.25; // Reduced from 0.3
+                
+                // Move both players in opposite directions
+                p1.position.x -= moveX;
+                p1.position.y -= moveY;
+                p2.position.x += moveX;
+                p2.position.y += moveY;
+                
+                // Clamp to field boundaries
+                p1.position.x = Math.max(0.05, Math.min(0.95, p1.position.x));
+                p1.position.y = Math.max(0.05, Math.min(0.95, p1.position.y));
+                p2.position.x = Math.max(0.05, Math.min(0.95, p2.position.x));
+                p2.position.y = Math.max(0.05, Math.min(0.95, p2.position.y));
+            }
+        }
+    }
 }
 
-// Function to enforce player spacing to prevent swarming around the ball
-function preventPlayerSwarm(state) {
+/**
+ * Keep players spaced out so they do not swarm around the ball
+ * Teammates are pushed apart to a minimum distance, and in open play only a few players per
+ * team may crowd the ball. The state is adjusted in place; copy it first to keep the original.
+ * @param {object} state - The per-frame state buffer
+ * @param {boolean} [matchRestarting] - A kickoff is playing: only the minimum distance applies
+ * @param {PositionLayerTracker|null} [layers] - Debug tracker; told which moves come from the
+ *     minimum distance rule ("minimumDistance") and which from crowding ("swarm")
+ * @returns {object} The same state
+ */
+function preventPlayerSwarm(state, matchRestarting = false, layers = null) {
     if (!state || !state.ball || !state.ball.position) return state;
     
-    // Clone state to avoid modifying the original
-    const result = JSON.parse(JSON.stringify(state));
+    const result = state;
     const ballPos = result.ball.position;
     
     // Determine which team has ball possession
@@ -106,12 +116,14 @@ function preventPlayerSwarm(state) {
     const mediumRangeThreshold = 0.25; // Medium range for tracking players
     
     // Track players who are close to the ball
-    const homeTeamNearBall = [];
-    const awayTeamNearBall = [];
+    const homeTeamNearBall = swarmHomeNearBall;
+    const awayTeamNearBall = swarmAwayNearBall;
+    homeTeamNearBall.length = 0;
+    awayTeamNearBall.length = 0;
     
     // Calculate distances for all players to the ball
     if (result.homeTeam && result.homeTeam.players) {
-        result.homeTeam.players.forEach(player => {
+        for (const player of result.homeTeam.players) {
             if (player.position) {
                 const dx = player.position.x - ballPos.x;
                 const dy = player.position.y - ballPos.y;
@@ -138,11 +150,11 @@ function preventPlayerSwarm(state) {
                     homeTeamNearBall.push(player);
                 }
             }
-        });
+        }
     }
     
     if (result.awayTeam && result.awayTeam.players) {
-        result.awayTeam.players.forEach(player => {
+        for (const player of result.awayTeam.players) {
             if (player.position) {
                 const dx = player.position.x - ballPos.x;
                 const dy = player.position.y - ballPos.y;
@@ -169,51 +181,19 @@ function preventPlayerSwarm(state) {
                     awayTeamNearBall.push(player);
                 }
             }
-        });
+        }
     }
     
     // Sort players by distance to ball
-    homeTeamNearBall.sort((a, b) => a._distanceToBall - b._distanceToBall);
-    awayTeamNearBall.sort((a, b) => a._distanceToBall - b._distanceToBall);
+    homeTeamNearBall.sort(byDistanceToBall);
+    awayTeamNearBall.sort(byDistanceToBall);
     
     // Determine max players for each team based on possession
     const maxHomeTeamNearBall = isHomeTeamPossession ? maxAttackingPlayersNearBall : maxDefendingPlayersNearBall;
     const maxAwayTeamNearBall = isAwayTeamPossession ? maxAttackingPlayersNearBall : maxDefendingPlayersNearBall;
     
-    // Enforce minimum distance between players on the same team
-    function enforceMinimumDistance(players, minDistance = 0.07) {
-        for (let i = 0; i < players.length; i++) {
-            for (let j = i + 1; j < players.length; j++) {
-                const p1 = players[i];
-                const p2 = players[j];
-                
-                const dx = p2.position.x - p1.position.x;
-                const dy = p2.position.y - p1.position.y;
-                const distSquared = dx*dx + dy*dy;
-                
-                if (distSquared < minDistance * minDistance) {
-                    // Too close, move them apart - use gentler force
-                    const dist = Math.sqrt(distSquared);
-                    const moveX = dx / dist * (minDistance - dist) * 0.25; // Reduced from 0.3
-                    const moveY = dy / dist * (minDistance - dist) * 0.25; // Reduced from 0.3
-                    
-                    // Move both players in opposite directions
-                    p1.position.x -= moveX;
-                    p1.position.y -= moveY;
-                    p2.position.x += moveX;
-                    p2.position.y += moveY;
-                    
-                    // Clamp to field boundaries
-                    p1.position.x = Math.max(0.05, Math.min(0.95, p1.position.x));
-                    p1.position.y = Math.max(0.05, Math.min(0.95, p1.position.y));
-                    p2.position.x = Math.max(0.05, Math.min(0.95, p2.position.x));
-                    p2.position.y = Math.max(0.05, Math.min(0.95, p2.position.y));
-                }
-            }
-        }
-    }
-    
     // First, ensure minimum distances between all players
+    layers?.measure("swarm", result);
     if (result.homeTeam && result.homeTeam.players) {
         enforceMinimumDistance(result.homeTeam.players);
     }
@@ -221,6 +201,7 @@ function preventPlayerSwarm(state) {
     if (result.awayTeam && result.awayTeam.players) {
         enforceMinimumDistance(result.awayTeam.players);
     }
+    layers?.measure("minimumDistance", result);
     
     // Only apply crowding prevention in normal play (not during kickoffs or goal celebrations)
     // Check for status InProgress (1) and not recently after a goal or restart
@@ -230,9 +211,7 @@ function preventPlayerSwarm(state) {
         if (ballPossessorId) {
             // Find possessing player team
             const isHomePossession = ballPossessorId.startsWith('TeamA');
-            const playerWithBall = isHomePossession 
-                ? result.homeTeam?.players?.find(p => p.playerId === ballPossessorId)
-                : result.awayTeam?.players?.find(p => p.playerId === ballPossessorId);
+            const playerWithBall = findPlayerById(isHomePossession ? result.homeTeam?.players : result.awayTeam?.players, ballPossessorId);
                 
             if (playerWithBall) {
                 // Create a protective bubble around ball possessor
@@ -242,7 +221,7 @@ function preventPlayerSwarm(state) {
                 let closeDefenderCount = 0;
                 
                 // Process each opposing player
-                opposingPlayers.forEach(defender => {
+                for (const defender of opposingPlayers) {
                     const dx = defender.position.x - playerWithBall.position.x;
                     const dy = defender.position.y - playerWithBall.position.y;
                     const distance = Math.sqrt(dx * dx + dy * dy);
@@ -262,7 +241,7 @@ function preventPlayerSwarm(state) {
                     if (distance < veryCloseThreshold * 1.5) {
                         closeDefenderCount++;
                     }
-                });
+                }
             }
         }
 
@@ -374,7 +353,7 @@ function preventPlayerSwarm(state) {
                     // Reduced tactical positioning
                     if (!isAwayTeamPossession) {
                         // Minimal tactical defensive positioning
-                        const playerNumber = parseInt(player.playerId.split('_')[1], 10) || 0;
+                        const playerNumber = getPlayerNumber(player.playerId);
                         const spreadFactor = 0.003 * Math.sin(playerNumber * Math.PI / 5); // Reduced from 0.006
                         player.position.y += spreadFactor;
                     }
@@ -387,61 +366,226 @@ function preventPlayerSwarm(state) {
         }
     }
     
-    // Clean up temporary properties
-    if (result.homeTeam && result.homeTeam.players) {
-        result.homeTeam.players.forEach(player => {
-            delete player._distanceToBall;
-        });
-    }
-    
-    if (result.awayTeam && result.awayTeam.players) {
-        result.awayTeam.players.forEach(player => {
-            delete player._distanceToBall;
-        });
-    }
+    // Let go of the players until the next call (_distanceToBall stays on the buffer's players)
+    homeTeamNearBall.length = 0;
+    awayTeamNearBall.length = 0;
+    layers?.measure("swarm", result);
     
     return result;
 }
 
-// Generate a state signature to detect real changes
-function getStateSignature(state) {
-    if (!state) return "";
-    
-    let signature = "";
-    
-    // Add game status and possession to signature
-    signature += `status:${state.status}|possession:${state.ballPossession}|`;
-    
-    // Add ball position
-    if (state.ball && state.ball.position) {
-        signature += `ball:${state.ball.position.x.toFixed(3)},${state.ball.position.y.toFixed(3)}|`;
+/**
+ * Detects whether an incoming state differs from the last accepted one
+ * Compares status, possession, scores, game time, the ball and every player. A position
+ * counts as changed when it moved more than the tolerance (normalized pitch units) on
+ * either axis. The accepted snapshot is kept in flat arrays, reused between updates.
+ */
+class StateChangeDetector {
+    /**
+     * @param {object} [options]
+     * @param {number} [options.tolerance] - Smallest position change that counts (0.0005 is about 5 cm)
+     */
+    constructor(options = {}) {
+        this.tolerance = options.tolerance ?? 0.0005;
+        this.accepted = 0; // Updates that carried a change
+        this.dropped = 0; // Updates dropped as unchanged
+        this.reset();
     }
-    
-    // Add home team positions (sample first 3 players to reduce computation)
-    if (state.homeTeam && state.homeTeam.players && state.homeTeam.players.length > 0) {
-        for (let i = 0; i < Math.min(3, state.homeTeam.players.length); i++) {
-            const player = state.homeTeam.players[i];
-            if (player && player.position) {
-                signature += `homeP${i}:${player.position.x.toFixed(3)},${player.position.y.toFixed(3)}|`;
-            }
+
+    // Forget the snapshot; the next state always counts as changed
+    reset() {
+        this.hasSnapshot = false;
+        this.status = null;
+        this.ballPossession = null;
+        this.homeScore = 0;
+        this.awayScore = 0;
+        this.gameTime = 0;
+        this.ballX = NaN;
+        this.ballY = NaN;
+        this.playerIds = [];
+        this.positions = new Float64Array(0); // x, y per player (home then away), NaN without a position
+    }
+
+    setTolerance(tolerance) {
+        if (Number.isFinite(tolerance) && tolerance >= 0) {
+            this.tolerance = tolerance;
         }
     }
-    
-    // Add away team positions (sample first 3 players to reduce computation)
-    if (state.awayTeam && state.awayTeam.players && state.awayTeam.players.length > 0) {
-        for (let i = 0; i < Math.min(3, state.awayTeam.players.length); i++) {
-            const player = state.awayTeam.players[i];
-            if (player && player.position) {
-                signature += `awayP${i}:${player.position.x.toFixed(3)},${player.position.y.toFixed(3)}|`;
+
+    /**
+     * Check a state and remember it when it changed
+     * @returns {boolean} Whether the state differs from the last accepted one
+     */
+    check(state) {
+        if (!this.hasChanged(state)) {
+            this.dropped++;
+            return false;
+        }
+        this.record(state);
+        this.accepted++;
+        return true;
+    }
+
+    moved(previous, next) {
+        // NaN marks a missing position: appearing or disappearing is a change
+        if (previous !== previous || next !== next) return (previous !== previous) !== (next !== next);
+        return Math.abs(next - previous) > this.tolerance;
+    }
+
+    hasChanged(state) {
+        if (!this.hasSnapshot) return true;
+
+        if (state.status !== this.status ||
+            (state.ballPossession || null) !== this.ballPossession ||
+            (state.homeTeam?.score ?? 0) !== this.homeScore ||
+            (state.awayTeam?.score ?? 0) !== this.awayScore ||
+            getGameTimeSeconds(state.gameTime) !== this.gameTime) {
+            return true;
+        }
+
+        const ballPosition = state.ball?.position;
+        if (this.moved(this.ballX, ballPosition ? ballPosition.x : NaN) ||
+            this.moved(this.ballY, ballPosition ? ballPosition.y : NaN)) {
+            return true;
+        }
+
+        const homePlayers = state.homeTeam?.players || [];
+        const awayPlayers = state.awayTeam?.players || [];
+        if (homePlayers.length + awayPlayers.length !== this.playerIds.length) return true;
+
+        for (let i = 0; i < this.playerIds.length; i++) {
+            const player = i < homePlayers.length ? homePlayers[i] : awayPlayers[i - homePlayers.length];
+            if (player?.playerId !== this.playerIds[i]) return true;
+            const position = player.position;
+            if (this.moved(this.positions[i * 2], position ? position.x : NaN) ||
+                this.moved(this.positions[i * 2 + 1], position ? position.y : NaN)) {
+                return true;
             }
         }
+        return false;
     }
-    
-    return signature;
+
+    record(state) {
+        this.hasSnapshot = true;
+        this.status = state.status;
+        this.ballPossession = state.ballPossession || null;
+        this.homeScore = state.homeTeam?.score ?? 0;
+        this.awayScore = state.awayTeam?.score ?? 0;
+        this.gameTime = getGameTimeSeconds(state.gameTime);
+        this.ballX = state.ball?.position ? state.ball.position.x : NaN;
+        this.ballY = state.ball?.position ? state.ball.position.y : NaN;
+
+        const homePlayers = state.homeTeam?.players || [];
+        const awayPlayers = state.awayTeam?.players || [];
+        const count = homePlayers.length + awayPlayers.length;
+        if (this.positions.length !== count * 2) {
+            this.positions = new Float64Array(count * 2);
+        }
+        this.playerIds.length = count;
+        for (let i = 0; i < count; i++) {
+            const player = i < homePlayers.length ? homePlayers[i] : awayPlayers[i - homePlayers.length];
+            this.playerIds[i] = player?.playerId;
+            this.positions[i * 2] = player?.position ? player.position.x : NaN;
+            this.positions[i * 2 + 1] = player?.position ? player.position.y : NaN;
+        }
+    }
+}
+
+// Player number from an id like "TeamA_7" (0 when there is none), without allocating
+function getPlayerNumber(playerId) {
+    if (!playerId) return 0;
+    let number = 0;
+    for (let i = playerId.lastIndexOf('_') + 1; i > 0 && i < playerId.length; i++) {
+        const digit = playerId.charCodeAt(i) - 48;
+        if (digit < 0 || digit > 9) break;
+        number = number * 10 + digit;
+    }
+    return number;
+}
+
+function findPlayerById(players, playerId) {
+    if (!players) return undefined;
+    for (let i = 0; i < players.length; i++) {
+        if (players[i].playerId === playerId) return players[i];
+    }
+    return undefined;
+}
+
+// A player of either team by playerId (without allocating, for the frame loop)
+function findPlayerInState(gameState, playerId) {
+    if (!gameState || !playerId) return undefined;
+    return findPlayerById(gameState.homeTeam?.players, playerId) || findPlayerById(gameState.awayTeam?.players, playerId);
+}
+
+// Copy the own properties of source onto target, except the listed nested ones
+function copyScalarFields(target, source, skip1, skip2, skip3) {
+    for (const key in target) {
+        if (!(key in source) && key !== skip1 && key !== skip2 && key !== skip3) target[key] = undefined;
+    }
+    for (const key in source) {
+        if (key !== skip1 && key !== skip2 && key !== skip3) target[key] = source[key];
+    }
+}
+
+function copyTeamInto(target, source) {
+    if (!source) return null;
+    target = target || { players: [] };
+    copyScalarFields(target, source, "players");
+
+    const players = source.players || [];
+    target.players.length = players.length;
+    for (let i = 0; i < players.length; i++) {
+        const from = players[i];
+        const to = target.players[i] || (target.players[i] = { position: { x: 0, y: 0 }, _distanceToBall: 0 });
+        const position = to.position;
+        copyScalarFields(to, from, "position", "_distanceToBall");
+        if (from.position) {
+            to.position = position || { x: 0, y: 0 };
+            to.position.x = from.position.x;
+            to.position.y = from.position.y;
+        } else {
+            to.position = null;
+        }
+    }
+    return target;
+}
+
+/**
+ * Copy a game state into a reusable buffer for the per-frame animation pipeline
+ * Player and ball positions are the buffer's own objects, overwritten in place on every
+ * copy; everything else (names, scores, ...) is shared with the source and must not be
+ * changed. A buffer only allocates when the roster grows.
+ * @param {object|null} target - Buffer from a previous call, or null to create one
+ * @param {object} source - State to copy
+ * @returns {object} The buffer
+ */
+function copyGameStateInto(target, source) {
+    target = target || { homeTeam: null, awayTeam: null, ball: null };
+    copyScalarFields(target, source, "homeTeam", "awayTeam", "ball");
+    target.homeTeam = copyTeamInto(target.homeTeam, source.homeTeam);
+    target.awayTeam = copyTeamInto(target.awayTeam, source.awayTeam);
+
+    if (source.ball) {
+        const ball = target.ball || { position: null };
+        const position = ball.position;
+        copyScalarFields(ball, source.ball, "position");
+        if (source.ball.position) {
+            ball.position = position || { x: 0, y: 0 };
+            ball.position.x = source.ball.position.x;
+            ball.position.y = source.ball.position.y;
+        } else {
+            ball.position = null;
+        }
+        target.ball = ball;
+    } else {
+        target.ball = null;
+    }
+    return target;
 }
 
 // Helper function to interpolate between two positions
-function interpolatePosition(pos1, pos2, progress) {
+// Writes into out when given, otherwise returns a new position
+function interpolatePosition(pos1, pos2, progress, out) {
     if (!pos1 || !pos2) return pos1 || pos2;
     
     const dx = pos2.x - pos1.x;
@@ -450,78 +594,91 @@ function interpolatePosition(pos1, pos2, progress) {
     // Use faster easing function (quadratic instead of cubic)
     const easedProgress = 1 - Math.pow(1 - progress, 2);
     
-    return {
-        x: pos1.x + dx * easedProgress,
-        y: pos1.y + dy * easedProgress
-    };
+    out = out || {};
+    out.x = pos1.x + dx * easedProgress;
+    out.y = pos1.y + dy * easedProgress;
+    return out;
+}
+
+// Straight-line interpolation between two positions, written into out
+function lerpPosition(pos1, pos2, progress, out) {
+    if (!pos1 || !pos2) return pos1 || pos2;
+    out.x = pos1.x + (pos2.x - pos1.x) * progress;
+    out.y = pos1.y + (pos2.y - pos1.y) * progress;
+    return out;
 }
 
 // Helper function to interpolate between two game states
-function interpolateGameState(state1, state2, progress) {
+// out is a buffer from copyGameStateInto to write the result into (a new one is made without it)
+// eased = false moves everything linearly (states timed by the server, see StatePlaybackBuffer)
+function interpolateGameState(state1, state2, progress, out = null, eased = true) {
     if (!state1 || !state2) return state2 || state1;
     
-    // Create a deep copy of state1 as the base
-    const result = JSON.parse(JSON.stringify(state1));
+    // Start from state1; positions are overwritten below
+    const result = copyGameStateInto(out, state1);
+    const blend = eased ? interpolatePosition : lerpPosition;
     
     // Use cubic easing for smoother transitions
-    let easedProgress = 1 - Math.pow(1 - progress, 3); // Cubic ease out
+    let easedProgress = eased ? 1 - Math.pow(1 - progress, 3) : progress; // Cubic ease out
     
     // Interpolate ball position - use different easing for ball
     if (state1.ball?.position && state2.ball?.position) {
         // Ball should move a bit faster than players for realism
-        const ballEasedProgress = 1 - Math.pow(1 - progress, 2.5); // Slightly faster easing
-        result.ball.position = interpolatePosition(state1.ball.position, state2.ball.position, ballEasedProgress);
+        const ballEasedProgress = eased ? 1 - Math.pow(1 - progress, 2.5) : progress; // Slightly faster easing
+        blend(state1.ball.position, state2.ball.position, ballEasedProgress, result.ball.position);
     }
     
     // Interpolate home team player positions
     if (state1.homeTeam?.players && state2.homeTeam?.players) {
-        state1.homeTeam.players.forEach((player, index) => {
+        for (let index = 0; index < state1.homeTeam.players.length; index++) {
+            const player = state1.homeTeam.players[index];
             if (index < state2.homeTeam.players.length && player.position && state2.homeTeam.players[index].position) {
                 // Calculate player-specific easing based on role
                 // Goalkeepers move more deliberately, strikers more dynamically
                 let playerEasing = easedProgress;
-                const playerId = player.playerId || '';
-                const playerNumber = parseInt(playerId.split('_')[1] || '0', 10);
+                const playerNumber = getPlayerNumber(player.playerId);
                 
                 // Goalkeepers (0) move more deliberately, forwards (9, 10) more dynamically
-                if (playerNumber === 0) {
+                if (eased && playerNumber === 0) {
                     playerEasing = 1 - Math.pow(1 - progress, 3.5); // Slower goalkeeper
-                } else if (playerNumber >= 9) {
+                } else if (eased && playerNumber >= 9) {
                     playerEasing = 1 - Math.pow(1 - progress, 2.8); // Quicker forwards
                 }
                 
-                result.homeTeam.players[index].position = interpolatePosition(
+                blend(
                     player.position,
                     state2.homeTeam.players[index].position,
-                    playerEasing
+                    playerEasing,
+                    result.homeTeam.players[index].position
                 );
             }
-        });
+        }
     }
     
     // Interpolate away team player positions with similar role-based easing
     if (state1.awayTeam?.players && state2.awayTeam?.players) {
-        state1.awayTeam.players.forEach((player, index) => {
+        for (let index = 0; index < state1.awayTeam.players.length; index++) {
+            const player = state1.awayTeam.players[index];
             if (index < state2.awayTeam.players.length && player.position && state2.awayTeam.players[index].position) {
                 // Calculate player-specific easing based on role
                 let playerEasing = easedProgress;
-                const playerId = player.playerId || '';
-                const playerNumber = parseInt(playerId.split('_')[1] || '0', 10);
+                const playerNumber = getPlayerNumber(player.playerId);
                 
                 // Goalkeepers (0) move more deliberately, forwards (9, 10) more dynamically
-                if (playerNumber === 0) {
+                if (eased && playerNumber === 0) {
                     playerEasing = 1 - Math.pow(1 - progress, 3.5); // Slower goalkeeper
-                } else if (playerNumber >= 9) {
+                } else if (eased && playerNumber >= 9) {
                     playerEasing = 1 - Math.pow(1 - progress, 2.8); // Quicker forwards
                 }
                 
-                result.awayTeam.players[index].position = interpolatePosition(
+                blend(
                     player.position,
                     state2.awayTeam.players[index].position,
-                    playerEasing
+                    playerEasing,
+                    result.awayTeam.players[index].position
                 );
             }
-        });
+        }
     }
     
     // Keep non-position data from the latest state
@@ -537,212 +694,75 @@ function findPossessingPlayer(gameState) {
     if (!gameState || gameState.ballPossession === null || gameState.ballPossession === "") {
         return null;
     }
-    const playerId = gameState.ballPossession;
-    let player = gameState.homeTeam?.players?.find(p => p.playerId === playerId);
-    if (!player) {
-        player = gameState.awayTeam?.players?.find(p => p.playerId === playerId);
-    }
-    return player;
+    return findPlayerInState(gameState, gameState.ballPossession);
 }
 
-// Main function to render the game field based on game state
-function renderGameField(canvas, gameState, currentAnimatedBallPosition) {
-    if (!ctx) {
-        console.error("renderGameField called but ctx is null!");
-        return;
-    }
-    if (!gameState) {
-        console.warn("renderGameField called with null gameState");
-        return;
-    }
+/**
+ * Project the ball's path from its velocity the way the server simulates a loose ball:
+ * velocity is in pitch units per simulation step and decays by friction every step.
+ * The path stops where the ball comes to rest or reaches the pitch boundary.
+ * @returns {Array<{x: number, y: number}>} Points from the current position onwards
+ */
+function predictBallPath(position, velocityX, velocityY, options = {}) {
+    const friction = options.friction ?? 0.95;
+    const stopSpeed = options.stopSpeed ?? 0.001;
+    const maxSteps = options.maxSteps ?? 300;
 
-    // Log the state being rendered (less frequently)
-    if (animationFrameCounter % skipLogFrames === 1) {
-         console.log(`Rendering Frame: ${animationFrameCounter}, Ball Possession: ${gameState.ballPossession}, Status: ${gameState.status}`);
-         if (gameState.homeTeam && gameState.homeTeam.players && gameState.homeTeam.players.length > 0) {
-             const firstPlayer = gameState.homeTeam.players[0];
-             console.log(`  First Home Player (${firstPlayer.playerId}) Pos: x=${firstPlayer.position?.x?.toFixed(3)}, y=${firstPlayer.position?.y?.toFixed(3)}`);
-         }
-         if (gameState.ball && gameState.ball.position) {
-              console.log(`  Ball Pos: x=${gameState.ball.position?.x?.toFixed(3)}, y=${gameState.ball.position?.y?.toFixed(3)}`);
-         }
-    }
+    const points = [{ x: position.x, y: position.y }];
+    let x = position.x;
+    let y = position.y;
+    let vx = velocityX || 0;
+    let vy = velocityY || 0;
 
-    const width = canvas.width;
-    const height = canvas.height;
-    
-    // Clear canvas
-    ctx.clearRect(0, 0, width, height);
-    
-    // Draw field
-    drawField(ctx, width, height);
-    
-    // Draw players from Team A (red circles)
-    if (gameState.homeTeam && gameState.homeTeam.players) {
-        gameState.homeTeam.players.forEach(player => {
-            const playerHasBall = gameState.ballPossession === player.playerId;
-            const x = player.position.x * width;
-            const y = player.position.y * height;
-            const radius = playerHasBall ? 12 : 10;
-            
-            // Draw player circle
-            drawCircle(ctx, x, y, radius, "red");
-            
-            // Draw player number
-            try {
-                const playerNumber = player.playerId.split('_')[1]; // Assumes format like TeamA_1
-                ctx.fillStyle = 'white'; // Number color
-                ctx.font = '10px Arial';  // Number font
-                ctx.textAlign = 'center';
-                ctx.textBaseline = 'middle';
-                ctx.fillText(playerNumber, x, y);
-            } catch (e) {
-                console.warn(`Could not parse player number from ID: ${player.playerId}`);
-            }
+    for (let step = 0; step < maxSteps && (Math.abs(vx) >= stopSpeed || Math.abs(vy) >= stopSpeed); step++) {
+        let nextX = x + vx;
+        let nextY = y + vy;
 
-            // If this player has the ball, highlight them
-            if (playerHasBall) {
-                ctx.beginPath();
-                ctx.arc(x, y, radius + 3, 0, Math.PI * 2);
-                ctx.strokeStyle = "yellow";
-                ctx.lineWidth = 2;
-                ctx.stroke();
-            }
-        });
-    }
-    
-    // Draw players from Team B (blue circles)
-    if (gameState.awayTeam && gameState.awayTeam.players) {
-        gameState.awayTeam.players.forEach(player => {
-            const playerHasBall = gameState.ballPossession === player.playerId;
-            const x = player.position.x * width;
-            const y = player.position.y * height;
-            const radius = playerHasBall ? 12 : 10;
-            
-            // Draw player circle
-            drawCircle(ctx, x, y, radius, "blue");
+        // Clip the last segment at the touchlines / goal lines
+        if (nextX < 0 || nextX > 1 || nextY < 0 || nextY > 1) {
+            let fraction = 1;
+            if (nextX < 0) fraction = Math.min(fraction, -x / vx);
+            if (nextX > 1) fraction = Math.min(fraction, (1 - x) / vx);
+            if (nextY < 0) fraction = Math.min(fraction, -y / vy);
+            if (nextY > 1) fraction = Math.min(fraction, (1 - y) / vy);
+            points.push({ x: x + vx * fraction, y: y + vy * fraction });
+            break;
+        }
 
-            // Draw player number
-            try {
-                const playerNumber = player.playerId.split('_')[1]; // Assumes format like TeamB_5
-                ctx.fillStyle = 'white'; // Number color
-                ctx.font = '10px Arial';  // Number font
-                ctx.textAlign = 'center';
-                ctx.textBaseline = 'middle';
-                ctx.fillText(playerNumber, x, y);
-            } catch (e) {
-                 console.warn(`Could not parse player number from ID: ${player.playerId}`);
-            }
-            
-            // If this player has the ball, highlight them
-            if (playerHasBall) {
-                ctx.beginPath();
-                ctx.arc(x, y, radius + 3, 0, Math.PI * 2);
-                ctx.strokeStyle = "yellow";
-                ctx.lineWidth = 2;
-                ctx.stroke();
-            }
-        });
+        points.push({ x: nextX, y: nextY });
+        x = nextX;
+        y = nextY;
+        vx *= friction;
+        vy *= friction;
     }
-    
-    // --- Ball Drawing Logic ---
-    if (currentAnimatedBallPosition) {
-         // Draw ball at the animated position during a pass
-         drawCircle(
-             ctx,
-             currentAnimatedBallPosition.x * width,
-             currentAnimatedBallPosition.y * height,
-             8, // Ball radius
-             "white"
-         );
-         // Add a black outline to the animated ball
-         ctx.beginPath();
-         ctx.arc(
-             currentAnimatedBallPosition.x * width,
-             currentAnimatedBallPosition.y * height,
-             8, 0, Math.PI * 2
-         );
-         ctx.strokeStyle = "black";
-         ctx.lineWidth = 1;
-         ctx.stroke();
-
-    } else if (gameState.ball && gameState.ball.position) {
-        // Draw ball based on gameState if not currently animating a pass
-        const ballX = gameState.ball.position.x * width;
-        const ballY = gameState.ball.position.y * height;
-        const possessingPlayer = findPossessingPlayer(gameState);
-
-        // Draw the ball even if a player possesses it (like original)
-        // Highlight around the player shows possession clearly.
-        let ballRadius = 8;
-        let ballColor = "white";
-
-        if (!possessingPlayer) {
-             // Make ball slightly larger and outlined if free (and not mid-pass)
-             ballRadius = 10;
-             drawCircle(ctx, ballX, ballY, ballRadius, ballColor);
-             ctx.beginPath();
-             ctx.arc(ballX, ballY, ballRadius, 0, Math.PI * 2);
-             ctx.strokeStyle = "black";
-             ctx.lineWidth = 1;
-             ctx.stroke();
-         } else {
-              // Draw standard ball if possessed
-              drawCircle(ctx, ballX, ballY, ballRadius, ballColor);
-         }
+    return points;
+}
+
+// Find a player and the id of their team (falls back to the TeamA_/TeamB_ id prefix)
+function findPlayerWithTeam(gameState, playerId) {
+    if (!gameState || !playerId) return null;
+    const home = findPlayerById(gameState.homeTeam?.players, playerId);
+    if (home) {
+        return { player: home, teamId: gameState.homeTeam.teamId || "TeamA" };
     }
-    
-    // Draw GOAL! text if in celebration mode
-    if (gameState.status === 4 && goalCelebrationStart) {
-        // Calculate goal text properties based on elapsed time
-        const elapsedCelebration = performance.now() - goalCelebrationStart;
-        const textScale = 1 + 0.2 * Math.sin(elapsedCelebration / 150); // Pulsating effect
-        
-        // Draw "GOAL!" text
-        ctx.save(); // Save current context state
-        
-        ctx.font = `bold ${48 * textScale}px Arial`;
-        ctx.fillStyle = "red";
-        ctx.strokeStyle = "white";
-        ctx.lineWidth = 3;
-        ctx.textAlign = "center";
-        ctx.textBaseline = "middle";
-        
-        // Determine which team scored
-        let teamName = "GOAL!";
-        if (goalCelebrationTeam) {
-            if (goalCelebrationTeam === "TeamA") {
-                teamName = gameState.homeTeam?.name || "Home Team";
-                ctx.fillStyle = "#FF3333"; // Red for home team
-            } else {
-                teamName = gameState.awayTeam?.name || "Away Team";
-                ctx.fillStyle = "#3333FF"; // Blue for away team
-            }
-        }
-        
-        // First draw text stroke for visibility
-        ctx.strokeText("GOAL!", width / 2, height / 2 - 30);
-        ctx.fillText("GOAL!", width / 2, height / 2 - 30);
-        
-        // Draw scored by text
-        ctx.font = `bold ${24 * textScale}px Arial`;
-        ctx.strokeText(`${teamName} SCORES!`, width / 2, height / 2 + 20);
-        ctx.fillText(`${teamName} SCORES!`, width / 2, height / 2 + 20);
-        
-        ctx.restore(); // Restore context state
+    const away = findPlayerById(gameState.awayTeam?.players, playerId);
+    if (away) {
+        return { player: away, teamId: gameState.awayTeam.teamId || "TeamB" };
     }
+    return null;
 }
 
 // Helper function to apply kickoff formation
-function applyKickoffFormation(state) {
+// out is a buffer from copyGameStateInto to write the result into (a new one is made without it)
+function applyKickoffFormation(state, lastScoringTeam = null, out = null) {
     if (!state) return state;
     
-    // Clone state to avoid modifying the original
-    const result = JSON.parse(JSON.stringify(state));
+    // Copy state to avoid modifying the original
+    const result = copyGameStateInto(out, state);
     
     // Determine which team scored last (if any) to determine kickoff team
     // After a goal, the team that conceded takes the kickoff
-    const kickoffTeam = goalCelebrationTeam === "TeamA" ? "TeamB" : "TeamA";
+    const kickoffTeam = lastScoringTeam === "TeamA" ? "TeamB" : "TeamA";
     
     // Center the ball
     if (result.ball && result.ball.position) {
@@ -756,15 +776,11 @@ function applyKickoffFormation(state) {
     // Ensure all players are in their own half and respect the center line with minimal changes
     // Home team (TeamA) positioned on left side, Away team (TeamB) on right
     if (result.homeTeam && result.homeTeam.players) {
-        result.homeTeam.players.forEach((player, index) => {
+        for (let index = 0; index < result.homeTeam.players.length; index++) {
+            const player = result.homeTeam.players[index];
             if (player.position) {
                 // Get player number
-                let playerNum = 1;
-                try {
-                    playerNum = parseInt(player.playerId.split('_')[1], 10) || (index + 1);
-                } catch (e) {
-                    playerNum = index + 1;
-                }
+                const playerNum = getPlayerNumber(player.playerId) || (index + 1);
                 
                 // Only adjust positions if needed - make minimal changes
                 // Always fix goalkeeper position
@@ -795,20 +811,16 @@ function applyKickoffFormation(state) {
                     player.position.y = Math.max(0.05, Math.min(0.95, player.position.y));
                 }
             }
-        });
+        }
     }
     
     // Apply similar logic for away team (TeamB)
     if (result.awayTeam && result.awayTeam.players) {
-        result.awayTeam.players.forEach((player, index) => {
+        for (let index = 0; index < result.awayTeam.players.length; index++) {
+            const player = result.awayTeam.players[index];
             if (player.position) {
                 // Get player number
-                let playerNum = 1;
-                try {
-                    playerNum = parseInt(player.playerId.split('_')[1], 10) || (index + 1);
-                } catch (e) {
-                    playerNum = index + 1;
-                }
+                const playerNum = getPlayerNumber(player.playerId) || (index + 1);
                 
                 // Only adjust positions if needed - make minimal changes
                 // Always fix goalkeeper position
@@ -839,7 +851,7 @@ function applyKickoffFormation(state) {
                     player.position.y = Math.max(0.05, Math.min(0.95, player.position.y));
                 }
             }
-        });
+        }
     }
     
     return result;
@@ -872,348 +884,57 @@ function getPlayerKey(teamId, playerIdx) {
     return `${teamId}_${playerIdx}`;
 }
 
-// Animation loop using requestAnimationFrame
-function animationLoop(timestamp) {
-    animationFrameCounter++;
-    if (animationFrameCounter % skipLogFrames === 0) { // Reduced logging frequency
-        console.log(`Animation loop running - Frame: ${animationFrameCounter}`);
-    }
-
-    // Guard against running if not initialized or context lost
-    if (!isInitialized || !ctx || !latestGameState) { 
-        console.warn(`Animation loop called but not initialized or context missing. Frame: ${animationFrameCounter}`);
-        // Optionally try to re-initialize or stop the loop
-        // animationFrameId = requestAnimationFrame(animationLoop); 
-        return; 
-    }
+// Function to add subtle movement to players to make them look more alive
+function applySubtleMovement(state, timestamp) {
+    if (!state) return;
     
-    // Check if we've gone too long without a server update
-    const timeSinceLastUpdate = timestamp - lastServerUpdateTime;
-    if (timeSinceLastUpdate > serverUpdateThreshold && !matchRestarting) {
-        // If it's been too long since the last server update, stop interpolating
-        // but don't do this during kickoff animation
-        interpolationProgress = 1;
-        interpolatedState = latestGameState;
-        
-        if (animationFrameCounter % skipLogFrames === 0) {
-            console.log(`Server update timeout (${timeSinceLastUpdate.toFixed(0)}ms) - using latest state directly`);
-        }
-    } else {
-        // Calculate interpolation progress
-        if (previousGameState && latestGameState) {
-            // Handle kickoff animation first (takes precedence)
-            if (matchRestarting && kickoffAnimationStart) {
-                // During kickoff, ensure we use the kickoff formation regardless of other updates
-                const kickoffProgress = Math.min((timestamp - kickoffAnimationStart) / kickoffAnimationDuration, 1);
+    // Use timestamp to create subtle oscillation
+    const t = timestamp / 1200; // Slowed down from 1000
+    
+    // Apply to home team
+    if (state.homeTeam && state.homeTeam.players) {
+        for (let idx = 0; idx < state.homeTeam.players.length; idx++) {
+            const player = state.homeTeam.players[idx];
+            if (player.position) {
+                // Use player index to offset the oscillation
+                const offset = idx * 0.7; // Increased from 0.5 for more varied movement
                 
-                // Apply cubic easing to make the motion more natural
-                const easedKickoffProgress = 1 - Math.pow(1 - kickoffProgress, 3);
+                // Different player roles move differently
+                let moveFactor = 0.00008; // Base movement factor (reduced from 0.00012)
+                let wobbleFactor = 0.00010; // Base wobble factor (reduced from 0.00018)
                 
-                if (kickoffProgress >= 1) {
-                    // Kickoff animation complete
-                    matchRestarting = false;
-                    kickoffAnimationStart = null;
-                    blockStateUpdates = false;
-                    
-                    // Start accepting server updates again
-                    ignoreServerUpdatesUntil = 0;
-                    console.log("Kickoff complete - resuming normal game updates");
-                    
-                    // Reset the interpolation to use latest state
-                    interpolationProgress = 1;
-                    previousGameState = latestGameState;
-                } else {
-                    // Block state updates until kickoff is complete
-                    blockStateUpdates = true;
-                    
-                    // Apply kickoff formation with natural movement
-                    const kickoffState = applyKickoffFormation(latestGameState);
-                    
-                    // Use the current interpolated state as the base to avoid jumps
-                    if (!interpolatedState) {
-                        interpolatedState = JSON.parse(JSON.stringify(latestGameState));
-                    }
-                    
-                    // Smoothly move players to their kickoff positions using variable speeds
-                    if (interpolatedState.homeTeam && interpolatedState.homeTeam.players && 
-                        kickoffState.homeTeam && kickoffState.homeTeam.players) {
-                        interpolatedState.homeTeam.players.forEach((player, idx) => {
-                            if (player.position && idx < kickoffState.homeTeam.players.length && 
-                                kickoffState.homeTeam.players[idx].position) {
-                                
-                                const target = kickoffState.homeTeam.players[idx].position;
-                                const playerKey = getPlayerKey("TeamA", idx);
-                                
-                                // Calculate or retrieve movement speed
-                                if (!playerMovementSpeeds[playerKey]) {
-                                    playerMovementSpeeds[playerKey] = calculateMovementSpeed(
-                                        player.position.x, 
-                                        player.position.y, 
-                                        target.x, 
-                                        target.y
-                                    );
-                                }
-                                
-                                // Apply natural easing movement with variable speed
-                                // Different roles move at different speeds
-                                let speedMultiplier = 1.0;
-                                if (idx === 0) speedMultiplier = 0.8; // Goalkeepers move slower
-                                else if (idx >= 9) speedMultiplier = 1.2; // Forwards move faster
-                                
-                                const speed = playerMovementSpeeds[playerKey] * 
-                                    speedMultiplier * 
-                                    (kickoffProgress < 0.3 ? 1.2 : 1.0); // Initial acceleration
-                                
-                                const dx = target.x - player.position.x;
-                                const dy = target.y - player.position.y;
-                                
-                                // Ease movement as player gets closer to target
-                                const distToTarget = Math.sqrt(dx*dx + dy*dy);
-                                const moveStep = Math.min(distToTarget, speed);
-                                
-                                if (distToTarget > 0.001) {
-                                    player.position.x += (dx / distToTarget) * moveStep;
-                                    player.position.y += (dy / distToTarget) * moveStep;
-                                }
-                            }
-                        });
-                    }
-                    
-                    if (interpolatedState.awayTeam && interpolatedState.awayTeam.players && 
-                        kickoffState.awayTeam && kickoffState.awayTeam.players) {
-                        interpolatedState.awayTeam.players.forEach((player, idx) => {
-                            if (player.position && idx < kickoffState.awayTeam.players.length && 
-                                kickoffState.awayTeam.players[idx].position) {
-                                
-                                const target = kickoffState.awayTeam.players[idx].position;
-                                const playerKey = getPlayerKey("TeamB", idx);
-                                
-                                // Calculate or retrieve movement speed
-                                if (!playerMovementSpeeds[playerKey]) {
-                                    playerMovementSpeeds[playerKey] = calculateMovementSpeed(
-                                        player.position.x, 
-                                        player.position.y, 
-                                        target.x, 
-                                        target.y
-                                    );
-                                }
-                                
-                                // Apply natural easing movement with variable speed
-                                // Different roles move at different speeds
-                                let speedMultiplier = 1.0;
-                                if (idx === 0) speedMultiplier = 0.8; // Goalkeepers move slower
-                                else if (idx >= 9) speedMultiplier = 1.2; // Forwards move faster
-                                
-                                const speed = playerMovementSpeeds[playerKey] * 
-                                    speedMultiplier * 
-                                    (kickoffProgress < 0.3 ? 1.2 : 1.0); // Initial acceleration
-                                
-                                const dx = target.x - player.position.x;
-                                const dy = target.y - player.position.y;
-                                
-                                // Ease movement as player gets closer to target
-                                const distToTarget = Math.sqrt(dx*dx + dy*dy);
-                                const moveStep = Math.min(distToTarget, speed);
-                                
-                                if (distToTarget > 0.001) {
-                                    player.position.x += (dx / distToTarget) * moveStep;
-                                    player.position.y += (dy / distToTarget) * moveStep;
-                                }
-                            }
-                        });
-                    }
-                    
-                    // Move ball to center
-                    if (interpolatedState.ball && interpolatedState.ball.position) {
-                        interpolatedState.ball.position.x = 0.5; // Center X
-                        interpolatedState.ball.position.y = 0.5; // Center Y
-                    }
-                    
-                    // Clear ball possession during kickoff
-                    interpolatedState.ballPossession = null;
+                // Goalkeepers move less, forwards move more
+                if (idx === 0) { // Goalkeeper
+                    moveFactor *= 0.5;
+                    wobbleFactor *= 0.5;
+                } else if (idx >= 9) { // Forwards
+                    moveFactor *= 1.2;
+                    wobbleFactor *= 1.2;
                 }
-            } else {
-                // Regular interpolation (not during kickoff)
-                // Reset player movement speeds when not in kickoff
-                playerMovementSpeeds = {};
                 
-                // If this is a new update, reset the timer
-                if (timestamp - lastUpdateTime > stateDuration) {
-                    // Only use interpolation for small movements to avoid jumps during teleports
-                    interpolationProgress = 1;  // Fully transition to latestGameState
-                    previousGameState = latestGameState; // Reset previous to latest to prepare for next update
-                    lastUpdateTime = timestamp;
+                // Create natural-looking movement patterns with different frequencies
+                const wobble = Math.sin(t + offset) * wobbleFactor;
+                const sideMotion = Math.cos(t * 0.6 + offset) * moveFactor;
+                
+                // Consider ball possession - players with the ball move differently
+                const hasBall = player.playerId === state.ballPossession;
+                if (hasBall) {
+                    // Player with ball moves more as they control it
+                    player.position.x += Math.cos(t * 1.2 + offset) * moveFactor * 1.5;
+                    player.position.y += Math.sin(t * 1.5 + offset) * wobbleFactor * 1.5;
                 } else {
-                    // Calculate smooth progress with improved easing for natural movement
-                    interpolationProgress = Math.min((timestamp - lastUpdateTime) / stateDuration, 1);
-                    
-                    // Use cubic ease-out for more natural movement
-                    // x = 1 - (1-t)³
-                    if (interpolationProgress < 1) {
-                        // Only apply easing if we're still interpolating
-                        // Easing is now handled in the interpolateGameState function
-                    }
-                }
-                
-                // Create interpolated state with enhanced movement
-                interpolatedState = interpolateGameState(previousGameState, latestGameState, interpolationProgress);
-                
-                // Apply anti-swarming logic to prevent too many players around the ball
-                interpolatedState = preventPlayerSwarm(interpolatedState);
-                
-                // Add subtle natural movement to players when they seem stationary
-                // This makes them look more alive even when not moving much
-                if (interpolationProgress > 0.90) {
-                    // Apply subtle movement only when interpolation is mostly complete
-                    applySubtleMovement(interpolatedState, timestamp);
+                    // Standard subtle movement
+                    player.position.x += sideMotion;
+                    player.position.y += wobble;
                 }
             }
-        } else {
-            // If we don't have two states to interpolate between, just use the latest
-            interpolatedState = latestGameState;
-        }
-    }
-
-    let currentAnimatedBallPosition = null;
-
-    // Special handling for goal celebration (status = 4)
-    if (latestGameState.status === 4 && goalCelebrationStart) {
-        const elapsedCelebration = timestamp - goalCelebrationStart;
-        // Pulsating effect on the ball during celebration
-        const pulseScale = 1 + 0.3 * Math.sin(elapsedCelebration / 200); // Slowed down pulsing
-        
-        // Move players in celebration pattern (small circular movements)
-        if (interpolatedState.homeTeam && interpolatedState.homeTeam.players) {
-            // Determine which team is celebrating (moves more)
-            const isScoringTeam = goalCelebrationTeam === "TeamA";
-            const movementScale = isScoringTeam ? 1.0 : 0.3; // Scoring team moves more
-            
-            interpolatedState.homeTeam.players.forEach((player, idx) => {
-                if (player.position) {
-                    // Slower celebration movements
-                    const angle = (elapsedCelebration / 400) + (idx * Math.PI / 5); // Slowed from 300
-                    const radius = 0.015 * movementScale; // Reduced from 0.02
-                    // Add oscillating motion to players
-                    player.position.x += Math.cos(angle) * radius * 0.01;
-                    player.position.y += Math.sin(angle) * radius * 0.01;
-                    // Clamp positions to field boundaries
-                    player.position.x = Math.max(0.05, Math.min(0.95, player.position.x));
-                    player.position.y = Math.max(0.05, Math.min(0.95, player.position.y));
-                }
-            });
-        }
-        
-        // Also animate away team during celebration
-        if (interpolatedState.awayTeam && interpolatedState.awayTeam.players) {
-            // Determine which team is celebrating (moves more)
-            const isScoringTeam = goalCelebrationTeam === "TeamB";
-            const movementScale = isScoringTeam ? 1.0 : 0.3; // Scoring team moves more
-            
-            interpolatedState.awayTeam.players.forEach((player, idx) => {
-                if (player.position) {
-                    // Slower celebration movements
-                    const angle = (elapsedCelebration / 500) - (idx * Math.PI / 6); // Slowed from 400
-                    const radius = 0.012 * movementScale; // Reduced from 0.015
-                    // Add oscillating motion to players
-                    player.position.x += Math.cos(angle) * radius * 0.01;
-                    player.position.y += Math.sin(angle) * radius * 0.01;
-                    // Clamp positions to field boundaries
-                    player.position.x = Math.max(0.05, Math.min(0.95, player.position.x));
-                    player.position.y = Math.max(0.05, Math.min(0.95, player.position.y));
-                }
-            });
-        }
-        
-        // Animate the ball for celebration
-        if (interpolatedState.ball && interpolatedState.ball.position) {
-            // Make the ball bounce during celebration
-            const bounceFactor = Math.abs(Math.sin(elapsedCelebration / 300) * 0.04); // Slowed from 200, reduced amplitude
-            currentAnimatedBallPosition = {
-                x: interpolatedState.ball.position.x,
-                y: interpolatedState.ball.position.y - bounceFactor
-            };
-        }
-    }
-    
-    // Handle ball passing animation
-    else if (isPassing && passData.startTime) {
-        const passProgress = Math.min((timestamp - passData.startTime) / passData.duration, 1);
-        
-        // If pass is complete
-        if (passProgress >= 1) {
-            isPassing = false;
-        } else {
-            // Animate ball along pass trajectory with slight arc
-            // Use a cubic ease-out for more natural motion
-            const easedProgress = 1 - Math.pow(1 - passProgress, 3);
-            
-            // Add an arc to the pass
-            const arcHeight = 0.04; // Reduced from 0.05 for lower arc
-            const arcFactor = Math.sin(easedProgress * Math.PI) * arcHeight;
-            
-            currentAnimatedBallPosition = {
-                x: passData.startX + (passData.endX - passData.startX) * easedProgress,
-                y: passData.startY + (passData.endY - passData.startY) * easedProgress - arcFactor
-            };
         }
     }
-
-    // Render the current interpolated state
-    renderGameField(canvas, interpolatedState, currentAnimatedBallPosition);
-    
-    // Continue the animation loop
-    animationFrameId = requestAnimationFrame(animationLoop);
-}
-
-// Function to add subtle movement to players to make them look more alive
-function applySubtleMovement(state, timestamp) {
-    if (!state) return;
-    
-    // Use timestamp to create subtle oscillation
-    const t = timestamp / 1200; // Slowed down from 1000
-    
-    // Apply to home team
-    if (state.homeTeam && state.homeTeam.players) {
-        state.homeTeam.players.forEach((player, idx) => {
-            if (player.position) {
-                // Use player index to offset the oscillation
-                const offset = idx * 0.7; // Increased from 0.5 for more varied movement
-                
-                // Different player roles move differently
-                let moveFactor = 0.00008; // Base movement factor (reduced from 0.00012)
-                let wobbleFactor = 0.00010; // Base wobble factor (reduced from 0.00018)
-                
-                // Goalkeepers move less, forwards move more
-                if (idx === 0) { // Goalkeeper
-                    moveFactor *= 0.5;
-                    wobbleFactor *= 0.5;
-                } else if (idx >= 9) { // Forwards
-                    moveFactor *= 1.2;
-                    wobbleFactor *= 1.2;
-                }
-                
-                // Create natural-looking movement patterns with different frequencies
-                const wobble = Math.sin(t + offset) * wobbleFactor;
-                const sideMotion = Math.cos(t * 0.6 + offset) * moveFactor;
-                
-                // Consider ball possession - players with the ball move differently
-                const hasBall = player.playerId === state.ballPossession;
-                if (hasBall) {
-                    // Player with ball moves more as they control it
-                    player.position.x += Math.cos(t * 1.2 + offset) * moveFactor * 1.5;
-                    player.position.y += Math.sin(t * 1.5 + offset) * wobbleFactor * 1.5;
-                } else {
-                    // Standard subtle movement
-                    player.position.x += sideMotion;
-                    player.position.y += wobble;
-                }
-            }
-        });
-    }
     
     // Apply to away team with slight variations
     if (state.awayTeam && state.awayTeam.players) {
-        state.awayTeam.players.forEach((player, idx) => {
+        for (let idx = 0; idx < state.awayTeam.players.length; idx++) {
+            const player = state.awayTeam.players[idx];
             if (player.position) {
                 // Use player index to offset the oscillation
                 const offset = idx * 0.7 + 2.1; // Different phase than home team
@@ -1246,203 +967,2626 @@ function applySubtleMovement(state, timestamp) {
                     player.position.y += wobble;
                 }
             }
-        });
+        }
     }
 }
 
 /**
- * Main handler for receiving game state updates from the server
- * This can handle both SignalR push updates and direct responses from hub methods
+ * One requestAnimationFrame per display frame for any number of renderers
+ * Renderers created with { frameLoop } queue their frame callbacks here instead of
+ * calling requestAnimationFrame themselves, so a page full of canvases shares one loop.
  */
-function updateGameState(newGameState) {
-    // Deep copy the incoming state to avoid potential reference issues
-    try {
-        if (newGameState) {
-            // Check if we should ignore updates during kickoff
-            if (blockStateUpdates || performance.now() < ignoreServerUpdatesUntil) {
-                if (animationFrameCounter % skipLogFrames === 0) {
-                    console.log("Ignoring server update during kickoff or other critical animation");
-                }
-                return; // Skip this update
+class SharedFrameLoop {
+    constructor(options = {}) {
+        this.requestFrame = options.requestFrame || (callback => requestAnimationFrame(callback));
+        this.cancelFrame = options.cancelFrame || (id => cancelAnimationFrame(id));
+        this.callbacks = new Map(); // Pending callbacks for the next frame: id -> callback
+        this.runningCallbacks = new Map(); // Callbacks of the frame being run (swapped with callbacks)
+        this.nextCallbackId = 1;
+        this.frameId = null; // Scheduled browser frame, null when idle
+
+        this.onAnimationFrame = timestamp => this.runFrame(timestamp);
+    }
+
+    // Queue a callback for the next frame; returns an id for cancel()
+    request(callback) {
+        const id = this.nextCallbackId++;
+        this.callbacks.set(id, callback);
+
+        if (this.frameId === null) {
+            this.frameId = this.requestFrame(this.onAnimationFrame);
+        }
+        return id;
+    }
+
+    // Drop a queued callback; the browser frame is cancelled once nothing is waiting
+    cancel(id) {
+        this.callbacks.delete(id);
+
+        if (this.callbacks.size === 0 && this.frameId !== null) {
+            this.cancelFrame(this.frameId);
+            this.frameId = null;
+        }
+    }
+
+    // Run every queued callback with the same frame timestamp
+    runFrame(timestamp) {
+        this.frameId = null;
+        // Swap the maps so callbacks queued while these run wait for the next frame
+        const callbacks = this.callbacks;
+        this.callbacks = this.runningCallbacks;
+        this.runningCallbacks = callbacks;
+
+        for (const callback of callbacks.values()) {
+            try {
+                callback(timestamp);
+            } catch (error) {
+                // One broken renderer must not stop the others
+                clientLog.error("render", "Error in shared animation frame", error);
             }
-            
-            // Generate signature for incoming state to detect real changes
-            const newSignature = getStateSignature(newGameState);
-            
-            // Only update if there are actual changes based on signature
-            if (newSignature !== lastStateSignature) {
-                if (animationFrameCounter % skipLogFrames === 0) {
-                    console.log(`State change detected - updating state (signatures different)`);
+        }
+        callbacks.clear();
+    }
+}
+
+class GameRenderer {
+    /**
+     * @param {HTMLCanvasElement} canvas - Canvas to draw on
+     * @param {object} [options]
+     * @param {CanvasRenderingContext2D} [options.context] - 2D context to use instead of canvas.getContext("2d")
+     * @param {function(): number} [options.now] - Clock in ms (defaults to performance.now)
+     * @param {function(function(number)): number} [options.requestFrame] - Frame scheduler (defaults to requestAnimationFrame)
+     * @param {function(number)} [options.cancelFrame] - Cancels a scheduled frame (defaults to cancelAnimationFrame)
+     * @param {SharedFrameLoop} [options.frameLoop] - Shared loop to schedule frames on (overrides requestFrame/cancelFrame)
+     * @param {number} [options.stateDuration] - Interpolation window between server states in ms
+     * @param {number} [options.serverUpdateThreshold] - Stop interpolating after this long without an update (ms)
+     * @param {number} [options.kickoffAnimationDuration] - Length of the kickoff formation animation (ms)
+     * @param {number} [options.goalCelebrationDuration] - Length of the goal celebration (ms)
+     * @param {number} [options.skipLogFrames] - Only log every N frames
+     * @param {number} [options.maxRecordedStates] - Cap on states kept for replay
+     * @param {object} [options.pitch] - Pitch size in metres: { length, width, margin } (defaults to 105x68)
+     * @param {boolean} [options.responsive] - Size the canvas from its container and devicePixelRatio (default true)
+     * @param {boolean} [options.fillContainer] - Use the container's height too, instead of the pitch aspect ratio
+     * @param {number|function(): number} [options.devicePixelRatio] - Override for window.devicePixelRatio
+     * @param {object} [options.heatmap] - PlayerHeatmap options (cell size, opacity, sample cap)
+     * @param {boolean} [options.ballTrail] - Draw a fading trail behind the ball (default true)
+     * @param {boolean} [options.predictedPath] - Draw the ball's projected path from its velocity (default false)
+     * @param {object} [options.camera] - PitchCamera options (zoom limits, follow smoothing)
+     * @param {object} [options.kits] - Team kits { home, away }, see DEFAULT_TEAM_KITS
+     * @param {boolean|object} [options.accessibility] - PitchAccessibility options, false to leave it out
+     * @param {number} [options.changeTolerance] - Smallest position change that counts as an update, see StateChangeDetector
+     * @param {boolean|object} [options.jitterBuffer] - StatePlaybackBuffer options; false interpolates on arrival time instead
+     * @param {boolean|object} [options.deadReckoning] - DeadReckoning options; false holds the last state when the feed stalls
+     * @param {number} [options.stallThreshold] - Without the jitter buffer, extrapolate after this long without an update (ms)
+     * @param {string} [options.positionDebug] - Raw-vs-presented positions: "off" (default), "both" or "raw", see PositionLayerTracker
+     * @param {boolean|object} [options.diagnostics] - DiagnosticsHud options, true to show it from the start
+     * @param {object} [options.overlays] - MatchOverlayQueue options (animation lengths, per-kind overrides)
+     * @param {object} [options.eventMarkers] - PitchEventMarkers options (lifetime, filter, legend)
+     * @param {boolean} [options.scoreboard] - Draw the scoreboard and match clock (default true)
+     */
+    constructor(canvas, options = {}) {
+        if (!canvas) {
+            throw new Error("GameRenderer requires a canvas element");
+        }
+
+        this.canvas = canvas;
+        this.ctx = options.context || canvas.getContext("2d");
+        this.now = options.now || (() => performance.now());
+        if (options.frameLoop) {
+            this.requestFrame = callback => options.frameLoop.request(callback);
+            this.cancelFrame = id => options.frameLoop.cancel(id);
+        } else {
+            this.requestFrame = options.requestFrame || (callback => requestAnimationFrame(callback));
+            this.cancelFrame = options.cancelFrame || (id => cancelAnimationFrame(id));
+        }
+
+        // Tuning
+        this.stateDuration = options.stateDuration ?? 50; // Reduced further from 70ms
+        this.serverUpdateThreshold = options.serverUpdateThreshold ?? 2000; // If no update in 2 seconds, reset interpolation
+        this.stallThreshold = options.stallThreshold ?? 250; // About two and a half server steps
+        this.kickoffAnimationDuration = options.kickoffAnimationDuration ?? 5000; // Duration of kickoff animation in ms (increased to 5 seconds for more realistic movement)
+        this.goalCelebrationDuration = options.goalCelebrationDuration ?? 3000; // Auto-end celebration after 3 seconds
+        this.skipLogFrames = options.skipLogFrames ?? 120; // Only log every 120 frames to reduce console spam
+        this.maxRecordedStates = options.maxRecordedStates ?? 20000; // Cap on recorded states (a full match at the server update rate fits comfortably)
+        this.pitchOptions = options.pitch || {}; // Pitch size in metres, see PitchLayout
+        this.pitchLayout = null; // Cached layout, rebuilt when the canvas size changes
+
+        // Display sizing: drawing happens in CSS pixels, the backing store is scaled by the pixel ratio
+        this.responsive = options.responsive ?? true;
+        this.fillContainer = options.fillContainer ?? false;
+        this.devicePixelRatioOption = options.devicePixelRatio;
+        this.pixelRatio = 1;
+        this.viewWidth = canvas.width; // Drawing area in CSS pixels
+        this.viewHeight = canvas.height;
+        this.resizeObserver = null;
+
+        // Position history for the heatmap overlay (hidden until showHeatmap)
+        this.heatmap = new PlayerHeatmap({ pitch: this.pitchOptions, ...options.heatmap });
+
+        // Team kits, checked for clashes (the away team changes kit if needed)
+        this.kitStatus = resolveTeamKits(options.kits);
+        this.kits = { home: this.kitStatus.home, away: this.kitStatus.away };
+
+        // Possession and passing statistics built from the same state stream
+        this.statistics = new MatchStatistics();
+
+        // Game data and animation state
+        this.latestGameState = null;
+        this.previousGameState = null;
+        this.interpolatedState = null; // Added for smooth interpolation
+        // Reusable buffers for the per-frame pipeline (see copyGameStateInto) - no state is cloned per frame
+        this.frameStateBuffer = null; // Presented state: interpolation, anti-swarming, subtle movement, celebrations
+        this.frameBufferSourceId = null; // _stateId copied into the frame buffer as is (null once it is interpolated)
+        this.kickoffTargetBuffer = null; // Kickoff formation targets
+        this.replayStateBuffer = null; // Interpolated replay frame
+        this.interpolationProgress = 0; // Progress between states (0 to 1)
+        this.lastUpdateTime = 0; // Timestamp of last state update
+        this.lastServerUpdateTime = 0; // Track when we last received a server update
+        this.changeDetector = new StateChangeDetector({ tolerance: options.changeTolerance }); // To detect actual changes in state
+        this.droppedDuringKickoff = 0; // Updates ignored while the kickoff formation plays
+        this.receivedStates = 0; // Complete states taken in, before any filtering
+        // Plays states back by server time, a little behind real time (see StatePlaybackBuffer)
+        this.playbackBuffer = options.jitterBuffer === false ? null : new StatePlaybackBuffer(options.jitterBuffer || {});
+        this.playedState = null; // Last state playback has reached (jitter buffer only)
+        this.onStateReached = state => {
+            this.applyStateChange(this.playedState, state);
+            this.playedState = state;
+        };
+        // Carries play on for a moment when the feed stalls, then blends back (see DeadReckoning)
+        this.deadReckoning = options.deadReckoning === false ? null : new DeadReckoning(options.deadReckoning || {});
+        this.extrapolating = false; // The last frame was extrapolated
+        this.extrapolatedThisFrame = false;
+        // Raw server positions and what each cosmetic layer does to them (debug mode, off by default)
+        this.positionDebug = new PositionLayerTracker({ pitch: this.pitchOptions, mode: options.positionDebug });
+        // Frame rate and update flow overlay (hidden until showDiagnostics)
+        this.diagnostics = new DiagnosticsHud(timestamp => this.getDiagnosticsCounters(timestamp),
+            options.diagnostics === true ? { visible: true } : options.diagnostics || {});
+        // Messages for match moments (goal, kick-off, pause, full time, shots, ...); goals last as long as the celebration
+        this.overlays = new MatchOverlayQueue({
+            ...options.overlays,
+            overlays: { ...options.overlays?.overlays, goal: { duration: this.goalCelebrationDuration, ...options.overlays?.overlays?.goal } }
+        });
+        // Team names, score, clock and status badge across the top (see drawScoreboard)
+        this.scoreboardVisible = options.scoreboard ?? true;
+        // Where shots, saves, fouls, ... happened, fading out (see receiveGameEvent)
+        this.eventMarkers = new PitchEventMarkers(options.eventMarkers || {});
+        this.stateHashCounter = 0; // To track unique states
+        this.deltaBaseState = null; // Last full state with the delta updates applied so far
+        this.deltaPlayerIds = new Set(); // Players a delta may refer to (from the last keyframe)
+        this.pendingDelta = null; // Merged delta updates waiting for the next frame
+        this.droppedDeltas = 0; // Delta updates that could not be applied
+        this.isPassing = false;
+        this.passData = {}; // { startX, startY, endX, endY, startTime, duration, kind, receiverId }
+        this.animatedBallPosition = null; // Ball position drawn by the last frame while a pass was in flight
+        this.animatedBallBuffer = { x: 0, y: 0, kind: null }; // Reused for animatedBallPosition every frame
+        this.lastPossessorTeamId = null; // Team that last had the ball (bridges loose-ball spells)
+        this.interceptionFlash = null; // { playerId, startTime } highlight after an interception
+        this.minPassDuration = 250; // ms for the shortest ball flights
+        this.maxPassDuration = 1200; // ms for the longest ball flights
+        this.passDurationPerMetre = 25; // ms of flight per metre of pass distance
+        this.interceptionFlashDuration = 400;
+
+        // Ball motion overlays
+        this.showBallTrail = options.ballTrail ?? true;
+        this.showPredictedPath = options.predictedPath ?? false;
+        this.ballTrailDuration = 600; // ms of ball history kept in the trail
+        // Recently drawn ball positions { x, y, time }: a ring buffer, reused every frame
+        this.ballTrail = Array.from({ length: 128 }, () => ({ x: 0, y: 0, time: 0 }));
+        this.ballTrailStart = 0; // Index of the oldest point
+        this.ballTrailLength = 0; // Points in use
+
+        // Pointer interaction: hover tooltip and click-to-select
+        this.renderedState = null; // State drawn by the last frame (interpolated positions, used for hit-testing)
+        this.hoveredPlayerId = null;
+        this.selectedPlayerId = null;
+        this.selectionListeners = [];
+        this.onPointerMove = event => this.handlePointerMove(event);
+        this.onPointerLeave = () => {
+            this.dragStart = null;
+            this.setHoveredPlayer(null);
+        };
+        this.onPointerClick = event => this.handlePointerClick(event);
+
+        // Camera: wheel zoom, drag pan, double-click reset, optional follow of the ball or selected player
+        this.camera = new PitchCamera(options.camera);
+        this.cameraTarget = { x: 0, y: 0 }; // Follow target in canvas pixels, reused every frame
+        this.lastCameraUpdate = null;
+        this.dragStart = null; // { x, y } screen point where the current drag started
+        this.dragMoved = false; // True once a drag moved far enough to not count as a click
+        this.onPointerDown = event => this.handlePointerDown(event);
+        this.onPointerUp = () => { this.dragStart = null; };
+        this.onWheel = event => this.handleWheel(event);
+        this.onDoubleClick = () => this.resetCamera();
+
+        // Live announcements and a keyboard-navigable player list for assistive technology
+        this.accessibility = options.accessibility === false ? null : new PitchAccessibility(canvas, {
+            now: this.now,
+            onSelectPlayer: playerId => this.selectPlayer(playerId),
+            ...options.accessibility
+        });
+
+        if (typeof canvas.addEventListener === 'function') {
+            canvas.addEventListener("mousemove", this.onPointerMove);
+            canvas.addEventListener("mouseleave", this.onPointerLeave);
+            canvas.addEventListener("click", this.onPointerClick);
+            canvas.addEventListener("mousedown", this.onPointerDown);
+            canvas.addEventListener("mouseup", this.onPointerUp);
+            canvas.addEventListener("wheel", this.onWheel, { passive: false });
+            canvas.addEventListener("dblclick", this.onDoubleClick);
+        }
+        this.animationFrameId = null; // Scheduled frame while running, null when stopped
+        this.animationFrameCounter = 0; // Counter for animation frames
+        this.goalCelebrationStart = null; // Time when goal celebration started
+        this.goalCelebrationTeam = null; // Which team scored (for text display)
+        this.lastBallPosition = null; // Track last ball position for anti-swarming logic
+        this.matchRestarting = false; // Flag to indicate match is restarting (kickoff)
+        this.kickoffAnimationStart = null; // Time when kickoff animation started
+        this.blockStateUpdates = false; // Flag to block state updates during crucial animations
+        this.ignoreServerUpdatesUntil = 0; // Timestamp until which server updates should be ignored
+        this.playerMovementSpeeds = new Map(); // Store movement speeds for each player to make movement natural
+        this.running = false; // True between start() and stop()
+        this.disposed = false;
+
+        // Match replay recorder state
+        this.matchRecording = []; // Accepted states in arrival order: { gameTime, recordedAt, state }
+        this.replayActive = false; // True while the canvas is driven by the recording instead of the live feed
+        this.replayPlaying = false; // Play/pause flag for the replay
+        this.replaySpeed = 1; // Playback speed multiplier (1 = real time)
+        this.replayCursor = 0; // Replay position in ms, relative to the first recorded state
+        this.replayLastFrameTime = null; // Animation timestamp of the previous replay frame
+
+        this.onAnimationFrame = timestamp => {
+            this.animationFrameId = null;
+            this.frame(timestamp);
+        };
+
+        if (this.responsive) {
+            this.observeContainer();
+        }
+    }
+
+    // Current device pixel ratio (option override, then the browser's)
+    getDevicePixelRatio() {
+        const ratio = typeof this.devicePixelRatioOption === 'function'
+            ? this.devicePixelRatioOption()
+            : (this.devicePixelRatioOption ?? (typeof window !== 'undefined' ? window.devicePixelRatio : 1));
+        return ratio > 0 ? ratio : 1;
+    }
+
+    // Resize whenever the canvas container changes size
+    observeContainer() {
+        const container = this.canvas.parentElement;
+        if (container && typeof ResizeObserver !== 'undefined') {
+            this.resizeObserver = new ResizeObserver(() => this.resize());
+            this.resizeObserver.observe(container);
+        }
+        this.resize();
+    }
+
+    /**
+     * Match the backing store to the canvas' displayed size and the device pixel ratio
+     * The canvas fills its container's width; its height follows the pitch aspect ratio
+     * (or the container's height with fillContainer)
+     */
+    resize() {
+        if (!this.canvas || !this.ctx) return;
+
+        if (!this.canvas.style.width) {
+            this.canvas.style.width = "100%";
+        }
+        if (this.fillContainer) {
+            this.canvas.style.height = "100%";
+        }
+
+        const cssWidth = this.canvas.clientWidth;
+        if (!cssWidth) return; // Not displayed (yet) - keep the current size
+
+        if (!this.fillContainer) {
+            this.canvas.style.height = `${cssWidth / getPitchAspectRatio(this.pitchOptions)}px`;
+        }
+        const cssHeight = this.canvas.clientHeight || cssWidth / getPitchAspectRatio(this.pitchOptions);
+
+        const ratio = this.getDevicePixelRatio();
+        const backingWidth = Math.round(cssWidth * ratio);
+        const backingHeight = Math.round(cssHeight * ratio);
+        if (backingWidth === this.canvas.width && backingHeight === this.canvas.height &&
+            ratio === this.pixelRatio && cssWidth === this.viewWidth && cssHeight === this.viewHeight) {
+            return;
+        }
+
+        // Setting the size clears the canvas and resets the transform
+        this.canvas.width = backingWidth;
+        this.canvas.height = backingHeight;
+        this.ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+
+        this.pixelRatio = ratio;
+        this.viewWidth = cssWidth;
+        this.viewHeight = cssHeight;
+        this.pitchLayout = null;
+    }
+
+    // Start the animation loop (no-op if already running)
+    start() {
+        if (this.disposed || this.animationFrameId !== null) return;
+        this.running = true;
+        this.scheduleFrame();
+    }
+
+    // Stop the animation loop; state is kept so start() resumes where it left off
+    stop() {
+        this.running = false;
+        if (this.animationFrameId !== null) {
+            this.cancelFrame(this.animationFrameId);
+            this.animationFrameId = null;
+        }
+    }
+
+    // Stop the loop and release the canvas and all recorded state
+    dispose() {
+        this.stop();
+        if (this.resizeObserver) {
+            this.resizeObserver.disconnect();
+            this.resizeObserver = null;
+        }
+        if (this.canvas && typeof this.canvas.removeEventListener === 'function') {
+            this.canvas.removeEventListener("mousemove", this.onPointerMove);
+            this.canvas.removeEventListener("mouseleave", this.onPointerLeave);
+            this.canvas.removeEventListener("click", this.onPointerClick);
+            this.canvas.removeEventListener("mousedown", this.onPointerDown);
+            this.canvas.removeEventListener("mouseup", this.onPointerUp);
+            this.canvas.removeEventListener("wheel", this.onWheel);
+            this.canvas.removeEventListener("dblclick", this.onDoubleClick);
+        }
+        this.selectionListeners = [];
+        this.accessibility?.dispose();
+        this.accessibility = null;
+        this.deadReckoning?.reset();
+        this.disposed = true;
+        this.latestGameState = null;
+        this.previousGameState = null;
+        this.playedState = null;
+        this.interpolatedState = null;
+        this.frameStateBuffer = null;
+        this.kickoffTargetBuffer = null;
+        this.replayStateBuffer = null;
+        this.matchRecording = [];
+        this.canvas = null;
+        this.ctx = null;
+    }
+
+    // Pitch layout for the current drawing area (cached between frames)
+    getPitchLayout() {
+        // Without responsive sizing the drawing area is simply the canvas' own size
+        if (!this.responsive) {
+            this.viewWidth = this.canvas.width;
+            this.viewHeight = this.canvas.height;
+        }
+
+        const width = this.viewWidth;
+        const height = this.viewHeight;
+        if (!this.pitchLayout || !this.pitchLayout.matches(width, height, this.pitchOptions)) {
+            this.pitchLayout = new PitchLayout(width, height, this.pitchOptions);
+        }
+        return this.pitchLayout;
+    }
+
+    // Request the next animation frame while the renderer is running
+    scheduleFrame() {
+        if (this.running && this.animationFrameId === null) {
+            this.animationFrameId = this.requestFrame(this.onAnimationFrame);
+        }
+    }
+
+    /**
+     * Main handler for receiving game state updates from the server
+     * This can handle both SignalR push updates and direct responses from hub methods
+     * The newest full state is a keyframe: later delta updates (applyDelta) are applied on top of it
+     */
+    update(newGameState) {
+        if (this.disposed) return;
+        this.acceptState(newGameState, true);
+    }
+
+    /**
+     * Counts of the updates taken in and dropped, to check the change filter is not hiding movement
+     * @returns {object} { received, accepted, droppedUnchanged, droppedDuringKickoff, droppedLate, droppedDuplicate,
+     *     droppedDeltas, changeTolerance, extrapolating, playback: jitter buffer status or null }
+     */
+    getUpdateStats() {
+        const playback = this.playbackBuffer ? this.playbackBuffer.getStatus() : null;
+        return {
+            received: this.receivedStates,
+            accepted: this.changeDetector.accepted,
+            droppedUnchanged: this.changeDetector.dropped,
+            droppedDuringKickoff: this.droppedDuringKickoff,
+            droppedLate: playback ? playback.late : 0,
+            droppedDuplicate: playback ? playback.duplicates : 0,
+            droppedDeltas: this.droppedDeltas,
+            changeTolerance: this.changeDetector.tolerance,
+            extrapolating: this.extrapolating,
+            playback
+        };
+    }
+
+    // Smallest position change (normalized pitch units) that makes an update count as a change
+    setChangeTolerance(tolerance) {
+        this.changeDetector.setTolerance(tolerance);
+    }
+
+    /**
+     * Take in a complete state, from the server or built from delta updates
+     * @param {object} newGameState
+     * @param {boolean} [keyframe] - A full state from the server: deltas are rebased on it if it is the newest
+     */
+    acceptState(newGameState, keyframe = false) {
+        try {
+            if (newGameState) {
+                this.receivedStates++;
+                clientLog.recordState(newGameState);
+
+                // Order states by server time: late and duplicate ones are dropped, and older ones
+                // still ahead of playback only fill in the buffer
+                const order = this.playbackBuffer ? this.playbackBuffer.push(newGameState, this.now()) : "added";
+                if (order === "late" || order === "duplicate") {
+                    return;
                 }
-                
-                // Store previous state for interpolation
-                if (latestGameState) {
-                    previousGameState = JSON.parse(JSON.stringify(latestGameState));
+
+                // Only the newest full state is a base for deltas; an older one would undo them
+                if (keyframe && order === "added") {
+                    this.setDeltaKeyframe(newGameState);
+                }
+
+                // Every state in order feeds the heatmap and statistics, even if it is not animated
+                if (order === "added") {
+                    this.heatmap.addState(newGameState);
+                    this.statistics.processState(newGameState);
+                    this.accessibility?.processState(newGameState);
+                }
+
+                // Check if we should ignore updates during kickoff
+                if (this.blockStateUpdates || this.now() < this.ignoreServerUpdatesUntil) {
+                    this.droppedDuringKickoff++;
+                    if (this.animationFrameCounter % this.skipLogFrames === 0) {
+                        clientLog.debug("kickoff", "Ignoring server update during kickoff or other critical animation");
+                    }
+                    return; // Skip this update
+                }
+            
+                if (order === "reordered") {
+                    return;
                 }
+            
+                // Only update if something actually changed (the detector remembers the state when it did)
+                if (this.changeDetector.check(newGameState)) {
+                    if (this.animationFrameCounter % this.skipLogFrames === 0) {
+                        clientLog.debug("network", "State change detected - updating state");
+                    }
                 
-                // Update the latest state
-                latestGameState = JSON.parse(JSON.stringify(newGameState));
+                    // Store previous state for interpolation
+                    // Accepted states are never changed afterwards (frames draw from their own buffers),
+                    // so they can be kept without copying
+                    if (this.latestGameState) {
+                        this.previousGameState = this.latestGameState;
+                    }
                 
-                // Add metadata to track state
-                latestGameState._stateId = ++stateHashCounter;
-                latestGameState._receivedAt = performance.now();
+                    // Update the latest state (a shallow copy, so the metadata is not added to the caller's object)
+                    this.latestGameState = { ...newGameState };
                 
-                // Store signature for future comparisons
-                lastStateSignature = newSignature;
+                    // Add metadata to track state
+                    this.latestGameState._stateId = ++this.stateHashCounter;
+                    this.latestGameState._receivedAt = this.now();
+                    // Motion from another match says nothing about this one
+                    if (this.previousGameState && this.previousGameState.gameId !== this.latestGameState.gameId) {
+                        this.deadReckoning?.reset();
+                    }
+                    // One clock for keyframes and states built from deltas (which have no lastUpdateTime):
+                    // the jitter buffer's server clock, or arrival time without it
+                    this.deadReckoning?.observe(this.latestGameState, this.playbackBuffer
+                        ? this.playbackBuffer.getStateTime(this.latestGameState, this.latestGameState._receivedAt)
+                        : this.latestGameState._receivedAt);
                 
-                // Reset interpolation
-                interpolationProgress = 0;
-                lastUpdateTime = performance.now();
-                lastServerUpdateTime = performance.now();
+                    // Keep the accepted state in the match recording for replay
+                    this.recordGameState(this.latestGameState, this.latestGameState._receivedAt);
                 
-                // Track ball position for anti-swarming logic
-                if (latestGameState.ball?.position) {
-                    lastBallPosition = {
-                        x: latestGameState.ball.position.x,
-                        y: latestGameState.ball.position.y
-                    };
-                }
+                    // Reset interpolation
+                    this.interpolationProgress = 0;
+                    this.lastUpdateTime = this.now();
+                    this.lastServerUpdateTime = this.now();
                 
-                // Check for match restart conditions (after goal or match start)
-                if (previousGameState && previousGameState.status !== latestGameState.status) {
-                    const prevStatus = previousGameState ? previousGameState.status : -1;
-                    const newStatus = latestGameState.status;
-                    
-                    // Status 4 = GoalScored, Status 1 = InProgress, Status 0 = NotStarted
-                    // If transitioning from GoalScored to InProgress, or from NotStarted to InProgress
-                    if ((prevStatus === 4 && newStatus === 1) || (prevStatus === 0 && newStatus === 1)) {
-                        console.log("Match starting or restarting after goal - applying kickoff formation");
-                        
-                        // Reset player movement speeds for kickoff
-                        playerMovementSpeeds = {};
-                        
-                        // Trigger kickoff animation
-                        matchRestarting = true;
-                        kickoffAnimationStart = performance.now();
-                        
-                        // Block server updates during kickoff animation and for a short period after
-                        blockStateUpdates = true;
-                        ignoreServerUpdatesUntil = performance.now() + kickoffAnimationDuration + 1000;
-                        
-                        // Skip interpolation for immediate kickoff feedback
-                        interpolationProgress = 1;
+                    // Track ball position for anti-swarming logic
+                    if (this.latestGameState.ball?.position) {
+                        this.lastBallPosition = {
+                            x: this.latestGameState.ball.position.x,
+                            y: this.latestGameState.ball.position.y
+                        };
                     }
-                }
-                
-                // If status or possession changed, skip interpolation for immediate feedback
-                const statusChanged = previousGameState && previousGameState.status !== latestGameState.status;
-                const possessionChanged = previousGameState && previousGameState.ballPossession !== latestGameState.ballPossession;
                 
-                if (statusChanged || possessionChanged) {
-                    interpolationProgress = 1;
-                    console.log(`Critical state change (status: ${statusChanged}, possession: ${possessionChanged}) - skipping interpolation`);
-                }
-                
-                // If this is a goal state, trigger celebration
-                if (newGameState.status === 4 && !goalCelebrationStart) {
-                    goalCelebrationStart = performance.now();
-                    
-                    // Determine which team scored based on any score changes
-                    if (previousGameState && 
-                        previousGameState.homeTeam?.score !== undefined && 
-                        latestGameState.homeTeam?.score !== undefined) {
-                        if (latestGameState.homeTeam.score > previousGameState.homeTeam.score) {
-                            goalCelebrationTeam = "TeamA";
-                            console.log("Home team goal celebration started!");
-                        } else if (latestGameState.awayTeam?.score > previousGameState.awayTeam?.score) {
-                            goalCelebrationTeam = "TeamB";
-                            console.log("Away team goal celebration started!");
-                        } else {
-                            goalCelebrationTeam = null;
-                            console.log("Goal celebration started (unknown team)!");
-                        }
-                    } else {
-                        goalCelebrationTeam = null;
-                        console.log("Goal celebration started (unknown team)!");
+                    // Restarts, passes, the goal celebration and overlays; with the jitter buffer
+                    // frame() starts them once playback reaches this state, in step with the positions
+                    if (!this.playbackBuffer) {
+                        this.applyStateChange(this.previousGameState, this.latestGameState);
                     }
-                    
-                    // Auto-end celebration after 3 seconds
-                    setTimeout(() => {
-                        goalCelebrationStart = null;
-                        console.log("Goal celebration ended!");
-                        // Note: Keep goalCelebrationTeam to know which team should kickoff
-                    }, 3000);
-                }
-            } else {
-                // Skip updates with identical signatures to avoid repetitive animations
-                if (animationFrameCounter % (skipLogFrames * 10) === 0) {
-                    console.log("Received identical state update - ignoring to prevent animation repetition");
+                } else {
+                    // Skip unchanged updates to avoid repetitive animations
+                    if (this.animationFrameCounter % (this.skipLogFrames * 10) === 0) {
+                        clientLog.debug("network", "Received identical state update - ignoring to prevent animation repetition");
+                    }
+                    return; // Return early, don't process this update
                 }
-                return; // Return early, don't process this update
             }
+        } catch (error) {
+            clientLog.error("network", "Error in GameRenderer.update", error);
+        }
+    }
+
+    /**
+     * Start what a change between two states brings: the kickoff formation after a goal or
+     * at the start, the ball's flight to a new holder, the goal celebration and the status overlay
+     * Called as a state is accepted, or with the jitter buffer as playback reaches it
+     * @param {object} previous - The state shown before
+     * @param {object} state - The state that carries the change
+     */
+    applyStateChange(previous, state) {
+        // Check for match restart conditions (after goal or match start)
+        if (previous && previous.status !== state.status) {
+            const prevStatus = previous.status;
+            const newStatus = state.status;
+        
+            // Status 4 = GoalScored, Status 1 = InProgress, Status 0 = NotStarted
+            // If transitioning from GoalScored to InProgress, or from NotStarted to InProgress
+            if ((prevStatus === 4 && newStatus === 1) || (prevStatus === 0 && newStatus === 1)) {
+                clientLog.info("kickoff", "Match starting or restarting after goal - applying kickoff formation");
             
-            // --- Initialize Canvas and Start Animation Loop ONCE --- 
-            if (!isInitialized && newGameState) {
-                console.log("First valid GameState received, attempting initialization...");
-                canvas = document.getElementById("gameCanvas"); 
-                if (canvas) {
-                    ctx = canvas.getContext("2d");
-                    if (ctx) {
-                        console.log("Canvas context obtained successfully. Initializing animation loop.");
-                        isInitialized = true; // Set flag AFTER getting context
-                        
-                        // Stop any previous loop (paranoid check)
-                        if (animationFrameId) {
-                            cancelAnimationFrame(animationFrameId);
-                        }
-                        // Start the animation loop
-                        animationFrameId = requestAnimationFrame(animationLoop);
-                        console.log("Animation loop started by updateGameState.");
-                    } else {
-                         console.error("Failed to get 2D context from canvas element 'gameCanvas'.");
-                         // Do not set isInitialized = true, will retry on next update
-                    }
+                // Reset player movement speeds for kickoff
+                this.playerMovementSpeeds.clear();
+                // Players walk to the formation; their old motion must not be carried on
+                this.deadReckoning?.reset();
+            
+                // Trigger kickoff animation
+                this.matchRestarting = true;
+                this.kickoffAnimationStart = this.now();
+            
+                // Block server updates during kickoff animation and for a short period after
+                this.blockStateUpdates = true;
+                this.ignoreServerUpdatesUntil = this.now() + this.kickoffAnimationDuration + 1000;
+            
+                // Skip interpolation for immediate kickoff feedback
+                this.interpolationProgress = 1;
+            }
+        }
+    
+        // If status or possession changed, skip interpolation for immediate feedback
+        const statusChanged = previous && previous.status !== state.status;
+        const possessionChanged = previous && previous.ballPossession !== state.ballPossession;
+    
+        if (statusChanged || possessionChanged) {
+            this.interpolationProgress = 1;
+            clientLog.debug("interpolation", `Critical state change (status: ${statusChanged}, possession: ${possessionChanged}) - skipping interpolation`);
+        }
+    
+        // Fly the ball from the old holder to the new one so it does not jump
+        if (statusChanged || this.matchRestarting) {
+            this.isPassing = false;
+            this.lastPossessorTeamId = null; // Restarts are not passes
+        } else if (possessionChanged) {
+            this.startPossessionTransfer(previous, state);
+        }
+        const holder = findPlayerWithTeam(state, state.ballPossession);
+        if (holder) {
+            this.lastPossessorTeamId = holder.teamId;
+        }
+    
+        // If this is a goal state, trigger celebration
+        if (state.status === 4 && !this.goalCelebrationStart) {
+            this.goalCelebrationStart = this.now();
+        
+            // Determine which team scored based on any score changes
+            if (previous && 
+                previous.homeTeam?.score !== undefined && 
+                state.homeTeam?.score !== undefined) {
+                if (state.homeTeam.score > previous.homeTeam.score) {
+                    this.goalCelebrationTeam = "TeamA";
+                    clientLog.info("kickoff", "Home team goal celebration started");
+                } else if (state.awayTeam?.score > previous.awayTeam?.score) {
+                    this.goalCelebrationTeam = "TeamB";
+                    clientLog.info("kickoff", "Away team goal celebration started");
                 } else {
-                    console.error("Initialization attempt: Canvas element with id 'gameCanvas' not found! Will retry on next update.");
-                     // Do not set isInitialized = true, will retry on next update
+                    this.goalCelebrationTeam = null;
+                    clientLog.info("kickoff", "Goal celebration started (unknown team)");
                 }
+            } else {
+                this.goalCelebrationTeam = null;
+                clientLog.info("kickoff", "Goal celebration started (unknown team)");
             }
+            // The celebration is ended by frame() after goalCelebrationDuration
+        }
+
+        if (statusChanged) {
+            this.showStatusOverlay(previous.status, state);
         }
-    } catch (error) {
-        console.error("Error in updateGameState:", error);
     }
-}
 
-// Function to trigger a ball pass animation between two points
-function animateBallPass(startX, startY, endX, endY, duration = 750) {
-    isPassing = true;
-    passData = {
-        startX: startX,
-        startY: startY,
-        endX: endX,
-        endY: endY,
-        startTime: performance.now(),
-        duration: duration
-    };
-}
+    // Resynchronize delta updates on a full state; changes still waiting are superseded by it
+    setDeltaKeyframe(state) {
+        this.deltaBaseState = state;
+        this.pendingDelta = null;
+        this.deltaPlayerIds = new Set();
+        [state.homeTeam, state.awayTeam].forEach(team => {
+            (team?.players || []).forEach(player => {
+                if (player?.playerId) this.deltaPlayerIds.add(player.playerId);
+            });
+        });
+    }
 
-// Expose methods to the global scope for Blazor to call
-window.updateGameState = updateGameState;
+    /**
+     * Apply a partial update on top of the last known state
+     * Changes are merged and taken in once per frame, so a burst of per-player messages
+     * from one simulation step becomes one state. Deltas arriving before the first
+     * keyframe, for another game or for unknown players are dropped.
+     * @param {object} delta - Any of { gameId, status, gameTime, ballPossession,
+     *     ball: { position, velocityX, velocityY }, playerPositions: { playerId: { x, y } } }
+     * @returns {boolean} Whether anything was applied
+     */
+    applyDelta(delta) {
+        if (this.disposed || !delta) return false;
 
-// Initialization function - REMOVED as initialization is triggered by updateGameState
-/*
-function initializeGameAnimation() {
-    // ... removed implementation ...
-}
-*/
+        const base = this.deltaBaseState;
+        if (!base || (delta.gameId && base.gameId && delta.gameId !== base.gameId)) {
+            this.droppedDeltas++;
+            return false;
+        }
 
-// Ensure initialization runs after the DOM is loaded
-// You might call initializeGameAnimation() from your main script
-// after setting up the SignalR connection. For example:
-// document.addEventListener('DOMContentLoaded', initializeGameAnimation);
-// Or if using modules, export initializeGameAnimation and call it appropriately.
+        const pending = this.pendingDelta || { playerPositions: {} };
+        let applied = false;
 
-// If this script is loaded globally, this ensures init runs:
-/* // REMOVED Automatic Initialization
-if (document.readyState === "loading") {
-    document.addEventListener('DOMContentLoaded', initializeGameAnimation);
-} else {
-    // DOMContentLoaded has already fired
-    initializeGameAnimation();
-}
-*/ 
\ No newline at end of file
+        Object.entries(delta.playerPositions || {}).forEach(([playerId, position]) => {
+            if (!this.deltaPlayerIds.has(playerId) || !position) {
+                this.droppedDeltas++;
+                return;
+            }
+            pending.playerPositions[playerId] = { x: position.x, y: position.y };
+            applied = true;
+        });
+
+        if (delta.ball) {
+            pending.ball = { ...pending.ball };
+            if (delta.ball.position) pending.ball.position = { x: delta.ball.position.x, y: delta.ball.position.y };
+            if (delta.ball.velocityX !== undefined) pending.ball.velocityX = delta.ball.velocityX;
+            if (delta.ball.velocityY !== undefined) pending.ball.velocityY = delta.ball.velocityY;
+            applied = true;
+        }
+
+        ["status", "gameTime", "ballPossession"].forEach(key => {
+            if (delta[key] !== undefined) {
+                pending[key] = delta[key];
+                applied = true;
+            }
+        });
+
+        if (applied) {
+            this.pendingDelta = pending;
+        }
+        return applied;
+    }
+
+    // Build the next state from the keyframe and the merged deltas, then take it in
+    flushStateDeltas() {
+        const delta = this.pendingDelta;
+        const base = this.deltaBaseState;
+        if (!delta || !base) return;
+        this.pendingDelta = null;
+
+        // Copy only what changed; the rest is shared with the previous state
+        // Deltas carry no server timestamp: the jitter buffer times them by arrival instead
+        const next = { ...base, lastUpdateTime: null };
+        ["status", "gameTime", "ballPossession"].forEach(key => {
+            if (delta[key] !== undefined) next[key] = delta[key];
+        });
+        if (delta.ball) {
+            next.ball = { ...base.ball, ...delta.ball };
+        }
+        ["homeTeam", "awayTeam"].forEach(side => {
+            const team = base[side];
+            if (!team?.players?.some(player => delta.playerPositions[player?.playerId])) return;
+            next[side] = {
+                ...team,
+                players: team.players.map(player => {
+                    const position = player && delta.playerPositions[player.playerId];
+                    return position ? { ...player, position } : player;
+                })
+            };
+        });
+
+        this.deltaBaseState = next;
+        this.acceptState(next);
+    }
+
+    // Draw one animation frame; start() calls this from requestFrame
+    frame(timestamp) {
+        this.animationFrameCounter++;
+        if (this.animationFrameCounter % this.skipLogFrames === 0) { // Reduced logging frequency
+            clientLog.debug("render", `Animation loop running - Frame: ${this.animationFrameCounter}`);
+        }
+
+        // Guard against running after dispose or with a lost context
+        if (this.disposed || !this.ctx) { 
+            clientLog.warn("render", `Animation frame called but renderer is disposed or context missing. Frame: ${this.animationFrameCounter}`);
+            return; 
+        }
+        
+        this.diagnostics.recordFrame(timestamp);
+
+        // Take in delta updates received since the last frame
+        this.flushStateDeltas();
+
+        // Nothing to draw until the first state arrives
+        if (!this.latestGameState) {
+            this.scheduleFrame();
+            return;
+        }
+        
+        // Pick up devicePixelRatio changes (browser zoom, moving to another monitor)
+        if (this.responsive && this.getDevicePixelRatio() !== this.pixelRatio) {
+            this.resize();
+        }
+        
+        // With the jitter buffer, restarts, passes and the goal celebration start as playback reaches them
+        this.playbackBuffer?.forEachReached(timestamp, this.onStateReached);
+
+        // End the goal celebration once it has run its course
+        // Note: Keep goalCelebrationTeam to know which team should kickoff
+        if (this.goalCelebrationStart && timestamp - this.goalCelebrationStart >= this.goalCelebrationDuration) {
+            this.goalCelebrationStart = null;
+            clientLog.info("kickoff", "Goal celebration ended");
+        }
+    
+        // While replaying, draw from the recording instead of the live feed
+        // Live updates keep arriving in the background so going live is instant
+        if (this.replayActive) {
+            const replayState = this.getReplayFrame(timestamp);
+            if (replayState) {
+                this.render(replayState, null);
+                this.scheduleFrame();
+                return;
+            }
+        }
+    
+        // Check if we've gone too long without a server update
+        const timeSinceLastUpdate = timestamp - this.lastServerUpdateTime;
+        this.extrapolatedThisFrame = false;
+        const layers = this.positionDebug.enabled ? this.positionDebug : null;
+        if (timeSinceLastUpdate > this.serverUpdateThreshold && !this.matchRestarting) {
+            // If it's been too long since the last server update, stop interpolating and carry
+            // play on from the latest state for a moment (it then holds still)
+            // but don't do this during kickoff animation
+            this.interpolationProgress = 1;
+            this.presentExtrapolatedState(this.latestGameState, timestamp);
+        
+            if (this.animationFrameCounter % this.skipLogFrames === 0) {
+                clientLog.warn("network", `Server update timeout (${timeSinceLastUpdate.toFixed(0)}ms) - extrapolating from latest state`);
+            }
+        } else {
+            // Calculate interpolation progress
+            if (this.previousGameState && this.latestGameState) {
+                // Handle kickoff animation first (takes precedence)
+                if (this.matchRestarting && this.kickoffAnimationStart) {
+                    // During kickoff, ensure we use the kickoff formation regardless of other updates
+                    const kickoffProgress = Math.min((timestamp - this.kickoffAnimationStart) / this.kickoffAnimationDuration, 1);
+                
+                    // Apply cubic easing to make the motion more natural
+                    const easedKickoffProgress = 1 - Math.pow(1 - kickoffProgress, 3);
+                    layers?.begin(this.latestGameState);
+                
+                    if (kickoffProgress >= 1) {
+                        // Kickoff animation complete
+                        this.matchRestarting = false;
+                        this.kickoffAnimationStart = null;
+                        this.blockStateUpdates = false;
+                    
+                        // Start accepting server updates again
+                        this.ignoreServerUpdatesUntil = 0;
+                        clientLog.info("kickoff", "Kickoff complete - resuming normal game updates");
+                    
+                        // Reset the interpolation to use latest state
+                        this.interpolationProgress = 1;
+                        this.previousGameState = this.latestGameState;
+                    } else {
+                        // Block state updates until kickoff is complete
+                        this.blockStateUpdates = true;
+                    
+                        // Apply kickoff formation with natural movement
+                        const kickoffState = this.kickoffTargetBuffer =
+                            applyKickoffFormation(this.latestGameState, this.goalCelebrationTeam, this.kickoffTargetBuffer);
+                    
+                        // Use the current interpolated state as the base to avoid jumps
+                        if (!this.interpolatedState) {
+                            this.presentLatestState();
+                        }
+                        this.frameBufferSourceId = null; // Moved towards the formation from here on
+                    
+                        // Smoothly move players to their kickoff positions using variable speeds
+                        if (this.interpolatedState.homeTeam && this.interpolatedState.homeTeam.players && 
+                            kickoffState.homeTeam && kickoffState.homeTeam.players) {
+                            for (let idx = 0; idx < this.interpolatedState.homeTeam.players.length; idx++) {
+                                const player = this.interpolatedState.homeTeam.players[idx];
+                                if (player.position && idx < kickoffState.homeTeam.players.length && 
+                                    kickoffState.homeTeam.players[idx].position) {
+                                
+                                    const target = kickoffState.homeTeam.players[idx].position;
+                                    const playerKey = getPlayerKey("TeamA", idx);
+                                
+                                    // Calculate or retrieve movement speed
+                                    if (!this.playerMovementSpeeds.has(playerKey)) {
+                                        this.playerMovementSpeeds.set(playerKey, calculateMovementSpeed(
+                                            player.position.x, 
+                                            player.position.y, 
+                                            target.x, 
+                                            target.y
+                                        ));
+                                    }
+                                
+                                    // Apply natural easing movement with variable speed
+                                    // Different roles move at different speeds
+                                    let speedMultiplier = 1.0;
+                                    if (idx === 0) speedMultiplier = 0.8; // Goalkeepers move slower
+                                    else if (idx >= 9) speedMultiplier = 1.2; // Forwards move faster
+                                
+                                    const speed = this.playerMovementSpeeds.get(playerKey) * 
+                                        speedMultiplier * 
+                                        (kickoffProgress < 0.3 ? 1.2 : 1.0); // Initial acceleration
+                                
+                                    const dx = target.x - player.position.x;
+                                    const dy = target.y - player.position.y;
+                                
+                                    // Ease movement as player gets closer to target
+                                    const distToTarget = Math.sqrt(dx*dx + dy*dy);
+                                    const moveStep = Math.min(distToTarget, speed);
+                                
+                                    if (distToTarget > 0.001) {
+                                        player.position.x += (dx / distToTarget) * moveStep;
+                                        player.position.y += (dy / distToTarget) * moveStep;
+                                    }
+                                }
+                            }
+                        }
+                    
+                        if (this.interpolatedState.awayTeam && this.interpolatedState.awayTeam.players && 
+                            kickoffState.awayTeam && kickoffState.awayTeam.players) {
+                            for (let idx = 0; idx < this.interpolatedState.awayTeam.players.length; idx++) {
+                                const player = this.interpolatedState.awayTeam.players[idx];
+                                if (player.position && idx < kickoffState.awayTeam.players.length && 
+                                    kickoffState.awayTeam.players[idx].position) {
+                                
+                                    const target = kickoffState.awayTeam.players[idx].position;
+                                    const playerKey = getPlayerKey("TeamB", idx);
+                                
+                                    // Calculate or retrieve movement speed
+                                    if (!this.playerMovementSpeeds.has(playerKey)) {
+                                        this.playerMovementSpeeds.set(playerKey, calculateMovementSpeed(
+                                            player.position.x, 
+                                            player.position.y, 
+                                            target.x, 
+                                            target.y
+                                        ));
+                                    }
+                                
+                                    // Apply natural easing movement with variable speed
+                                    // Different roles move at different speeds
+                                    let speedMultiplier = 1.0;
+                                    if (idx === 0) speedMultiplier = 0.8; // Goalkeepers move slower
+                                    else if (idx >= 9) speedMultiplier = 1.2; // Forwards move faster
+                                
+                                    const speed = this.playerMovementSpeeds.get(playerKey) * 
+                                        speedMultiplier * 
+                                        (kickoffProgress < 0.3 ? 1.2 : 1.0); // Initial acceleration
+                                
+                                    const dx = target.x - player.position.x;
+                                    const dy = target.y - player.position.y;
+                                
+                                    // Ease movement as player gets closer to target
+                                    const distToTarget = Math.sqrt(dx*dx + dy*dy);
+                                    const moveStep = Math.min(distToTarget, speed);
+                                
+                                    if (distToTarget > 0.001) {
+                                        player.position.x += (dx / distToTarget) * moveStep;
+                                        player.position.y += (dy / distToTarget) * moveStep;
+                                    }
+                                }
+                            }
+                        }
+                    
+                        // Move ball to center
+                        if (this.interpolatedState.ball && this.interpolatedState.ball.position) {
+                            this.interpolatedState.ball.position.x = 0.5; // Center X
+                            this.interpolatedState.ball.position.y = 0.5; // Center Y
+                        }
+                    
+                        // With the jitter buffer, score, clock and status keep following playback
+                        const played = this.playedState;
+                        if (played) {
+                            copyScalarFields(this.interpolatedState, played, "homeTeam", "awayTeam", "ball");
+                            if (this.interpolatedState.homeTeam && played.homeTeam) {
+                                copyScalarFields(this.interpolatedState.homeTeam, played.homeTeam, "players");
+                            }
+                            if (this.interpolatedState.awayTeam && played.awayTeam) {
+                                copyScalarFields(this.interpolatedState.awayTeam, played.awayTeam, "players");
+                            }
+                        }
+                    
+                        // Clear ball possession during kickoff
+                        this.interpolatedState.ballPossession = null;
+                    }
+                    layers?.measure("kickoff", this.interpolatedState);
+                } else {
+                    // Regular interpolation (not during kickoff)
+                    // Reset player movement speeds when not in kickoff
+                    this.playerMovementSpeeds.clear();
+                
+                    // With the jitter buffer, play back the two states either side of the render time
+                    const sample = this.playbackBuffer?.sample(timestamp);
+                    if (sample?.underrun) {
+                        // Playback has caught up with the feed: carry on from the newest state
+                        this.interpolationProgress = 1;
+                        this.presentExtrapolatedState(sample.from, timestamp);
+                    } else if (sample) {
+                        this.interpolationProgress = sample.progress;
+                        this.interpolatedState = this.frameStateBuffer =
+                            interpolateGameState(sample.from, sample.to, sample.progress, this.frameStateBuffer, false);
+                        layers?.begin(this.interpolatedState);
+                    }
+                    // Otherwise, if this is a new update, reset the timer
+                    else if (timestamp - this.lastUpdateTime > this.stateDuration) {
+                        // Only use interpolation for small movements to avoid jumps during teleports
+                        this.interpolationProgress = 1;  // Fully transition to latestGameState
+                        this.previousGameState = this.latestGameState; // Reset previous to latest to prepare for next update
+                        this.lastUpdateTime = timestamp;
+                    } else {
+                        // Calculate smooth progress with improved easing for natural movement
+                        this.interpolationProgress = Math.min((timestamp - this.lastUpdateTime) / this.stateDuration, 1);
+                    
+                        // Use cubic ease-out for more natural movement
+                        // x = 1 - (1-t)³
+                        if (this.interpolationProgress < 1) {
+                            // Only apply easing if we're still interpolating
+                            // Easing is now handled in the interpolateGameState function
+                        }
+                    }
+                
+                    // Create interpolated state with enhanced movement
+                    if (!sample && timeSinceLastUpdate > this.stallThreshold) {
+                        this.presentExtrapolatedState(this.latestGameState, timestamp);
+                    } else if (!sample) {
+                        this.interpolatedState = this.frameStateBuffer =
+                            interpolateGameState(this.previousGameState, this.latestGameState, this.interpolationProgress, this.frameStateBuffer);
+                        layers?.begin(this.interpolatedState);
+                    }
+                    this.frameBufferSourceId = null;
+                
+                    // Apply anti-swarming logic to prevent too many players around the ball
+                    preventPlayerSwarm(this.interpolatedState, this.matchRestarting, layers);
+                
+                    // Add subtle natural movement to players when they seem stationary
+                    // This makes them look more alive even when not moving much
+                    if (this.interpolationProgress > 0.90) {
+                        // Apply subtle movement only when interpolation is mostly complete
+                        applySubtleMovement(this.interpolatedState, timestamp);
+                        layers?.measure("subtleMovement", this.interpolatedState);
+                    }
+                }
+            } else {
+                // If we don't have two states to interpolate between, just use the latest
+                this.presentLatestState();
+            }
+        }
+
+        this.blendAfterExtrapolation(timestamp);
+
+        let currentAnimatedBallPosition = null;
+
+        // Special handling for goal celebration (status = 4), in the state playback has reached
+        if ((this.playedState || this.latestGameState).status === 4 && this.goalCelebrationStart) {
+            const elapsedCelebration = timestamp - this.goalCelebrationStart;
+            // Pulsating effect on the ball during celebration
+            const pulseScale = 1 + 0.3 * Math.sin(elapsedCelebration / 200); // Slowed down pulsing
+        
+            // Move players in celebration pattern (small circular movements)
+            if (this.interpolatedState.homeTeam && this.interpolatedState.homeTeam.players) {
+                // Determine which team is celebrating (moves more)
+                const isScoringTeam = this.goalCelebrationTeam === "TeamA";
+                const movementScale = isScoringTeam ? 1.0 : 0.3; // Scoring team moves more
+            
+                for (let idx = 0; idx < this.interpolatedState.homeTeam.players.length; idx++) {
+                    const player = this.interpolatedState.homeTeam.players[idx];
+                    if (player.position) {
+                        // Slower celebration movements
+                        const angle = (elapsedCelebration / 400) + (idx * Math.PI / 5); // Slowed from 300
+                        const radius = 0.015 * movementScale; // Reduced from 0.02
+                        // Add oscillating motion to players
+                        player.position.x += Math.cos(angle) * radius * 0.01;
+                        player.position.y += Math.sin(angle) * radius * 0.01;
+                        // Clamp positions to field boundaries
+                        player.position.x = Math.max(0.05, Math.min(0.95, player.position.x));
+                        player.position.y = Math.max(0.05, Math.min(0.95, player.position.y));
+                    }
+                }
+            }
+        
+            // Also animate away team during celebration
+            if (this.interpolatedState.awayTeam && this.interpolatedState.awayTeam.players) {
+                // Determine which team is celebrating (moves more)
+                const isScoringTeam = this.goalCelebrationTeam === "TeamB";
+                const movementScale = isScoringTeam ? 1.0 : 0.3; // Scoring team moves more
+            
+                for (let idx = 0; idx < this.interpolatedState.awayTeam.players.length; idx++) {
+                    const player = this.interpolatedState.awayTeam.players[idx];
+                    if (player.position) {
+                        // Slower celebration movements
+                        const angle = (elapsedCelebration / 500) - (idx * Math.PI / 6); // Slowed from 400
+                        const radius = 0.012 * movementScale; // Reduced from 0.015
+                        // Add oscillating motion to players
+                        player.position.x += Math.cos(angle) * radius * 0.01;
+                        player.position.y += Math.sin(angle) * radius * 0.01;
+                        // Clamp positions to field boundaries
+                        player.position.x = Math.max(0.05, Math.min(0.95, player.position.x));
+                        player.position.y = Math.max(0.05, Math.min(0.95, player.position.y));
+                    }
+                }
+            }
+        
+            layers?.measure("celebration", this.interpolatedState);
+        
+            // Animate the ball for celebration
+            if (this.interpolatedState.ball && this.interpolatedState.ball.position) {
+                // Make the ball bounce during celebration
+                const bounceFactor = Math.abs(Math.sin(elapsedCelebration / 300) * 0.04); // Slowed from 200, reduced amplitude
+                currentAnimatedBallPosition = this.placeAnimatedBall(
+                    this.interpolatedState.ball.position.x,
+                    this.interpolatedState.ball.position.y - bounceFactor,
+                    null
+                );
+            }
+        }
+    
+        // Handle ball passing animation
+        else if (this.isPassing && this.passData.startTime) {
+            const passProgress = Math.min((timestamp - this.passData.startTime) / this.passData.duration, 1);
+            const kind = this.passData.kind || "pass";
+
+            // Follow the receiver as they move so the ball arrives at their feet
+            const receiver = findPlayerInState(this.interpolatedState, this.passData.receiverId);
+            if (receiver?.position) {
+                this.passData.endX = receiver.position.x;
+                this.passData.endY = receiver.position.y;
+            }
+        
+            // If pass is complete
+            if (passProgress >= 1) {
+                this.isPassing = false;
+                if (kind === "interception") {
+                    this.interceptionFlash = { playerId: this.passData.receiverId, startTime: timestamp };
+                }
+            } else {
+                // Passes ease out along a slight arc, interceptions are cut out flat and fast,
+                // loose balls roll and slow down
+                let easedProgress;
+                let arcHeight = 0;
+                if (kind === "interception") {
+                    easedProgress = passProgress;
+                } else if (kind === "loose") {
+                    easedProgress = 1 - Math.pow(1 - passProgress, 2);
+                } else {
+                    easedProgress = 1 - Math.pow(1 - passProgress, 3);
+                    arcHeight = this.passData.arc ? 0.04 : 0; // Reduced from 0.05 for lower arc
+                }
+                const arcFactor = Math.sin(easedProgress * Math.PI) * arcHeight;
+            
+                currentAnimatedBallPosition = this.placeAnimatedBall(
+                    this.passData.startX + (this.passData.endX - this.passData.startX) * easedProgress,
+                    this.passData.startY + (this.passData.endY - this.passData.startY) * easedProgress - arcFactor,
+                    kind
+                );
+            }
+        }
+        this.animatedBallPosition = currentAnimatedBallPosition;
+        layers?.finish(this.interpolatedState, currentAnimatedBallPosition);
+
+        // Render the current interpolated state (or in the raw debug mode, the server positions)
+        if (layers?.mode === "raw") {
+            this.render(layers.rawState, null);
+        } else {
+            this.render(this.interpolatedState, currentAnimatedBallPosition);
+        }
+    
+        // Continue the animation loop
+        this.scheduleFrame();
+    }
+
+    // Put the animated ball (pass flight or celebration bounce) at x, y in its reused buffer
+    placeAnimatedBall(x, y, kind) {
+        const ball = this.animatedBallBuffer;
+        ball.x = x;
+        ball.y = y;
+        ball.kind = kind;
+        return ball;
+    }
+
+    /**
+     * Present the latest state as it is
+     * It is copied into the frame buffer once per state, so per-frame effects such as the
+     * goal celebration keep building on it without touching the accepted state
+     */
+    presentLatestState() {
+        if (this.positionDebug.enabled) {
+            this.positionDebug.begin(this.latestGameState);
+        }
+        if (this.frameBufferSourceId === null || this.frameBufferSourceId !== this.latestGameState._stateId) {
+            this.frameStateBuffer = copyGameStateInto(this.frameStateBuffer, this.latestGameState);
+            this.frameBufferSourceId = this.latestGameState._stateId;
+        }
+        this.interpolatedState = this.frameStateBuffer;
+    }
+
+    /**
+     * Present a state carried forward to the current time (see DeadReckoning)
+     * Only live play is extrapolated; a paused or finished match, or a feed that has not
+     * stalled yet, is shown as it is
+     */
+    presentExtrapolatedState(baseState, timestamp) {
+        const elapsed = this.getStallTime(timestamp);
+        if (!this.deadReckoning || baseState.status !== 1 || !(elapsed > 0)) {
+            this.presentLatestState();
+            return;
+        }
+        if (this.positionDebug.enabled) {
+            this.positionDebug.begin(baseState);
+        }
+        this.interpolatedState = this.frameStateBuffer =
+            this.deadReckoning.extrapolate(baseState, elapsed, this.frameStateBuffer);
+        this.frameBufferSourceId = null;
+        this.extrapolatedThisFrame = true;
+        if (this.positionDebug.enabled) {
+            this.positionDebug.measure("extrapolation", this.interpolatedState);
+        }
+    }
+
+    // How long (ms) the feed has been dry: playback time past the newest buffered state,
+    // or without the jitter buffer, time past the stall threshold
+    getStallTime(timestamp) {
+        if (this.playbackBuffer) {
+            return this.playbackBuffer.getTimePastNewest(timestamp);
+        }
+        return timestamp - this.lastServerUpdateTime - this.stallThreshold;
+    }
+
+    // Remember extrapolated frames, and once real states take over again ease onto them
+    blendAfterExtrapolation(timestamp) {
+        if (!this.deadReckoning) return;
+
+        if (this.extrapolatedThisFrame) {
+            this.deadReckoning.capture(this.interpolatedState);
+            this.extrapolating = true;
+            return;
+        }
+        if (this.extrapolating) {
+            this.extrapolating = false;
+            if (!this.matchRestarting) {
+                this.deadReckoning.startBlend(timestamp);
+            }
+        }
+        if (!this.matchRestarting && this.deadReckoning.isBlending(timestamp) && this.deadReckoning.blend(this.interpolatedState, timestamp)) {
+            this.frameBufferSourceId = null; // The frame buffer no longer matches the latest state
+            if (this.positionDebug.enabled) {
+                this.positionDebug.measure("blend", this.interpolatedState);
+            }
+        }
+    }
+
+    // Main function to render the game field based on game state
+    render(gameState, currentAnimatedBallPosition) {
+        const ctx = this.ctx;
+        if (!ctx) {
+            clientLog.error("render", "GameRenderer.render called but ctx is null");
+            return;
+        }
+        if (!gameState) {
+            clientLog.warn("render", "GameRenderer.render called with null gameState");
+            return;
+        }
+
+        // Log the state being rendered (less frequently)
+        if (this.animationFrameCounter % this.skipLogFrames === 1 && clientLog.isEnabled("render", "debug")) {
+            const firstPlayer = gameState.homeTeam?.players?.[0];
+            clientLog.debug("render", `Rendering Frame: ${this.animationFrameCounter}, Ball Possession: ${gameState.ballPossession}, Status: ${gameState.status}`, {
+                firstHomePlayer: firstPlayer ? { playerId: firstPlayer.playerId, x: firstPlayer.position?.x, y: firstPlayer.position?.y } : null,
+                ball: gameState.ball?.position ? { x: gameState.ball.position.x, y: gameState.ball.position.y } : null
+            });
+        }
+
+        const layout = this.getPitchLayout();
+        const width = layout.canvasWidth;
+        const height = layout.canvasHeight;
+        this.renderedState = gameState;
+    
+        // Clear canvas
+        ctx.clearRect(0, 0, width, height);
+
+        // Everything on the pitch is drawn through the camera; text overlays stay in screen space
+        this.updateCamera(layout, gameState, currentAnimatedBallPosition);
+        ctx.save();
+        this.camera.apply(ctx);
+    
+        // Draw the pitch (letterboxed to its real proportions)
+        drawPitch(ctx, layout);
+
+        // Heatmap overlay sits on the grass, under the players
+        this.heatmap.draw(ctx, layout, this.now());
+
+        // Event markers too, so players stay readable on top of them
+        this.eventMarkers.draw(ctx, layout, this.kits, this.now());
+    
+        const numberFont = `${layout.metres(RENDER_SIZES.numberFont)}px Arial`; // Player numbers
+
+        // Draw players from Team A in their kit (the first player is the goalkeeper)
+        if (gameState.homeTeam && gameState.homeTeam.players) {
+            for (let idx = 0; idx < gameState.homeTeam.players.length; idx++) {
+                const player = gameState.homeTeam.players[idx];
+                const kit = idx === 0 ? this.kits.home.goalkeeper : this.kits.home;
+                const playerHasBall = gameState.ballPossession === player.playerId;
+                const x = layout.toCanvasX(player.position.x);
+                const y = layout.toCanvasY(player.position.y);
+                const radius = layout.metres(playerHasBall ? RENDER_SIZES.possessionPlayerRadius : RENDER_SIZES.playerRadius);
+            
+                // Draw player circle
+                drawPlayerKit(ctx, x, y, radius, kit, layout.metres(RENDER_SIZES.kitTrimWidth));
+            
+                // Draw player number
+                try {
+                    const playerNumber = getPlayerNumber(player.playerId); // Assumes format like TeamA_1
+                    ctx.fillStyle = kit.number; // Number color
+                    ctx.font = numberFont;
+                    ctx.textAlign = 'center';
+                    ctx.textBaseline = 'middle';
+                    ctx.fillText(playerNumber, x, y);
+                } catch (e) {
+                    clientLog.warn("render", `Could not parse player number from ID: ${player.playerId}`);
+                }
+
+                // If this player has the ball, highlight them
+                if (playerHasBall) {
+                    ctx.beginPath();
+                    ctx.arc(x, y, radius + layout.metres(RENDER_SIZES.possessionRingGap), 0, Math.PI * 2);
+                    ctx.strokeStyle = "yellow";
+                    ctx.lineWidth = layout.metres(RENDER_SIZES.possessionRingWidth);
+                    ctx.stroke();
+                }
+            }
+        }
+    
+        // Draw players from Team B in their kit (the first player is the goalkeeper)
+        if (gameState.awayTeam && gameState.awayTeam.players) {
+            for (let idx = 0; idx < gameState.awayTeam.players.length; idx++) {
+                const player = gameState.awayTeam.players[idx];
+                const kit = idx === 0 ? this.kits.away.goalkeeper : this.kits.away;
+                const playerHasBall = gameState.ballPossession === player.playerId;
+                const x = layout.toCanvasX(player.position.x);
+                const y = layout.toCanvasY(player.position.y);
+                const radius = layout.metres(playerHasBall ? RENDER_SIZES.possessionPlayerRadius : RENDER_SIZES.playerRadius);
+            
+                // Draw player circle
+                drawPlayerKit(ctx, x, y, radius, kit, layout.metres(RENDER_SIZES.kitTrimWidth));
+
+                // Draw player number
+                try {
+                    const playerNumber = getPlayerNumber(player.playerId); // Assumes format like TeamB_5
+                    ctx.fillStyle = kit.number; // Number color
+                    ctx.font = numberFont;
+                    ctx.textAlign = 'center';
+                    ctx.textBaseline = 'middle';
+                    ctx.fillText(playerNumber, x, y);
+                } catch (e) {
+                     clientLog.warn("render", `Could not parse player number from ID: ${player.playerId}`);
+                }
+            
+                // If this player has the ball, highlight them
+                if (playerHasBall) {
+                    ctx.beginPath();
+                    ctx.arc(x, y, radius + layout.metres(RENDER_SIZES.possessionRingGap), 0, Math.PI * 2);
+                    ctx.strokeStyle = "yellow";
+                    ctx.lineWidth = layout.metres(RENDER_SIZES.possessionRingWidth);
+                    ctx.stroke();
+                }
+            }
+        }
+    
+        // Selected player stays highlighted
+        const selected = findPlayerInState(gameState, this.selectedPlayerId);
+        if (selected?.position) {
+            ctx.save();
+            ctx.beginPath();
+            ctx.arc(layout.toCanvasX(selected.position.x), layout.toCanvasY(selected.position.y),
+                layout.metres(RENDER_SIZES.possessionPlayerRadius + RENDER_SIZES.possessionRingGap * 3), 0, Math.PI * 2);
+            ctx.strokeStyle = "white";
+            ctx.lineWidth = layout.metres(RENDER_SIZES.possessionRingWidth);
+            ctx.setLineDash([layout.metres(0.8), layout.metres(0.5)]);
+            ctx.stroke();
+            ctx.restore();
+        }
+    
+        // Ring around a player who just intercepted the ball
+        if (this.interceptionFlash) {
+            const flashProgress = (this.now() - this.interceptionFlash.startTime) / this.interceptionFlashDuration;
+            const interceptor = findPlayerInState(gameState, this.interceptionFlash.playerId);
+            if (flashProgress >= 1 || !interceptor?.position) {
+                this.interceptionFlash = null;
+            } else {
+                ctx.save();
+                ctx.globalAlpha = 1 - flashProgress;
+                ctx.beginPath();
+                ctx.arc(layout.toCanvasX(interceptor.position.x), layout.toCanvasY(interceptor.position.y),
+                    layout.metres(RENDER_SIZES.possessionPlayerRadius * (1.5 + flashProgress * 1.5)), 0, Math.PI * 2);
+                ctx.strokeStyle = "orange";
+                ctx.lineWidth = layout.metres(RENDER_SIZES.possessionRingWidth);
+                ctx.stroke();
+                ctx.restore();
+            }
+        }
+    
+        // Trail and predicted path go under the ball
+        const drawnBallPosition = currentAnimatedBallPosition || gameState.ball?.position;
+        if (drawnBallPosition) {
+            this.recordBallTrail(drawnBallPosition.x, drawnBallPosition.y);
+            if (this.showBallTrail) {
+                this.drawBallTrail(ctx, layout);
+            }
+        }
+        if (this.showPredictedPath && !currentAnimatedBallPosition) {
+            this.drawPredictedPath(ctx, layout, gameState);
+        }
+    
+        // --- Ball Drawing Logic ---
+        const ballOutlineWidth = layout.metres(RENDER_SIZES.ballOutlineWidth);
+        if (currentAnimatedBallPosition) {
+             // Draw ball at the animated position during a pass (loose balls a little larger)
+             const animatedBallRadius = layout.metres(currentAnimatedBallPosition.kind === "loose"
+                 ? RENDER_SIZES.looseBallRadius
+                 : RENDER_SIZES.ballRadius);
+             drawCircle(
+                 ctx,
+                 layout.toCanvasX(currentAnimatedBallPosition.x),
+                 layout.toCanvasY(currentAnimatedBallPosition.y),
+                 animatedBallRadius,
+                 "white"
+             );
+             // Add a black outline to the animated ball
+             ctx.beginPath();
+             ctx.arc(
+                 layout.toCanvasX(currentAnimatedBallPosition.x),
+                 layout.toCanvasY(currentAnimatedBallPosition.y),
+                 animatedBallRadius, 0, Math.PI * 2
+             );
+             ctx.strokeStyle = "black";
+             ctx.lineWidth = ballOutlineWidth;
+             ctx.stroke();
+
+        } else if (gameState.ball && gameState.ball.position) {
+            // Draw ball based on gameState if not currently animating a pass
+            const ballX = layout.toCanvasX(gameState.ball.position.x);
+            const ballY = layout.toCanvasY(gameState.ball.position.y);
+            const possessingPlayer = findPossessingPlayer(gameState);
+
+            // Draw the ball even if a player possesses it (like original)
+            // Highlight around the player shows possession clearly.
+            let ballRadius = layout.metres(RENDER_SIZES.ballRadius);
+            let ballColor = "white";
+
+            if (!possessingPlayer) {
+                 // Make ball slightly larger and outlined if free (and not mid-pass)
+                 ballRadius = layout.metres(RENDER_SIZES.looseBallRadius);
+                 drawCircle(ctx, ballX, ballY, ballRadius, ballColor);
+                 ctx.beginPath();
+                 ctx.arc(ballX, ballY, ballRadius, 0, Math.PI * 2);
+                 ctx.strokeStyle = "black";
+                 ctx.lineWidth = ballOutlineWidth;
+                 ctx.stroke();
+             } else {
+                  // Draw standard ball if possessed
+                  drawCircle(ctx, ballX, ballY, ballRadius, ballColor);
+             }
+        }
+    
+        // Debug mode: raw server positions as ghosts, joined to where the players are drawn
+        if (this.positionDebug.mode === "both" && gameState === this.interpolatedState) {
+            this.positionDebug.draw(ctx, layout, this.kits);
+        }
+    
+        ctx.restore(); // Back to screen space
+    
+        this.eventMarkers.drawLegend(ctx, layout, this.now());
+
+        if (this.scoreboardVisible) {
+            drawScoreboard(ctx, layout, gameState, this.kits, { scoringTeam: this.goalCelebrationTeam });
+        }
+
+        // Goal, kick-off, pause and event messages
+        this.overlays.draw(ctx, layout, this.now());
+
+        // Tooltip for the player under the pointer goes on top of everything
+        if (this.hoveredPlayerId) {
+            this.drawPlayerTooltip(ctx, layout, gameState, currentAnimatedBallPosition);
+        }
+
+        this.diagnostics.draw(ctx);
+    }
+
+    // Move the camera towards its follow target, smoothed over frame time
+    updateCamera(layout, gameState, currentAnimatedBallPosition) {
+        const now = this.now();
+        const elapsed = this.lastCameraUpdate === null ? 0 : now - this.lastCameraUpdate;
+        this.lastCameraUpdate = now;
+        this.camera.setViewport(layout.canvasWidth, layout.canvasHeight);
+
+        let target = null;
+        if (this.camera.followMode === "ball") {
+            target = currentAnimatedBallPosition || gameState.ball?.position;
+        } else if (this.camera.followMode === "player") {
+            target = findPlayerInState(gameState, this.selectedPlayerId)?.position;
+        }
+        if (target) {
+            this.cameraTarget.x = layout.toCanvasX(target.x);
+            this.cameraTarget.y = layout.toCanvasY(target.y);
+            this.camera.follow(this.cameraTarget, elapsed);
+        }
+    }
+
+    /**
+     * Camera follow mode
+     * @param {string} mode - "none", "ball" or "player" (the selected player)
+     */
+    setCameraFollow(mode) {
+        this.camera.followMode = ["ball", "player"].includes(mode) ? mode : "none";
+    }
+
+    // Zoom around the middle of the view, e.g. 2 to zoom in, 0.5 to zoom out
+    zoomCamera(factor) {
+        this.camera.zoomAt(this.camera.viewWidth / 2, this.camera.viewHeight / 2, factor);
+    }
+
+    resetCamera() {
+        this.camera.reset();
+    }
+
+    handleWheel(event) {
+        if (!this.canvas) return;
+        event.preventDefault(); // Zoom the pitch, not the page
+        const point = this.getPointerPosition(event);
+        this.camera.zoomAt(point.x, point.y, Math.exp(-event.deltaY * 0.0015));
+    }
+
+    handlePointerDown(event) {
+        if (!this.canvas || event.button !== 0) return;
+        this.dragStart = this.getPointerPosition(event);
+        this.dragMoved = false;
+    }
+
+    // Pointer position in drawing (CSS pixel) coordinates
+    getPointerPosition(event) {
+        const rect = this.canvas.getBoundingClientRect();
+        const contentWidth = this.canvas.clientWidth || rect.width;
+        const contentHeight = this.canvas.clientHeight || rect.height;
+        const layout = this.getPitchLayout();
+        return {
+            x: (event.clientX - rect.left - (this.canvas.clientLeft || 0)) * (contentWidth ? layout.canvasWidth / contentWidth : 1),
+            y: (event.clientY - rect.top - (this.canvas.clientTop || 0)) * (contentHeight ? layout.canvasHeight / contentHeight : 1)
+        };
+    }
+
+    /**
+     * Player drawn at a point of the canvas (screen coordinates), using the positions of the last frame
+     * @returns {string|null} playerId of the closest player within reach
+     */
+    hitTestPlayer(screenX, screenY) {
+        const state = this.renderedState;
+        if (!state) return null;
+        const layout = this.getPitchLayout();
+        const { x, y } = this.camera.toWorld(screenX, screenY);
+        const reach = layout.metres(RENDER_SIZES.possessionPlayerRadius) * 1.25; // A little forgiving for small canvases
+
+        let closest = null;
+        let closestDistance = reach;
+        [state.homeTeam, state.awayTeam].forEach(team => {
+            (team?.players || []).forEach(player => {
+                if (!player.position) return;
+                const distance = Math.hypot(layout.toCanvasX(player.position.x) - x, layout.toCanvasY(player.position.y) - y);
+                if (distance <= closestDistance) {
+                    closest = player.playerId;
+                    closestDistance = distance;
+                }
+            });
+        });
+        return closest;
+    }
+
+    handlePointerMove(event) {
+        if (!this.canvas) return;
+        const point = this.getPointerPosition(event);
+
+        // Dragging pans the camera and takes it off any follow target
+        if (this.dragStart && (event.buttons ?? 1) & 1) {
+            const dx = point.x - this.dragStart.x;
+            const dy = point.y - this.dragStart.y;
+            if (this.dragMoved || Math.hypot(dx, dy) > 3) {
+                this.dragMoved = true;
+                this.camera.followMode = "none";
+                this.camera.panBy(dx, dy);
+                this.dragStart = point;
+                this.setHoveredPlayer(null);
+                return;
+            }
+        }
+
+        this.setHoveredPlayer(this.hitTestPlayer(point.x, point.y));
+    }
+
+    handlePointerClick(event) {
+        if (!this.canvas) return;
+        if (this.dragMoved) {
+            this.dragMoved = false; // The end of a drag is not a click
+            return;
+        }
+        const point = this.getPointerPosition(event);
+        // Clicking a row of the event marker legend shows or hides that kind of event
+        const markerType = this.eventMarkers.hitTestLegend(point.x, point.y);
+        if (markerType) {
+            this.eventMarkers.toggleType(markerType);
+            return;
+        }
+        const playerId = this.hitTestPlayer(point.x, point.y);
+        // Clicking the selected player or the empty pitch clears the selection
+        this.selectPlayer(playerId === this.selectedPlayerId ? null : playerId);
+    }
+
+    setHoveredPlayer(playerId) {
+        this.hoveredPlayerId = playerId;
+        if (this.canvas?.style) {
+            this.canvas.style.cursor = playerId ? "pointer" : "";
+        }
+    }
+
+    /**
+     * Select a player (null clears the selection) and tell the selection listeners
+     * A heatmap showing a single player follows the selection
+     */
+    selectPlayer(playerId) {
+        playerId = playerId || null;
+        if (playerId === this.selectedPlayerId) return;
+        this.selectedPlayerId = playerId;
+
+        if (playerId && this.heatmap.visible && this.heatmap.playerId) {
+            this.heatmap.show({ playerId });
+        }
+
+        this.accessibility?.setSelectedPlayer(playerId);
+
+        const selection = this.getSelectedPlayer();
+        this.selectionListeners.forEach(listener => {
+            try {
+                listener(selection);
+            } catch (error) {
+                clientLog.error("general", "Error in player selection listener", error);
+            }
+        });
+    }
+
+    // Details of the selected player: { playerId, name, teamId, teamName }, or null
+    getSelectedPlayer() {
+        if (!this.selectedPlayerId) return null;
+        const state = this.renderedState || this.latestGameState;
+        const found = findPlayerWithTeam(state, this.selectedPlayerId);
+        const team = found && (state.homeTeam?.players?.includes(found.player) ? state.homeTeam : state.awayTeam);
+        return {
+            playerId: this.selectedPlayerId,
+            name: found?.player.name || this.selectedPlayerId,
+            teamId: found?.teamId || this.selectedPlayerId.split("_")[0],
+            teamName: team?.name || found?.teamId || ""
+        };
+    }
+
+    // Listener is called with getSelectedPlayer() whenever the selection changes
+    addSelectionListener(listener) {
+        if (typeof listener === 'function' && !this.selectionListeners.includes(listener)) {
+            this.selectionListeners.push(listener);
+        }
+    }
+
+    removeSelectionListener(listener) {
+        this.selectionListeners = this.selectionListeners.filter(l => l !== listener);
+    }
+
+    // Name, team and distance to the ball next to the hovered player
+    drawPlayerTooltip(ctx, layout, gameState, currentAnimatedBallPosition) {
+        const found = findPlayerWithTeam(gameState, this.hoveredPlayerId);
+        if (!found?.player.position) return;
+        const player = found.player;
+        const team = gameState.homeTeam?.players?.includes(player) ? gameState.homeTeam : gameState.awayTeam;
+
+        const lines = [player.name || player.playerId, team?.name || found.teamId];
+        const ball = currentAnimatedBallPosition || gameState.ball?.position;
+        if (ball) {
+            const dx = (ball.x - player.position.x) * layout.length;
+            const dy = (ball.y - player.position.y) * layout.width;
+            lines.push(gameState.ballPossession === player.playerId
+                ? "On the ball"
+                : `${Math.hypot(dx, dy).toFixed(1)} m from the ball`);
+        }
+
+        // Tooltip text stays at a readable screen size rather than scaling with the pitch
+        const fontSize = 12;
+        const padding = 6;
+        const lineHeight = fontSize + 4;
+        ctx.save();
+        ctx.font = `${fontSize}px Arial`;
+        const boxWidth = Math.max(...lines.map(line => ctx.measureText(line).width)) + padding * 2;
+        const boxHeight = lines.length * lineHeight + padding * 2 - 4;
+
+        // Place it above-right of the player (on screen, through the camera), flipped to stay on the canvas
+        const screen = this.camera.toScreen(layout.toCanvasX(player.position.x), layout.toCanvasY(player.position.y));
+        const playerX = screen.x;
+        const playerY = screen.y;
+        const offset = layout.metres(RENDER_SIZES.possessionPlayerRadius) * this.camera.zoom + 4;
+        let boxX = playerX + offset;
+        let boxY = playerY - offset - boxHeight;
+        if (boxX + boxWidth > layout.canvasWidth) boxX = playerX - offset - boxWidth;
+        if (boxY < 0) boxY = playerY + offset;
+
+        ctx.fillStyle = "rgba(0, 0, 0, 0.75)";
+        ctx.fillRect(boxX, boxY, boxWidth, boxHeight);
+        ctx.fillStyle = "white";
+        ctx.textAlign = "left";
+        ctx.textBaseline = "top";
+        lines.forEach((line, index) => {
+            ctx.font = index === 0 ? `bold ${fontSize}px Arial` : `${fontSize}px Arial`;
+            ctx.fillText(line, boxX + padding, boxY + padding + index * lineHeight);
+        });
+        ctx.restore();
+    }
+
+    // Remember where the ball was drawn; a jump (kickoff, replay seek) starts a new trail
+    recordBallTrail(x, y) {
+        const now = this.now();
+        const capacity = this.ballTrail.length;
+        if (this.ballTrailLength > 0) {
+            const last = this.getBallTrailPoint(this.ballTrailLength - 1);
+            if (Math.hypot(x - last.x, y - last.y) > 0.15) {
+                this.ballTrailLength = 0;
+            }
+        }
+        // Let go of points older than the trail, and of the oldest one when it is full
+        while (this.ballTrailLength > 0 &&
+            (now - this.ballTrail[this.ballTrailStart].time > this.ballTrailDuration || this.ballTrailLength === capacity)) {
+            this.ballTrailStart = (this.ballTrailStart + 1) % capacity;
+            this.ballTrailLength--;
+        }
+        const point = this.getBallTrailPoint(this.ballTrailLength);
+        point.x = x;
+        point.y = y;
+        point.time = now;
+        this.ballTrailLength++;
+    }
+
+    // Point index of the ball trail, 0 being the oldest
+    getBallTrailPoint(index) {
+        return this.ballTrail[(this.ballTrailStart + index) % this.ballTrail.length];
+    }
+
+    // Fading, narrowing line through the recent ball positions
+    drawBallTrail(ctx, layout) {
+        if (this.ballTrailLength < 2) return;
+        const now = this.now();
+        const maxWidth = layout.metres(RENDER_SIZES.ballRadius) * 1.5;
+
+        ctx.save();
+        ctx.lineCap = "round";
+        for (let i = 1; i < this.ballTrailLength; i++) {
+            const from = this.getBallTrailPoint(i - 1);
+            const to = this.getBallTrailPoint(i);
+            const freshness = 1 - (now - to.time) / this.ballTrailDuration;
+            if (freshness <= 0) continue;
+
+            ctx.beginPath();
+            ctx.moveTo(layout.toCanvasX(from.x), layout.toCanvasY(from.y));
+            ctx.lineTo(layout.toCanvasX(to.x), layout.toCanvasY(to.y));
+            ctx.strokeStyle = `rgba(255, 255, 255, ${(freshness * 0.5).toFixed(3)})`;
+            ctx.lineWidth = Math.max(maxWidth * freshness, 0.5);
+            ctx.stroke();
+        }
+        ctx.restore();
+    }
+
+    // Dashed line along the projected path of a loose ball, with a marker where it stops
+    drawPredictedPath(ctx, layout, gameState) {
+        const ball = gameState.ball;
+        if (!ball?.position || gameState.ballPossession) return; // The server only moves loose balls by velocity
+        const path = predictBallPath(ball.position, ball.velocityX, ball.velocityY);
+        if (path.length < 2) return;
+
+        ctx.save();
+        ctx.strokeStyle = "rgba(255, 255, 0, 0.8)";
+        ctx.lineWidth = layout.metres(RENDER_SIZES.ballOutlineWidth) * 2;
+        ctx.setLineDash([layout.metres(1), layout.metres(1)]);
+        ctx.beginPath();
+        ctx.moveTo(layout.toCanvasX(path[0].x), layout.toCanvasY(path[0].y));
+        path.slice(1).forEach(point => ctx.lineTo(layout.toCanvasX(point.x), layout.toCanvasY(point.y)));
+        ctx.stroke();
+
+        const end = path[path.length - 1];
+        ctx.setLineDash([]);
+        ctx.beginPath();
+        ctx.arc(layout.toCanvasX(end.x), layout.toCanvasY(end.y), layout.metres(RENDER_SIZES.ballRadius), 0, Math.PI * 2);
+        ctx.stroke();
+        ctx.restore();
+    }
+
+    /**
+     * Change the team kits; clashing kits are resolved as in resolveTeamKits
+     * @param {object} kits - { home, away }, each { primary, secondary, number, goalkeeper, alternate }
+     * @returns {object} Clash report: { clash, switched, warnings }
+     */
+    setTeamKits(kits) {
+        this.kitStatus = resolveTeamKits(kits);
+        this.kits = { home: this.kitStatus.home, away: this.kitStatus.away };
+        return this.getKitStatus();
+    }
+
+    getKitStatus() {
+        return {
+            clash: this.kitStatus.clash,
+            switched: this.kitStatus.switched,
+            warnings: [...this.kitStatus.warnings],
+            home: this.kits.home,
+            away: this.kits.away
+        };
+    }
+
+    // Turn the ball trail and predicted path overlays on or off
+    setBallOverlays(overlays = {}) {
+        if (overlays.trail !== undefined) {
+            this.showBallTrail = !!overlays.trail;
+            this.ballTrailLength = 0;
+        }
+        if (overlays.predictedPath !== undefined) {
+            this.showPredictedPath = !!overlays.predictedPath;
+        }
+    }
+
+    /**
+     * Show the raw server positions next to (or instead of) the presented ones
+     * @param {string} mode - "off", "both" (ghost markers and displacement lines) or "raw" (server positions only)
+     */
+    setPositionDebug(mode) {
+        this.positionDebug.setMode(mode);
+    }
+
+    // How far each cosmetic layer moved every player in the last frame, see PositionLayerTracker.getReport
+    getPositionDebugReport() {
+        return this.positionDebug.getReport();
+    }
+
+    // Counters the diagnostics HUD samples (see DiagnosticsHud)
+    getDiagnosticsCounters(timestamp) {
+        const stats = this.getUpdateStats();
+        return {
+            received: stats.received,
+            droppedUnchanged: stats.droppedUnchanged,
+            droppedDuringKickoff: stats.droppedDuringKickoff,
+            interpolationProgress: this.interpolationProgress,
+            stateId: this.latestGameState?._stateId ?? 0,
+            sinceLastUpdate: this.lastServerUpdateTime ? timestamp - this.lastServerUpdateTime : 0
+        };
+    }
+
+    showDiagnostics() {
+        this.diagnostics.show();
+    }
+
+    hideDiagnostics() {
+        this.diagnostics.hide();
+    }
+
+    // Show or hide the diagnostics HUD; returns whether it is now shown
+    toggleDiagnostics() {
+        return this.diagnostics.toggle();
+    }
+
+    // Latest diagnostics sample and recent history, see DiagnosticsHud.getSnapshot
+    getDiagnostics() {
+        return this.diagnostics.getSnapshot();
+    }
+
+    // Queue the message for a change of game status (a pause ends with the status)
+    showStatusOverlay(previousStatus, state) {
+        const now = this.now();
+        if (previousStatus === 2) {
+            this.overlays.dismiss("paused", now);
+        }
+        const overlay = overlayForStatusChange(previousStatus, state, this.kits, state.status === 4 ? this.goalCelebrationTeam : null);
+        if (overlay) {
+            this.overlays.push(overlay, now);
+        }
+    }
+
+    /**
+     * Show the message for a GameEvent from the hub (shots, saves, fouls, out of play, goals, ...)
+     * @param {object} gameEvent - { gameId, eventType (number or name), teamId, playerId, position, additionalData }
+     * @returns {boolean} Whether a message was queued
+     */
+    showGameEvent(gameEvent) {
+        const overlay = overlayForGameEvent(gameEvent, this.latestGameState, this.kits);
+        if (!overlay) return false;
+        clientLog.debug("render", `Game event overlay: ${overlay.title}`, gameEvent);
+        return this.overlays.push(overlay, this.now());
+    }
+
+    getOverlayStatus() {
+        return this.overlays.getStatus(this.now());
+    }
+
+    showScoreboard() {
+        this.scoreboardVisible = true;
+    }
+
+    hideScoreboard() {
+        this.scoreboardVisible = false;
+    }
+
+    /**
+     * Mark where a GameEvent happened (shots, saves, tackles, fouls, out of play, possession lost)
+     * @returns {boolean} Whether the event got a marker
+     */
+    addEventMarker(gameEvent) {
+        return this.eventMarkers.add(gameEvent, this.now());
+    }
+
+    showEventMarkers() {
+        this.eventMarkers.show();
+    }
+
+    hideEventMarkers() {
+        this.eventMarkers.hide();
+    }
+
+    // Draw only these event types, e.g. ["Shot", "Save"] (null = all)
+    setEventMarkerFilter(types) {
+        this.eventMarkers.setFilter(types);
+    }
+
+    clearEventMarkers() {
+        this.eventMarkers.clear();
+    }
+
+    getEventMarkerStatus() {
+        return this.eventMarkers.getStatus(this.now());
+    }
+
+    /**
+     * Trigger a ball flight animation between two points
+     * @param {object} [options]
+     * @param {string} [options.kind] - "pass" (teammate), "interception" (opponent) or "loose" (nobody)
+     * @param {string} [options.receiverId] - Player the ball is travelling to; the end point follows them
+     * @param {boolean} [options.arc] - Lift passes into a slight arc (default true)
+     */
+    animateBallPass(startX, startY, endX, endY, duration = 750, options = {}) {
+        this.isPassing = true;
+        this.passData = {
+            startX: startX,
+            startY: startY,
+            endX: endX,
+            endY: endY,
+            startTime: this.now(),
+            duration: duration,
+            kind: options.kind || "pass",
+            receiverId: options.receiverId || null,
+            arc: options.arc ?? true
+        };
+    }
+
+    // Flight time for a ball travelling between two normalized positions
+    getPassDuration(start, end) {
+        const dx = (end.x - start.x) * (this.pitchOptions.length ?? DEFAULT_PITCH_LENGTH);
+        const dy = (end.y - start.y) * (this.pitchOptions.width ?? DEFAULT_PITCH_WIDTH);
+        const duration = this.minPassDuration + Math.sqrt(dx * dx + dy * dy) * this.passDurationPerMetre;
+        return Math.min(Math.max(duration, this.minPassDuration), this.maxPassDuration);
+    }
+
+    /**
+     * Start the ball flight for a possession change between two accepted states
+     * Teammate to teammate is a pass, a change to the other team an interception,
+     * and possession lost to nobody rolls the ball to where it ended up
+     */
+    startPossessionTransfer(previous, current) {
+        if (!previous || !current || current.status !== 1) return;
+
+        // Start wherever the ball is drawn now: mid-flight, at the passer's feet or where it lay loose
+        const passer = findPlayerWithTeam(previous, previous.ballPossession);
+        const start = (this.isPassing && this.animatedBallPosition) || passer?.player.position || previous.ball?.position;
+        if (!start) return;
+
+        const receiver = findPlayerWithTeam(current, current.ballPossession);
+        if (!receiver) {
+            const end = current.ball?.position;
+            if (!end) return;
+            this.animateBallPass(start.x, start.y, end.x, end.y, this.getPassDuration(start, end), { kind: "loose" });
+            return;
+        }
+        if (!receiver.player.position) return;
+
+        const end = receiver.player.position;
+        const fromTeamId = passer?.teamId || this.lastPossessorTeamId;
+        const intercepted = fromTeamId && fromTeamId !== receiver.teamId;
+        const duration = this.getPassDuration(start, end) * (intercepted ? 0.8 : 1);
+
+        this.animateBallPass(start.x, start.y, end.x, end.y, duration, {
+            kind: intercepted ? "interception" : "pass",
+            receiverId: receiver.player.playerId,
+            arc: !!passer // Balls picked up after a loose spell are not lofted
+        });
+    }
+
+    // Add an accepted state to the match recording
+    recordGameState(state, recordedAt) {
+        if (!state) return;
+
+        this.matchRecording.push({
+            gameTime: getGameTimeSeconds(state.gameTime),
+            recordedAt: recordedAt,
+            // Accepted states are never changed, so the recording can share them
+            state: state
+        });
+
+        // Drop the oldest states once the cap is reached
+        if (this.matchRecording.length > this.maxRecordedStates) {
+            const previousStart = this.matchRecording[0].recordedAt;
+            this.matchRecording.splice(0, this.matchRecording.length - this.maxRecordedStates);
+
+            // Keep the replay cursor pointing at the same moment
+            if (this.replayActive) {
+                this.replayCursor = Math.max(0, this.replayCursor - (this.matchRecording[0].recordedAt - previousStart));
+            }
+        }
+    }
+
+    // Total length of the recording in ms
+    getRecordingDuration() {
+        if (this.matchRecording.length < 2) return 0;
+        return this.matchRecording[this.matchRecording.length - 1].recordedAt - this.matchRecording[0].recordedAt;
+    }
+
+    // Find the index of the last recorded state at or before the given replay offset (binary search)
+    findRecordingIndex(offset) {
+        if (this.matchRecording.length === 0) return -1;
+
+        const target = this.matchRecording[0].recordedAt + offset;
+        let low = 0;
+        let high = this.matchRecording.length - 1;
+
+        while (low < high) {
+            const mid = Math.ceil((low + high) / 2);
+            if (this.matchRecording[mid].recordedAt <= target) {
+                low = mid;
+            } else {
+                high = mid - 1;
+            }
+        }
+
+        return low;
+    }
+
+    // Build the state to show for the current replay position, advancing the cursor when playing
+    getReplayFrame(timestamp) {
+        if (this.matchRecording.length === 0) return null;
+
+        const duration = this.getRecordingDuration();
+
+        if (this.replayPlaying && this.replayLastFrameTime !== null) {
+            this.replayCursor += (timestamp - this.replayLastFrameTime) * this.replaySpeed;
+
+            // Stop at the end of the recording
+            if (this.replayCursor >= duration) {
+                this.replayCursor = duration;
+                this.replayPlaying = false;
+            }
+        }
+        this.replayLastFrameTime = timestamp;
+
+        const index = this.findRecordingIndex(this.replayCursor);
+        const current = this.matchRecording[index];
+        const next = this.matchRecording[index + 1];
+
+        if (!next) {
+            return current.state;
+        }
+
+        // Interpolate between the two recorded states around the cursor
+        const start = current.recordedAt - this.matchRecording[0].recordedAt;
+        const span = next.recordedAt - current.recordedAt;
+        const progress = span > 0 ? Math.min(Math.max((this.replayCursor - start) / span, 0), 1) : 1;
+
+        this.replayStateBuffer = interpolateGameState(current.state, next.state, progress, this.replayStateBuffer);
+        return this.replayStateBuffer;
+    }
+
+    // Enter replay mode, freezing on the given replay offset
+    enterReplay(offset) {
+        this.replayActive = true;
+        this.replayCursor = Math.min(Math.max(offset, 0), this.getRecordingDuration());
+        this.replayLastFrameTime = null;
+    }
+
+    /**
+     * Start or resume replay playback
+     * When called while live, playback starts from the beginning of the recording
+     */
+    playReplay() {
+        if (this.matchRecording.length === 0) {
+            clientLog.warn("general", "playReplay called but nothing has been recorded yet");
+            return;
+        }
+
+        if (!this.replayActive) {
+            this.enterReplay(0);
+        } else if (this.replayCursor >= this.getRecordingDuration()) {
+            // Restart when play is pressed at the end of the recording
+            this.replayCursor = 0;
+        }
+
+        this.replayPlaying = true;
+        this.replayLastFrameTime = null;
+    }
+
+    /**
+     * Pause replay playback
+     * When called while live, this freezes the canvas on the latest recorded moment
+     */
+    pauseReplay() {
+        if (this.matchRecording.length === 0) return;
+
+        if (!this.replayActive) {
+            this.enterReplay(this.getRecordingDuration());
+        }
+        this.replayPlaying = false;
+    }
+
+    /**
+     * Jump to the first recorded state at or after the given game time (in seconds)
+     * Enters replay mode (paused) if currently live
+     */
+    seekReplay(gameTimeSeconds) {
+        if (this.matchRecording.length === 0) return;
+
+        let entry = this.matchRecording.find(recorded => recorded.gameTime >= gameTimeSeconds);
+        if (!entry) {
+            entry = this.matchRecording[this.matchRecording.length - 1];
+        }
+
+        const offset = entry.recordedAt - this.matchRecording[0].recordedAt;
+        if (!this.replayActive) {
+            this.enterReplay(offset);
+        } else {
+            this.replayCursor = offset;
+            this.replayLastFrameTime = null;
+        }
+    }
+
+    // Set the playback speed multiplier (e.g. 0.25 for slow motion, 2 for double speed)
+    setReplaySpeed(speed) {
+        const parsedSpeed = Number(speed);
+        if (!isFinite(parsedSpeed) || parsedSpeed <= 0) {
+            clientLog.warn("general", `Ignoring invalid replay speed: ${speed}`);
+            return;
+        }
+        this.replaySpeed = parsedSpeed;
+    }
+
+    // Leave replay mode and go back to rendering the live feed
+    goLive() {
+        this.replayActive = false;
+        this.replayPlaying = false;
+        this.replayLastFrameTime = null;
+    }
+
+    // Copy of the recorded states, oldest first (used by the recording exporter)
+    getMatchRecording() {
+        return this.matchRecording.slice();
+    }
+
+    // Snapshot of the replay state for the page (all times in game seconds)
+    getReplayStatus() {
+        const first = this.matchRecording[0];
+        const last = this.matchRecording[this.matchRecording.length - 1];
+        const current = this.replayActive && first ? this.matchRecording[this.findRecordingIndex(this.replayCursor)] : last;
+
+        return {
+            isLive: !this.replayActive,
+            isPlaying: this.replayPlaying,
+            speed: this.replaySpeed,
+            recordedStates: this.matchRecording.length,
+            startGameTime: first ? first.gameTime : 0,
+            endGameTime: last ? last.gameTime : 0,
+            currentGameTime: current ? current.gameTime : 0
+        };
+    }
+
+    /**
+     * Show the heatmap overlay for a team or one player
+     * @param {object} target - { teamId } or { playerId }, optionally windowSeconds (null = whole match)
+     */
+    showHeatmap(target) {
+        this.heatmap.show(target);
+    }
+
+    hideHeatmap() {
+        this.heatmap.hide();
+    }
+
+    // Limit the heatmap to the last windowSeconds of game time (null = whole match)
+    setHeatmapWindow(windowSeconds) {
+        this.heatmap.setWindow(windowSeconds);
+    }
+
+    getHeatmapStatus() {
+        return this.heatmap.getStatus();
+    }
+
+    // Live possession and passing statistics, see MatchStatistics.getStats
+    getMatchStats() {
+        return this.statistics.getStats();
+    }
+}
+
+// Animation loop shared by every renderer created on this page
+const sharedFrameLoop = new SharedFrameLoop();
+
+// Default renderer for the page's #gameCanvas, created on the first state update
+let defaultGameRenderer = null;
+
+// Renderers for specific games (multi-match view): gameId -> GameRenderer
+const matchRenderers = new Map();
+
+// Get (or lazily create) the renderer bound to #gameCanvas
+function getDefaultGameRenderer() {
+    const canvas = document.getElementById("gameCanvas");
+    if (defaultGameRenderer && (!canvas || defaultGameRenderer.canvas === canvas)) {
+        return defaultGameRenderer;
+    }
+
+    if (!canvas) {
+        clientLog.error("render", "Canvas element with id 'gameCanvas' not found - will retry on next update");
+        return null;
+    }
+
+    // Blazor re-created the canvas element (e.g. a new game) - start over on the new one
+    if (defaultGameRenderer) {
+        defaultGameRenderer.dispose();
+        defaultGameRenderer = null;
+    }
+
+    try {
+        defaultGameRenderer = new GameRenderer(canvas, { frameLoop: sharedFrameLoop, kits: defaultTeamKits });
+    } catch (error) {
+        clientLog.error("render", "Failed to create the default GameRenderer", error);
+        return null;
+    }
+
+    if (!defaultGameRenderer.ctx) {
+        clientLog.error("render", "Failed to get 2D context from canvas element 'gameCanvas'");
+        defaultGameRenderer = null;
+        return null;
+    }
+
+    defaultGameRenderer.statistics.addListener(onDefaultMatchStatsChanged);
+    defaultGameRenderer.addSelectionListener(onDefaultPlayerSelected);
+
+    clientLog.info("render", "Default GameRenderer created for #gameCanvas");
+    return defaultGameRenderer;
+}
+
+/**
+ * Attach a canvas to a game so its states are drawn there (multi-match view)
+ * Each attached game gets its own renderer; all of them share one animation loop
+ * @param {string} gameId - Game whose states should be routed to this canvas
+ * @param {HTMLCanvasElement|string} canvasOrId - Canvas element (or its id)
+ * @param {object} [options] - Extra GameRenderer options
+ */
+function attachMatchCanvas(gameId, canvasOrId, options = {}) {
+    const canvas = typeof canvasOrId === 'string' ? document.getElementById(canvasOrId) : canvasOrId;
+    if (!gameId || !canvas) {
+        clientLog.error("render", `attachMatchCanvas: missing game id or canvas (game: ${gameId})`);
+        return false;
+    }
+
+    const existing = matchRenderers.get(gameId);
+    if (existing && existing.canvas === canvas) {
+        return true;
+    }
+    if (existing) {
+        existing.dispose();
+    }
+
+    const renderer = new GameRenderer(canvas, { ...options, frameLoop: sharedFrameLoop });
+    matchRenderers.set(gameId, renderer);
+    clientLog.info("render", `Canvas attached for game ${gameId} (${matchRenderers.size} attached)`);
+    return true;
+}
+
+// Stop drawing a game and release its renderer
+function detachMatchCanvas(gameId) {
+    const renderer = matchRenderers.get(gameId);
+    if (!renderer) return;
+
+    renderer.dispose();
+    matchRenderers.delete(gameId);
+    clientLog.info("render", `Canvas detached for game ${gameId}`);
+}
+
+// Renderer attached to a game, or null
+function getMatchRenderer(gameId) {
+    return matchRenderers.get(gameId) || null;
+}
+
+/**
+ * Main handler for receiving game state updates from the server (called by Blazor)
+ * States for attached games go to their own renderer; everything else feeds the
+ * default #gameCanvas renderer, whose animation loop starts on the first valid state
+ */
+function updateGameState(newGameState) {
+    if (!newGameState) return;
+
+    const matchRenderer = newGameState.gameId ? matchRenderers.get(newGameState.gameId) : null;
+    if (matchRenderer) {
+        matchRenderer.update(newGameState);
+        matchRenderer.start();
+        return;
+    }
+
+    const renderer = getDefaultGameRenderer();
+    if (!renderer) return;
+
+    renderer.update(newGameState);
+    renderer.start();
+}
+
+// Renderer a delta update for gameId goes to; deltas never create a renderer
+function getDeltaRenderer(gameId) {
+    return (gameId && matchRenderers.get(gameId)) || defaultGameRenderer;
+}
+
+// Ball velocity from the hub: { velocityX, velocityY } or { x, y }
+function toBallVelocity(velocity) {
+    if (!velocity || typeof velocity !== 'object') return {};
+    return {
+        velocityX: velocity.velocityX ?? velocity.x,
+        velocityY: velocity.velocityY ?? velocity.y
+    };
+}
+
+/**
+ * Delta updates (called by Blazor for the hub's UpdatePlayerPosition / UpdateBallPosition)
+ * The Silo does not send those messages yet, so for now only clients that push deltas use them.
+ * These move single players or the ball without sending a whole GameState; the last
+ * full state passed to updateGameState is the keyframe they are applied to
+ */
+function updatePlayerPosition(gameId, playerId, position) {
+    if (!playerId || !position) return false;
+    return getDeltaRenderer(gameId)?.applyDelta({ gameId, playerPositions: { [playerId]: position } }) ?? false;
+}
+
+function updateBallPosition(gameId, position, velocity) {
+    if (!position) return false;
+    return getDeltaRenderer(gameId)?.applyDelta({ gameId, ball: { position, ...toBallVelocity(velocity) } }) ?? false;
+}
+
+// Apply a GameStateUpdate ({ gameId, status, gameTime, ballPosition, playerPositions })
+function applyGameStateUpdate(update) {
+    if (!update) return false;
+    return getDeltaRenderer(update.gameId)?.applyDelta({
+        gameId: update.gameId,
+        status: update.status,
+        gameTime: update.gameTime,
+        ball: update.ballPosition ? { position: update.ballPosition } : undefined,
+        playerPositions: update.playerPositions
+    }) ?? false;
+}
+
+/**
+ * Game events from the hub's ReceiveGameEvent (called by Blazor)
+ * Shown as a message and a pitch marker on the attached renderer for the event's game,
+ * otherwise on the default one
+ */
+function receiveGameEvent(gameEvent) {
+    if (!gameEvent) return false;
+    const renderer = getDeltaRenderer(gameEvent.gameId);
+    if (!renderer) return false;
+    renderer.addEventMarker(gameEvent);
+    return renderer.showGameEvent(gameEvent);
+}
+
+// Replay controls for the default renderer
+function playReplay() {
+    defaultGameRenderer?.playReplay();
+}
+
+function pauseReplay() {
+    defaultGameRenderer?.pauseReplay();
+}
+
+function seekReplay(gameTimeSeconds) {
+    defaultGameRenderer?.seekReplay(gameTimeSeconds);
+}
+
+function setReplaySpeed(speed) {
+    defaultGameRenderer?.setReplaySpeed(speed);
+}
+
+function goLive() {
+    defaultGameRenderer?.goLive();
+}
+
+function getReplayStatus() {
+    return defaultGameRenderer ? defaultGameRenderer.getReplayStatus() : null;
+}
+
+// Heatmap controls for the page's default renderer
+// e.g. showHeatmap({ teamId: "TeamA", windowSeconds: 300 }) for the home team's last 5 minutes
+function showHeatmap(target) {
+    defaultGameRenderer?.showHeatmap(target);
+}
+
+function hideHeatmap() {
+    defaultGameRenderer?.hideHeatmap();
+}
+
+function setHeatmapWindow(windowSeconds) {
+    defaultGameRenderer?.setHeatmapWindow(windowSeconds);
+}
+
+function getHeatmapStatus() {
+    return defaultGameRenderer ? defaultGameRenderer.getHeatmapStatus() : null;
+}
+
+// e.g. setBallOverlays({ trail: true, predictedPath: true })
+function setBallOverlays(overlays) {
+    defaultGameRenderer?.setBallOverlays(overlays);
+}
+
+// e.g. setPositionDebug("both") to see where the server puts players, "off" to go back
+function setPositionDebug(mode) {
+    defaultGameRenderer?.setPositionDebug(mode);
+}
+
+// Scoreboard and match clock on the default renderer (shown by default)
+function showScoreboard() {
+    defaultGameRenderer?.showScoreboard();
+}
+
+function hideScoreboard() {
+    defaultGameRenderer?.hideScoreboard();
+}
+
+// Pitch event markers on the default renderer, e.g. setEventMarkerFilter(["Shot"])
+function showEventMarkers() {
+    defaultGameRenderer?.showEventMarkers();
+}
+
+function hideEventMarkers() {
+    defaultGameRenderer?.hideEventMarkers();
+}
+
+function setEventMarkerFilter(types) {
+    defaultGameRenderer?.setEventMarkerFilter(types);
+}
+
+function clearEventMarkers() {
+    defaultGameRenderer?.clearEventMarkers();
+}
+
+function getEventMarkerStatus() {
+    return defaultGameRenderer ? defaultGameRenderer.getEventMarkerStatus() : null;
+}
+
+function getPositionDebugReport() {
+    return defaultGameRenderer ? defaultGameRenderer.getPositionDebugReport() : null;
+}
+
+// Diagnostics HUD on the default renderer (FPS, update flow, interpolation)
+function showDiagnostics() {
+    defaultGameRenderer?.showDiagnostics();
+}
+
+function hideDiagnostics() {
+    defaultGameRenderer?.hideDiagnostics();
+}
+
+function toggleDiagnostics() {
+    return defaultGameRenderer ? defaultGameRenderer.toggleDiagnostics() : false;
+}
+
+function getDiagnostics() {
+    return defaultGameRenderer ? defaultGameRenderer.getDiagnostics() : null;
+}
+
+// Select a player on the default renderer (null clears the selection)
+function selectPlayer(playerId) {
+    defaultGameRenderer?.selectPlayer(playerId);
+}
+
+function getSelectedPlayer() {
+    return defaultGameRenderer ? defaultGameRenderer.getSelectedPlayer() : null;
+}
+
+// Blazor components told about player selection: { dotNetRef, methodName }
+const playerSelectionSubscribers = [];
+
+/**
+ * Call a .NET method with the selected player (or null) whenever the selection changes
+ * @param {DotNet.DotNetObject} dotNetRef - DotNetObjectReference from the page
+ * @param {string} methodName - [JSInvokable] method taking the selection
+ */
+function subscribePlayerSelection(dotNetRef, methodName) {
+    unsubscribePlayerSelection(dotNetRef);
+    playerSelectionSubscribers.push({ dotNetRef, methodName });
+}
+
+function unsubscribePlayerSelection(dotNetRef) {
+    const index = playerSelectionSubscribers.findIndex(s => s.dotNetRef === dotNetRef);
+    if (index >= 0) {
+        playerSelectionSubscribers.splice(index, 1);
+    }
+}
+
+// Selection listener for the default renderer
+function onDefaultPlayerSelected(selection) {
+    playerSelectionSubscribers.forEach(({ dotNetRef, methodName }) => {
+        dotNetRef.invokeMethodAsync(methodName, selection).catch(error => clientLog.error("network", "Error sending player selection", error));
+    });
+}
+
+// Kits for the default renderer, kept for renderers created later (new canvas, first update)
+let defaultTeamKits = null;
+
+// Team kits for the default renderer; returns the clash report
+function setTeamKits(kits) {
+    defaultTeamKits = kits;
+    return defaultGameRenderer ? defaultGameRenderer.setTeamKits(kits) : resolveTeamKits(kits);
+}
+
+// Camera controls for the default renderer
+function setCameraFollow(mode) {
+    defaultGameRenderer?.setCameraFollow(mode);
+}
+
+function zoomCamera(factor) {
+    defaultGameRenderer?.zoomCamera(factor);
+}
+
+function resetCamera() {
+    defaultGameRenderer?.resetCamera();
+}
+
+function getMatchStats() {
+    return defaultGameRenderer ? defaultGameRenderer.getMatchStats() : null;
+}
+
+// Update counts for the default renderer (accepted / dropped), see GameRenderer.getUpdateStats
+function getUpdateStats() {
+    return defaultGameRenderer ? defaultGameRenderer.getUpdateStats() : null;
+}
+
+function setChangeTolerance(tolerance) {
+    defaultGameRenderer?.setChangeTolerance(tolerance);
+}
+
+// Blazor components subscribed to statistics changes: { dotNetRef, methodName }
+const matchStatsSubscribers = [];
+const matchStatsMinInterval = 500; // ms between pushes to .NET
+let matchStatsLastSent = 0;
+let matchStatsTimer = null;
+
+/**
+ * Push the default renderer's statistics to a .NET object whenever they change
+ * @param {DotNet.DotNetObject} dotNetRef - DotNetObjectReference from the page
+ * @param {string} methodName - [JSInvokable] method taking the stats object
+ */
+function subscribeMatchStats(dotNetRef, methodName) {
+    unsubscribeMatchStats(dotNetRef);
+    matchStatsSubscribers.push({ dotNetRef, methodName });
+
+    const stats = getMatchStats();
+    if (stats) {
+        dotNetRef.invokeMethodAsync(methodName, stats).catch(error => clientLog.error("network", "Error sending match stats", error));
+    }
+}
+
+function unsubscribeMatchStats(dotNetRef) {
+    const index = matchStatsSubscribers.findIndex(s => s.dotNetRef === dotNetRef);
+    if (index >= 0) {
+        matchStatsSubscribers.splice(index, 1);
+    }
+}
+
+// Statistics listener for the default renderer; pushes are throttled to keep interop traffic down
+function onDefaultMatchStatsChanged() {
+    if (matchStatsSubscribers.length === 0 || matchStatsTimer) return;
+
+    const wait = Math.max(matchStatsLastSent + matchStatsMinInterval - performance.now(), 0);
+    matchStatsTimer = setTimeout(() => {
+        matchStatsTimer = null;
+        matchStatsLastSent = performance.now();
+        const stats = getMatchStats();
+        if (!stats) return;
+        matchStatsSubscribers.forEach(({ dotNetRef, methodName }) => {
+            dotNetRef.invokeMethodAsync(methodName, stats).catch(error => clientLog.error("network", "Error sending match stats", error));
+        });
+    }, wait);
+}
+
+// Renderer state for the diagnostics bundle (see downloadDiagnostics in logging.js)
+clientLog.setDiagnosticsSource("renderers", () => ({
+    default: defaultGameRenderer ? {
+        updateStats: defaultGameRenderer.getUpdateStats(),
+        hud: defaultGameRenderer.getDiagnostics(),
+        positionDebug: defaultGameRenderer.positionDebug.enabled ? defaultGameRenderer.getPositionDebugReport() : null,
+        replay: defaultGameRenderer.getReplayStatus(),
+        kits: defaultGameRenderer.getKitStatus(),
+        overlays: defaultGameRenderer.getOverlayStatus(),
+        eventMarkers: defaultGameRenderer.getEventMarkerStatus()
+    } : null,
+    matches: Array.from(matchRenderers, ([gameId, renderer]) => ({ gameId, updateStats: renderer.getUpdateStats() }))
+}));
+
+// Expose methods to the global scope for Blazor to call
+window.GameRenderer = GameRenderer;
+window.StateChangeDetector = StateChangeDetector;
+window.SharedFrameLoop = SharedFrameLoop;
+window.updateGameState = updateGameState;
+window.updatePlayerPosition = updatePlayerPosition;
+window.updateBallPosition = updateBallPosition;
+window.applyGameStateUpdate = applyGameStateUpdate;
+window.receiveGameEvent = receiveGameEvent;
+window.attachMatchCanvas = attachMatchCanvas;
+window.detachMatchCanvas = detachMatchCanvas;
+window.playReplay = playReplay;
+window.pauseReplay = pauseReplay;
+window.seekReplay = seekReplay;
+window.setReplaySpeed = setReplaySpeed;
+window.goLive = goLive;
+window.getReplayStatus = getReplayStatus;
+window.showHeatmap = showHeatmap;
+window.hideHeatmap = hideHeatmap;
+window.setHeatmapWindow = setHeatmapWindow;
+window.getHeatmapStatus = getHeatmapStatus;
+window.setBallOverlays = setBallOverlays;
+window.setPositionDebug = setPositionDebug;
+window.getPositionDebugReport = getPositionDebugReport;
+window.showScoreboard = showScoreboard;
+window.hideScoreboard = hideScoreboard;
+window.showEventMarkers = showEventMarkers;
+window.hideEventMarkers = hideEventMarkers;
+window.setEventMarkerFilter = setEventMarkerFilter;
+window.clearEventMarkers = clearEventMarkers;
+window.getEventMarkerStatus = getEventMarkerStatus;
+window.showDiagnostics = showDiagnostics;
+window.hideDiagnostics = hideDiagnostics;
+window.toggleDiagnostics = toggleDiagnostics;
+window.getDiagnostics = getDiagnostics;
+window.selectPlayer = selectPlayer;
+window.getSelectedPlayer = getSelectedPlayer;
+window.subscribePlayerSelection = subscribePlayerSelection;
+window.unsubscribePlayerSelection = unsubscribePlayerSelection;
+window.setTeamKits = setTeamKits;
+window.setCameraFollow = setCameraFollow;
+window.zoomCamera = zoomCamera;
+window.resetCamera = resetCamera;
+window.getMatchStats = getMatchStats;
+window.getUpdateStats = getUpdateStats;
+window.setChangeTolerance = setChangeTolerance;
+window.subscribeMatchStats = subscribeMatchStats;
+window.unsubscribeMatchStats = unsubscribeMatchStats;
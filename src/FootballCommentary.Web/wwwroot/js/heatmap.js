@@ -0,0 +1,315 @@
+/**
+ * Player and team heatmaps for the Football Commentary System
+ * PlayerHeatmap keeps every player position it is given (one sample per game state)
+ * and maintains a density grid over the pitch for the current target - a whole team
+ * or a single player - limited to a sliding window of game time.
+ * The grid is turned into a small cached image that GameRenderer draws over the pitch.
+ * Uses PitchLayout defaults from pitch.js and getGameTimeSeconds from scoreboard.js.
+ */
+
+const DEFAULT_HEATMAP_CELL_SIZE = 2; // metres per grid cell
+const DEFAULT_HEATMAP_MAX_SAMPLES = 60000; // roughly a full match of server updates
+
+class PlayerHeatmap {
+    /**
+     * @param {object} [options]
+     * @param {object} [options.pitch] - Pitch size in metres: { length, width } (defaults to 105x68)
+     * @param {number} [options.cellSize] - Grid cell size in metres
+     * @param {number} [options.maxSamples] - Cap on stored samples (oldest are dropped)
+     * @param {number} [options.opacity] - Overlay opacity (0-1)
+     * @param {number} [options.redrawInterval] - Minimum ms between rebuilding the overlay image
+     * @param {function(): HTMLCanvasElement} [options.createCanvas] - Factory for the offscreen canvas
+     */
+    constructor(options = {}) {
+        const pitch = options.pitch || {};
+        const cellSize = options.cellSize ?? DEFAULT_HEATMAP_CELL_SIZE;
+        this.columns = Math.max(Math.round((pitch.length ?? DEFAULT_PITCH_LENGTH) / cellSize), 1);
+        this.rows = Math.max(Math.round((pitch.width ?? DEFAULT_PITCH_WIDTH) / cellSize), 1);
+        this.grid = new Float64Array(this.columns * this.rows);
+
+        this.maxSamples = options.maxSamples ?? DEFAULT_HEATMAP_MAX_SAMPLES;
+        this.opacity = options.opacity ?? 0.6;
+        this.redrawInterval = options.redrawInterval ?? 250;
+        this.createCanvas = options.createCanvas ||
+            (() => typeof document !== 'undefined' ? document.createElement("canvas") : null);
+
+        // Players get a fixed slot so samples can be stored as flat arrays
+        this.playerSlots = new Map(); // playerId -> slot
+        this.slotTeams = []; // slot -> teamId
+
+        // Samples: { gameTime, positions: Float32Array [x0, y0, x1, y1, ...] (NaN when absent) }
+        this.samples = [];
+        this.firstSample = 0; // Index of the oldest kept sample (older entries await compaction)
+        this.windowStart = 0; // Index of the oldest sample counted in the grid
+        this.gameId = null; // Match the samples belong to
+
+        // What the grid currently shows
+        this.visible = false;
+        this.teamId = null;
+        this.playerId = null;
+        this.windowSeconds = null; // null = whole match
+
+        // Cached overlay image
+        this.image = null;
+        this.imageContext = null;
+        this.imageDirty = true;
+        this.lastImageTime = -Infinity;
+    }
+
+    /**
+     * Add the positions of one game state
+     * Only states from a running match are used, and a state is counted once per game time;
+     * states older than the last one counted are ignored
+     */
+    addState(state) {
+        if (!state || state.status !== 1) return; // Only while InProgress
+        const gameTime = getGameTimeSeconds(state.gameTime);
+
+        // A new match on the same page starts over
+        if (state.gameId && this.gameId && state.gameId !== this.gameId) {
+            this.clear();
+        }
+        this.gameId = state.gameId || this.gameId;
+
+        const last = this.samples[this.samples.length - 1];
+        if (last && this.samples.length > this.firstSample && gameTime <= last.gameTime) {
+            return; // Same moment delivered twice, or a late state from before it
+        }
+
+        const teams = [
+            { team: state.homeTeam, fallbackId: "TeamA" },
+            { team: state.awayTeam, fallbackId: "TeamB" }
+        ];
+        teams.forEach(({ team, fallbackId }) => {
+            (team?.players || []).forEach(player => {
+                if (player?.playerId && !this.playerSlots.has(player.playerId)) {
+                    this.playerSlots.set(player.playerId, this.slotTeams.length);
+                    this.slotTeams.push(team.teamId || fallbackId);
+                }
+            });
+        });
+
+        const positions = new Float32Array(this.slotTeams.length * 2).fill(NaN);
+        teams.forEach(({ team }) => {
+            (team?.players || []).forEach(player => {
+                if (!player?.position) return;
+                const slot = this.playerSlots.get(player.playerId);
+                if (slot === undefined) return;
+                positions[slot * 2] = player.position.x;
+                positions[slot * 2 + 1] = player.position.y;
+            });
+        });
+
+        const sample = { gameTime, positions };
+        this.samples.push(sample);
+        this.accumulate(sample, 1);
+
+        this.trimSamples();
+        this.applyWindow();
+    }
+
+    // Drop the oldest samples beyond maxSamples
+    trimSamples() {
+        while (this.samples.length - this.firstSample > this.maxSamples) {
+            if (this.windowStart === this.firstSample) {
+                this.accumulate(this.samples[this.firstSample], -1);
+                this.windowStart++;
+            }
+            this.samples[this.firstSample] = null;
+            this.firstSample++;
+        }
+
+        // Compact once the dropped prefix is large enough to be worth copying
+        if (this.firstSample > 0 && this.firstSample >= this.samples.length / 2) {
+            this.samples = this.samples.slice(this.firstSample);
+            this.windowStart -= this.firstSample;
+            this.firstSample = 0;
+        }
+    }
+
+    // Move the window start past samples that are too old, removing them from the grid
+    applyWindow(subtract = true) {
+        if (this.windowSeconds === null || this.samples.length === this.firstSample) return;
+        const newest = this.samples[this.samples.length - 1].gameTime;
+        while (this.windowStart < this.samples.length &&
+            this.samples[this.windowStart].gameTime < newest - this.windowSeconds) {
+            if (subtract) {
+                this.accumulate(this.samples[this.windowStart], -1);
+            }
+            this.windowStart++;
+        }
+    }
+
+    // Add (weight 1) or remove (weight -1) a sample's positions for the current target
+    accumulate(sample, weight) {
+        if (!this.teamId && !this.playerId) return;
+        const slotCount = sample.positions.length / 2;
+        const targetSlot = this.playerId ? this.playerSlots.get(this.playerId) : undefined;
+
+        for (let slot = 0; slot < slotCount; slot++) {
+            if (this.playerId ? slot !== targetSlot : this.slotTeams[slot] !== this.teamId) continue;
+            const x = sample.positions[slot * 2];
+            const y = sample.positions[slot * 2 + 1];
+            if (Number.isNaN(x) || Number.isNaN(y)) continue;
+            this.deposit(x, y, weight);
+        }
+        this.imageDirty = true;
+    }
+
+    // Spread a weight over the four cells around a normalized position (bilinear)
+    deposit(x, y, weight) {
+        const gx = Math.min(Math.max(x, 0), 1) * this.columns - 0.5;
+        const gy = Math.min(Math.max(y, 0), 1) * this.rows - 0.5;
+        const col = Math.floor(gx);
+        const row = Math.floor(gy);
+        const fx = gx - col;
+        const fy = gy - row;
+
+        this.addToCell(col, row, weight * (1 - fx) * (1 - fy));
+        this.addToCell(col + 1, row, weight * fx * (1 - fy));
+        this.addToCell(col, row + 1, weight * (1 - fx) * fy);
+        this.addToCell(col + 1, row + 1, weight * fx * fy);
+    }
+
+    addToCell(col, row, value) {
+        const c = Math.min(Math.max(col, 0), this.columns - 1);
+        const r = Math.min(Math.max(row, 0), this.rows - 1);
+        const index = r * this.columns + c;
+        // Guard against rounding drift when samples are removed again
+        this.grid[index] = Math.max(this.grid[index] + value, 0);
+    }
+
+    // Rebuild the grid from the stored samples for the current target and window
+    rebuild() {
+        this.grid.fill(0);
+        this.windowStart = this.firstSample;
+        this.applyWindow(false);
+        for (let i = this.windowStart; i < this.samples.length; i++) {
+            this.accumulate(this.samples[i], 1);
+        }
+        this.imageDirty = true;
+    }
+
+    /**
+     * Show the heatmap for a team or a single player
+     * @param {object} target
+     * @param {string} [target.teamId] - "TeamA" / "TeamB" for the whole team
+     * @param {string} [target.playerId] - A single player (takes precedence over teamId)
+     * @param {number|null} [target.windowSeconds] - Game seconds to include (null = whole match)
+     */
+    show(target = {}) {
+        this.teamId = target.playerId ? null : (target.teamId || null);
+        this.playerId = target.playerId || null;
+        if (target.windowSeconds !== undefined) {
+            this.windowSeconds = PlayerHeatmap.normalizeWindow(target.windowSeconds);
+        }
+        this.visible = !!(this.teamId || this.playerId);
+        this.rebuild();
+    }
+
+    hide() {
+        this.visible = false;
+    }
+
+    /**
+     * Change how far back the heatmap looks
+     * @param {number|null} windowSeconds - e.g. 300 for the last 5 minutes, null for the whole match
+     */
+    setWindow(windowSeconds) {
+        this.windowSeconds = PlayerHeatmap.normalizeWindow(windowSeconds);
+        this.rebuild();
+    }
+
+    static normalizeWindow(windowSeconds) {
+        return typeof windowSeconds === 'number' && windowSeconds > 0 && Number.isFinite(windowSeconds)
+            ? windowSeconds
+            : null;
+    }
+
+    clear() {
+        this.samples = [];
+        this.firstSample = 0;
+        this.windowStart = 0;
+        this.grid.fill(0);
+        this.imageDirty = true;
+    }
+
+    getStatus() {
+        return {
+            visible: this.visible,
+            teamId: this.teamId,
+            playerId: this.playerId,
+            windowSeconds: this.windowSeconds,
+            samples: this.samples.length - this.firstSample,
+            samplesInWindow: this.samples.length - this.windowStart
+        };
+    }
+
+    // Redraw the grid into the offscreen image (colour ramp relative to the busiest cell)
+    updateImage() {
+        if (!this.image) {
+            this.image = this.createCanvas();
+            if (!this.image) return false;
+            this.image.width = this.columns;
+            this.image.height = this.rows;
+            this.imageContext = this.image.getContext ? this.image.getContext("2d") : null;
+        }
+        if (!this.imageContext) return false;
+
+        let max = 0;
+        for (let i = 0; i < this.grid.length; i++) {
+            if (this.grid[i] > max) max = this.grid[i];
+        }
+
+        const imageData = this.imageContext.createImageData(this.columns, this.rows);
+        for (let i = 0; i < this.grid.length; i++) {
+            const density = max > 0 ? this.grid[i] / max : 0;
+            const [r, g, b] = heatmapColour(density);
+            imageData.data[i * 4] = r;
+            imageData.data[i * 4 + 1] = g;
+            imageData.data[i * 4 + 2] = b;
+            imageData.data[i * 4 + 3] = Math.round(Math.sqrt(density) * 255);
+        }
+        this.imageContext.putImageData(imageData, 0, 0);
+        this.imageDirty = false;
+        return true;
+    }
+
+    /**
+     * Draw the overlay onto the pitch area of a layout
+     * @param {CanvasRenderingContext2D} ctx
+     * @param {PitchLayout} layout
+     * @param {number} now - Current time in ms, used to throttle image rebuilds
+     */
+    draw(ctx, layout, now) {
+        if (!this.visible) return;
+        if (this.imageDirty && now - this.lastImageTime >= this.redrawInterval) {
+            if (!this.updateImage()) return;
+            this.lastImageTime = now;
+        }
+        if (!this.imageContext) return;
+
+        ctx.save();
+        ctx.globalAlpha = this.opacity;
+        ctx.imageSmoothingEnabled = true; // Blur the coarse grid when it is scaled up
+        ctx.drawImage(this.image, layout.left, layout.top, layout.pitchWidth, layout.pitchHeight);
+        ctx.restore();
+    }
+}
+
+// Blue -> cyan -> green -> yellow -> red for densities 0-1
+function heatmapColour(density) {
+    const stops = [
+        [0, 0, 255],
+        [0, 255, 255],
+        [0, 255, 0],
+        [255, 255, 0],
+        [255, 0, 0]
+    ];
+    const scaled = Math.min(Math.max(density, 0), 1) * (stops.length - 1);
+    const index = Math.min(Math.floor(scaled), stops.length - 2);
+    const t = scaled - index;
+    return stops[index].map((value, channel) => Math.round(value + (stops[index + 1][channel] - value) * t));
+}
+
+window.PlayerHeatmap = PlayerHeatmap;
@@ -0,0 +1,159 @@
+/**
+ * Team kits for the Football Commentary System
+ * A kit has primary and secondary colours, a number colour (worked out for contrast
+ * when not given), a goalkeeper kit and an alternate kit. resolveTeamKits checks the
+ * two teams against each other and switches to an alternate kit when they clash.
+ */
+
+const DEFAULT_TEAM_KITS = {
+    home: {
+        primary: "#FF3333",
+        secondary: "#FFFFFF",
+        goalkeeper: { primary: "#FFD600", secondary: "#000000" },
+        alternate: { primary: "#FFFFFF", secondary: "#FF3333" }
+    },
+    away: {
+        primary: "#3333FF",
+        secondary: "#FFFFFF",
+        goalkeeper: { primary: "#9C27B0", secondary: "#FFFFFF" },
+        alternate: { primary: "#FF9800", secondary: "#000000" }
+    }
+};
+
+// Colours closer than this (redmean distance, 0-765) are treated as a clash
+const KIT_CLASH_THRESHOLD = 150;
+
+/**
+ * Parse "#rgb", "#rrggbb" or "rgb(r, g, b)" into { r, g, b } (0-255)
+ * @returns {object|null} null when the colour is not understood
+ */
+function parseColour(colour) {
+    if (typeof colour !== 'string') return null;
+    const value = colour.trim();
+
+    let match = /^#([0-9a-f]{3})$/i.exec(value);
+    if (match) {
+        const [r, g, b] = match[1].split("").map(digit => parseInt(digit + digit, 16));
+        return { r, g, b };
+    }
+    match = /^#([0-9a-f]{6})$/i.exec(value);
+    if (match) {
+        return {
+            r: parseInt(match[1].slice(0, 2), 16),
+            g: parseInt(match[1].slice(2, 4), 16),
+            b: parseInt(match[1].slice(4, 6), 16)
+        };
+    }
+    match = /^rgba?\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)/i.exec(value);
+    if (match) {
+        return { r: Number(match[1]), g: Number(match[2]), b: Number(match[3]) };
+    }
+    return null;
+}
+
+// WCAG relative luminance (0 = black, 1 = white)
+function relativeLuminance({ r, g, b }) {
+    const linear = channel => {
+        const c = channel / 255;
+        return c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+    };
+    return 0.2126 * linear(r) + 0.7152 * linear(g) + 0.0722 * linear(b);
+}
+
+// WCAG contrast ratio between two colours (1-21)
+function contrastRatio(colourA, colourB) {
+    const a = parseColour(colourA);
+    const b = parseColour(colourB);
+    if (!a || !b) return 1;
+    const lighter = Math.max(relativeLuminance(a), relativeLuminance(b));
+    const darker = Math.min(relativeLuminance(a), relativeLuminance(b));
+    return (lighter + 0.05) / (darker + 0.05);
+}
+
+// Black or white, whichever reads better on the background
+function contrastingTextColour(background) {
+    return contrastRatio(background, "#000000") >= contrastRatio(background, "#FFFFFF") ? "#000000" : "#FFFFFF";
+}
+
+// Perceptual distance between two colours ("redmean" weighted RGB, 0-765)
+function colourDistance(colourA, colourB) {
+    const a = parseColour(colourA);
+    const b = parseColour(colourB);
+    if (!a || !b) return Infinity;
+    const meanRed = (a.r + b.r) / 2;
+    const dr = a.r - b.r;
+    const dg = a.g - b.g;
+    const db = a.b - b.b;
+    return Math.sqrt((2 + meanRed / 256) * dr * dr + 4 * dg * dg + (2 + (255 - meanRed) / 256) * db * db);
+}
+
+function kitsClash(kitA, kitB, threshold = KIT_CLASH_THRESHOLD) {
+    return colourDistance(kitA.primary, kitB.primary) < threshold;
+}
+
+// Fill in the missing colours of a kit (and its goalkeeper / alternate kits) from the defaults
+// A custom primary colour without a secondary gets a contrasting trim rather than the default one
+function normalizeKit(kit, fallback) {
+    kit = kit || {};
+    const colours = (value, base) => {
+        const primary = value?.primary || base.primary;
+        return {
+            primary,
+            secondary: value?.secondary || (value?.primary ? contrastingTextColour(primary) : base.secondary),
+            number: value?.number || contrastingTextColour(primary)
+        };
+    };
+
+    const alternate = kit.alternate || fallback.alternate;
+    return {
+        ...colours(kit, fallback),
+        goalkeeper: colours(kit.goalkeeper, fallback.goalkeeper),
+        alternate: alternate ? colours(alternate, fallback.alternate || alternate) : null
+    };
+}
+
+/**
+ * Work out the kits to draw for both teams
+ * When the outfield kits are too similar the away team (then the home team) changes
+ * into its alternate kit, and a warning is logged
+ * @param {object} [kits] - { home, away } kit configuration, see DEFAULT_TEAM_KITS
+ * @param {object} [options]
+ * @param {number} [options.threshold] - Clash threshold, see KIT_CLASH_THRESHOLD
+ * @returns {object} { home, away, clash, switched: null | "home" | "away", warnings: string[] }
+ */
+function resolveTeamKits(kits, options = {}) {
+    kits = kits || {};
+    const threshold = options.threshold ?? KIT_CLASH_THRESHOLD;
+    let home = normalizeKit(kits.home, DEFAULT_TEAM_KITS.home);
+    let away = normalizeKit(kits.away, DEFAULT_TEAM_KITS.away);
+    const warnings = [];
+    let switched = null;
+
+    const clash = kitsClash(home, away, threshold);
+    if (clash) {
+        if (away.alternate && !kitsClash(home, away.alternate, threshold)) {
+            away = { ...away.alternate, goalkeeper: away.goalkeeper, alternate: null };
+            switched = "away";
+        } else if (home.alternate && !kitsClash(home.alternate, away, threshold)) {
+            home = { ...home.alternate, goalkeeper: home.goalkeeper, alternate: null };
+            switched = "home";
+        }
+        warnings.push(switched
+            ? `Team kits clash (${kits.home?.primary || DEFAULT_TEAM_KITS.home.primary} vs ${kits.away?.primary || DEFAULT_TEAM_KITS.away.primary}) - ${switched} team switched to its alternate kit`
+            : "Team kits clash and no alternate kit resolves it");
+    }
+
+    // Goalkeepers must stand out from every outfield kit
+    [["home", home], ["away", away]].forEach(([side, kit]) => {
+        if (kitsClash(kit.goalkeeper, home, threshold) || kitsClash(kit.goalkeeper, away, threshold)) {
+            warnings.push(`The ${side} goalkeeper kit is too close to an outfield kit`);
+        }
+    });
+
+    warnings.forEach(warning => clientLog.warn("render", warning));
+    return { home, away, clash, switched, warnings };
+}
+
+window.DEFAULT_TEAM_KITS = DEFAULT_TEAM_KITS;
+window.resolveTeamKits = resolveTeamKits;
+window.contrastingTextColour = contrastingTextColour;
@@ -0,0 +1,274 @@
+/**
+ * Structured client logging for the Football Commentary System
+ * ClientLogger replaces direct console calls: every entry has a level and a category
+ * (network, interpolation, kickoff, render, general), and only entries at or above the
+ * configured level for their category are kept. Kept entries go to the console (unless
+ * turned off) and into a ring buffer, next to a ring buffer of recently received states.
+ * downloadDiagnostics() saves both, the configuration and whatever the registered
+ * diagnostics sources report (renderer statistics, HUD history) as one JSON file.
+ *
+ * Configure at runtime from the browser console, e.g.
+ *   configureLogging({ level: "debug", categories: { render: "warn" } })
+ * or pass persist: true to keep the configuration in localStorage across reloads.
+ */
+
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40, off: 100 };
+const LOG_CATEGORIES = ["network", "interpolation", "kickoff", "render", "general"];
+const LOGGING_STORAGE_KEY = "footballCommentary.logging";
+const DIAGNOSTICS_FORMAT = "football-client-diagnostics";
+const DIAGNOSTICS_VERSION = 1;
+
+class ClientLogger {
+    /**
+     * @param {object} [options]
+     * @param {string} [options.level] - Lowest level kept for categories without their own level (default "info")
+     * @param {object} [options.categories] - Per-category levels, e.g. { render: "debug" }
+     * @param {boolean} [options.console] - Also write kept entries to the console (default true)
+     * @param {number} [options.capacity] - Log entries kept
+     * @param {number} [options.stateCapacity] - Received states kept
+     * @param {function(): number} [options.now] - Clock in ms
+     */
+    constructor(options = {}) {
+        this.now = options.now || (() => performance.now());
+        this.level = "info";
+        this.categoryLevels = {};
+        this.consoleOutput = true;
+        this.capacity = 500;
+        this.stateCapacity = 50;
+        this.entries = [];
+        this.entryHead = 0; // Oldest entry once the buffer is full
+        this.states = [];
+        this.stateHead = 0;
+        this.sources = new Map(); // name -> function returning diagnostics to include in the bundle
+        this.configure(options);
+    }
+
+    /**
+     * Change the configuration; fields left out keep their value
+     * @param {object} config - { level, categories, console, capacity, stateCapacity }
+     * @returns {object} The configuration now in effect
+     */
+    configure(config = {}) {
+        if (config.level !== undefined) {
+            this.level = this.checkLevel(config.level, this.level);
+        }
+        if (config.categories) {
+            Object.entries(config.categories).forEach(([category, level]) => {
+                if (level === null) {
+                    delete this.categoryLevels[category];
+                } else {
+                    this.categoryLevels[category] = this.checkLevel(level, this.categoryLevels[category]);
+                }
+            });
+        }
+        if (config.console !== undefined) {
+            this.consoleOutput = !!config.console;
+        }
+        // A capacity of 0 (or less) turns the buffer off and empties it
+        if (config.capacity !== undefined && config.capacity !== this.capacity) {
+            this.capacity = Math.max(config.capacity, 0);
+            this.entries = this.keepNewest(this.getEntries(), this.capacity);
+            this.entryHead = 0;
+        }
+        if (config.stateCapacity !== undefined && config.stateCapacity !== this.stateCapacity) {
+            this.stateCapacity = Math.max(config.stateCapacity, 0);
+            this.states = this.keepNewest(this.getStates(), this.stateCapacity);
+            this.stateHead = 0;
+        }
+        return this.getConfig();
+    }
+
+    // The last capacity items (slice(-0) would keep them all)
+    keepNewest(items, capacity) {
+        return capacity > 0 ? items.slice(-capacity) : [];
+    }
+
+    checkLevel(level, fallback) {
+        if (LOG_LEVELS[level] !== undefined) return level;
+        console.warn(`Unknown log level "${level}" - expected one of ${Object.keys(LOG_LEVELS).join(", ")}`);
+        return fallback;
+    }
+
+    getConfig() {
+        return {
+            level: this.level,
+            categories: { ...this.categoryLevels },
+            console: this.consoleOutput,
+            capacity: this.capacity,
+            stateCapacity: this.stateCapacity
+        };
+    }
+
+    // Whether an entry of this category and level would be kept (check before building costly messages)
+    isEnabled(category, level) {
+        const threshold = this.categoryLevels[category] ?? this.level;
+        return LOG_LEVELS[level] >= LOG_LEVELS[threshold];
+    }
+
+    /**
+     * Log an entry
+     * @param {string} category - One of LOG_CATEGORIES
+     * @param {string} level - "debug", "info", "warn" or "error"
+     * @param {string} message
+     * @param {*} [data] - Extra detail, kept with the entry (errors are reduced to name, message and stack)
+     */
+    log(category, level, message, data) {
+        if (!this.isEnabled(category, level)) return;
+
+        const entry = {
+            time: new Date().toISOString(),
+            t: Math.round(this.now()),
+            level,
+            category,
+            message
+        };
+        if (data !== undefined) {
+            entry.data = data instanceof Error ? { name: data.name, message: data.message, stack: data.stack } : data;
+        }
+        this.push(this.entries, entry, this.capacity, "entryHead");
+
+        if (this.consoleOutput) {
+            const write = level === "error" ? console.error : level === "warn" ? console.warn : level === "debug" ? console.debug : console.log;
+            if (data !== undefined) {
+                write(`[${category}] ${message}`, data);
+            } else {
+                write(`[${category}] ${message}`);
+            }
+        }
+    }
+
+    debug(category, message, data) {
+        this.log(category, "debug", message, data);
+    }
+
+    info(category, message, data) {
+        this.log(category, "info", message, data);
+    }
+
+    warn(category, message, data) {
+        this.log(category, "warn", message, data);
+    }
+
+    error(category, message, data) {
+        this.log(category, "error", message, data);
+    }
+
+    // Keep a received game state (by reference; states are not changed after they arrive)
+    recordState(state) {
+        if (!state || this.stateCapacity <= 0) return;
+        this.push(this.states, { t: Math.round(this.now()), state }, this.stateCapacity, "stateHead");
+    }
+
+    // Add to a ring buffer: append until full, then overwrite the oldest
+    push(buffer, item, capacity, headField) {
+        if (capacity <= 0) return;
+        if (buffer.length < capacity) {
+            buffer.push(item);
+        } else {
+            buffer[this[headField]] = item;
+            this[headField] = (this[headField] + 1) % capacity;
+        }
+    }
+
+    // Buffer contents oldest first
+    ordered(buffer, head) {
+        return buffer.slice(head).concat(buffer.slice(0, head));
+    }
+
+    /**
+     * Kept entries, oldest first
+     * @param {object} [filter] - { category, level: lowest level to include }
+     */
+    getEntries(filter = {}) {
+        return this.ordered(this.entries, this.entryHead).filter(entry =>
+            (!filter.category || entry.category === filter.category) &&
+            (!filter.level || LOG_LEVELS[entry.level] >= LOG_LEVELS[filter.level]));
+    }
+
+    getStates() {
+        return this.ordered(this.states, this.stateHead);
+    }
+
+    clear() {
+        this.entries = [];
+        this.entryHead = 0;
+        this.states = [];
+        this.stateHead = 0;
+    }
+
+    // Include the result of a function in every diagnostics bundle (null removes it)
+    setDiagnosticsSource(name, source) {
+        if (source) {
+            this.sources.set(name, source);
+        } else {
+            this.sources.delete(name);
+        }
+    }
+
+    // Everything needed to look into a problem report, as one JSON-ready object
+    buildDiagnostics() {
+        const sources = {};
+        this.sources.forEach((source, name) => {
+            try {
+                sources[name] = source();
+            } catch (error) {
+                sources[name] = { error: error.message };
+            }
+        });
+        return {
+            format: DIAGNOSTICS_FORMAT,
+            version: DIAGNOSTICS_VERSION,
+            createdAt: new Date().toISOString(),
+            userAgent: typeof navigator !== 'undefined' ? navigator.userAgent : null,
+            url: typeof location !== 'undefined' ? location.href : null,
+            config: this.getConfig(),
+            sources,
+            entries: this.getEntries(),
+            states: this.getStates()
+        };
+    }
+}
+
+const clientLog = new ClientLogger(loadLoggingConfig());
+
+// Configuration saved with configureLogging(config, true), or nothing
+function loadLoggingConfig() {
+    try {
+        const saved = typeof localStorage !== 'undefined' ? localStorage.getItem(LOGGING_STORAGE_KEY) : null;
+        return saved ? JSON.parse(saved) : {};
+    } catch (error) {
+        return {};
+    }
+}
+
+/**
+ * Change the logging configuration at runtime, see ClientLogger.configure
+ * @param {object} config
+ * @param {boolean} [persist] - Also keep it in localStorage for the next page load
+ */
+function configureLogging(config, persist = false) {
+    const applied = clientLog.configure(config);
+    if (persist && typeof localStorage !== 'undefined') {
+        localStorage.setItem(LOGGING_STORAGE_KEY, JSON.stringify(applied));
+    }
+    return applied;
+}
+
+// Save the diagnostics bundle as a .json file to attach to a bug report
+function downloadDiagnostics(fileName) {
+    const bundle = clientLog.buildDiagnostics();
+    const blob = new Blob([JSON.stringify(bundle, null, 1)], { type: "application/json" });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = fileName || `football-diagnostics-${bundle.createdAt.replace(/[:.]/g, "-")}.json`;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+}
+
+window.ClientLogger = ClientLogger;
+window.clientLog = clientLog;
+window.configureLogging = configureLogging;
+window.downloadDiagnostics = downloadDiagnostics;
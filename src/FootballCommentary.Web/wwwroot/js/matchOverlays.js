@@ -0,0 +1,336 @@
+/**
+ * Match moment overlays
+ * MatchOverlayQueue shows one on-canvas message at a time ("GOAL!", "KICK-OFF", "SHOT", ...)
+ * with an enter and exit animation. Messages wait in a queue ordered by priority; one with a
+ * higher priority than the message on screen cuts it short, and minor messages that waited
+ * too long are dropped. overlayForStatusChange and overlayForGameEvent turn game status
+ * transitions and the hub's GameEvent objects into messages. Drawn in screen space, sized in
+ * metres with RENDER_SIZES from football.js.
+ */
+
+// GameEventType values in the order of the server enum (events arrive with the number)
+const GAME_EVENT_TYPES = ["GameStart", "GameEnd", "Goal", "Pass", "Shot", "Save", "Tackle", "OutOfBounds", "Foul", "StateUpdate", "PossessionLost"];
+
+// Kinds of overlay: priority, ms on screen after entering (Infinity until dismissed), style,
+// longest wait in the queue (ms) and the window (ms) in which a second message of the kind
+// is merged into the first instead of shown again
+const MATCH_OVERLAYS = {
+    goal: { priority: 100, duration: 3000, style: "headline", pulse: true, maxWait: Infinity, dedupeWindow: 5000 },
+    fullTime: { priority: 90, duration: 5000, style: "headline", maxWait: Infinity, dedupeWindow: 10000 },
+    kickoff: { priority: 60, duration: 1500, style: "headline", maxWait: 1500, dedupeWindow: 3000 },
+    paused: { priority: 50, duration: Infinity, style: "headline", maxWait: Infinity, dedupeWindow: 0 },
+    resumed: { priority: 45, duration: 1200, style: "banner", maxWait: 2000, dedupeWindow: 0 },
+    save: { priority: 40, duration: 1500, style: "banner", maxWait: 4000, dedupeWindow: 0 },
+    shot: { priority: 35, duration: 1500, style: "banner", maxWait: 4000, dedupeWindow: 0 },
+    foul: { priority: 30, duration: 1500, style: "banner", maxWait: 4000, dedupeWindow: 0 },
+    outOfBounds: { priority: 20, duration: 1200, style: "banner", maxWait: 3000, dedupeWindow: 0 }
+};
+
+class MatchOverlayQueue {
+    /**
+     * @param {object} [options]
+     * @param {number} [options.enterDuration] - ms of the enter animation
+     * @param {number} [options.exitDuration] - ms of the exit animation
+     * @param {number} [options.maxQueued] - Messages kept waiting; the lowest priority ones are dropped
+     * @param {object} [options.overlays] - Per-kind overrides of MATCH_OVERLAYS, e.g. { goal: { duration: 4000 } }
+     */
+    constructor(options = {}) {
+        this.enterDuration = options.enterDuration ?? 300;
+        this.exitDuration = options.exitDuration ?? 300;
+        this.maxQueued = options.maxQueued ?? 4;
+        this.kinds = {};
+        Object.keys(MATCH_OVERLAYS).forEach(kind => {
+            this.kinds[kind] = { ...MATCH_OVERLAYS[kind], ...options.overlays?.[kind] };
+        });
+
+        this.active = null; // Message on screen: definition plus shownAt, exitAt, exitFrom
+        this.pending = []; // Waiting messages, highest priority first
+        this.lastPushed = new Map(); // kind -> time of the last message, for merging duplicates
+    }
+
+    /**
+     * Queue a message
+     * @param {object} overlay - { kind, title, subtitle, detail, colour, outline }; the kind's
+     *     MATCH_OVERLAYS entry supplies priority, duration and style unless given here
+     * @param {number} now - Current time in ms
+     * @returns {boolean} Whether it was queued or merged (false when dropped)
+     */
+    push(overlay, now) {
+        const item = { ...this.kinds[overlay.kind], ...overlay, queuedAt: now, shownAt: null, exitAt: null, exitFrom: 1 };
+        item.priority = item.priority ?? 0;
+        item.duration = item.duration ?? 1500;
+
+        // The same moment reported twice (status change and GameEvent): fill in the first
+        if (item.dedupeWindow > 0) {
+            const existing = this.active?.kind === item.kind ? this.active : this.pending.find(queued => queued.kind === item.kind);
+            if (existing && now - this.lastPushed.get(item.kind) <= item.dedupeWindow) {
+                ["title", "subtitle", "detail", "colour", "outline"].forEach(field => {
+                    if (overlay[field] !== undefined && overlay[field] !== null) existing[field] = overlay[field];
+                });
+                return true;
+            }
+            if (!existing && now - (this.lastPushed.get(item.kind) ?? -Infinity) <= item.dedupeWindow) {
+                return false; // Already shown and gone
+            }
+        }
+        this.lastPushed.set(item.kind, now);
+
+        if (this.active && item.priority > this.active.priority) {
+            this.startExit(this.active, now);
+        }
+        const index = this.pending.findIndex(queued => queued.priority < item.priority);
+        this.pending.splice(index === -1 ? this.pending.length : index, 0, item);
+        if (this.pending.length > this.maxQueued) {
+            const dropped = this.pending.pop();
+            clientLog.debug("render", `Overlay queue full - dropped "${dropped.title}"`);
+            return dropped !== item;
+        }
+        return true;
+    }
+
+    // Take messages of a kind off the screen and out of the queue (e.g. "paused" once play resumes)
+    dismiss(kind, now) {
+        this.pending = this.pending.filter(item => item.kind !== kind);
+        if (this.active?.kind === kind) {
+            this.startExit(this.active, now);
+        }
+    }
+
+    clear() {
+        this.active = null;
+        this.pending = [];
+        this.lastPushed.clear();
+    }
+
+    // Begin the exit animation from however far the message has entered
+    startExit(item, now) {
+        if (item.exitAt !== null && item.exitAt <= now) return;
+        item.exitFrom = this.getVisibility(item, now);
+        item.exitAt = now;
+    }
+
+    // Finish the message on screen when its exit is over and show the next one
+    update(now) {
+        if (this.active && this.active.exitAt !== null && now >= this.active.exitAt + this.exitDuration * this.active.exitFrom) {
+            this.active = null;
+        }
+        while (!this.active && this.pending.length > 0) {
+            const next = this.pending.shift();
+            if (now - next.queuedAt > (next.maxWait ?? Infinity)) continue; // Stale, the moment has passed
+            next.shownAt = now;
+            next.exitAt = next.duration === Infinity ? null : now + this.enterDuration + next.duration;
+            this.active = next;
+        }
+    }
+
+    // 0 (hidden) to 1 (fully shown) for the enter and exit animations
+    getVisibility(item, now) {
+        if (item.exitAt !== null && now >= item.exitAt) {
+            return Math.max(0, item.exitFrom - (now - item.exitAt) / this.exitDuration);
+        }
+        const entered = (now - item.shownAt) / this.enterDuration;
+        return entered >= 1 ? 1 : 1 - Math.pow(1 - Math.max(entered, 0), 3); // Cubic ease-out
+    }
+
+    /**
+     * What is on screen and waiting
+     * @returns {object} { active: { kind, title, visibility } | null, pending: [{ kind, title }] }
+     */
+    getStatus(now) {
+        return {
+            active: this.active ? { kind: this.active.kind, title: this.active.title, visibility: this.getVisibility(this.active, now) } : null,
+            pending: this.pending.map(item => ({ kind: item.kind, title: item.title }))
+        };
+    }
+
+    // Draw the message on screen (call in screen space, after the pitch)
+    draw(ctx, layout, now) {
+        this.update(now);
+        const item = this.active;
+        if (!item || item.shownAt === null) return;
+        const visibility = this.getVisibility(item, now);
+        if (visibility <= 0) return;
+
+        ctx.save();
+        ctx.globalAlpha = visibility;
+        if (item.style === "banner") {
+            this.drawBanner(ctx, layout, item, visibility);
+        } else {
+            this.drawHeadline(ctx, layout, item, visibility, now);
+        }
+        ctx.restore();
+    }
+
+    // Large centred text: grows in, shrinks out; goals pulse while shown
+    drawHeadline(ctx, layout, item, visibility, now) {
+        const width = layout.canvasWidth;
+        const height = layout.canvasHeight;
+        const pulse = item.pulse ? 1 + 0.2 * Math.sin((now - item.shownAt) / 150) : 1;
+        const scale = (0.6 + 0.4 * visibility) * pulse;
+
+        ctx.fillStyle = item.colour || "red";
+        ctx.strokeStyle = item.outline || contrastingTextColour(item.colour || "red");
+        ctx.lineWidth = layout.metres(RENDER_SIZES.goalTextOutlineWidth);
+        ctx.textAlign = "center";
+        ctx.textBaseline = "middle";
+
+        const titleY = height / 2 - (item.subtitle ? layout.metres(RENDER_SIZES.goalTextOffset) : 0);
+        ctx.font = `bold ${layout.metres(RENDER_SIZES.goalFont) * scale}px Arial`;
+        ctx.strokeText(item.title, width / 2, titleY);
+        ctx.fillText(item.title, width / 2, titleY);
+
+        let lineY = height / 2 + layout.metres(RENDER_SIZES.goalSubTextOffset);
+        [item.subtitle, item.detail].forEach((line, i) => {
+            if (!line) return;
+            const size = layout.metres(RENDER_SIZES.goalSubFont) * (i === 0 ? scale : 0.75 * scale);
+            ctx.font = `bold ${size}px Arial`;
+            ctx.strokeText(line, width / 2, lineY);
+            ctx.fillText(line, width / 2, lineY);
+            lineY += size * 1.2;
+        });
+    }
+
+    // Strip across the bottom of the pitch in the team colour, sliding up into place
+    drawBanner(ctx, layout, item, visibility) {
+        const width = layout.canvasWidth;
+        const height = layout.canvasHeight;
+        const titleSize = layout.metres(RENDER_SIZES.goalSubFont);
+        const subtitleSize = titleSize * 0.7;
+        const padding = titleSize * 0.4;
+
+        ctx.font = `bold ${titleSize}px Arial`;
+        let textWidth = ctx.measureText(item.title).width;
+        if (item.subtitle) {
+            ctx.font = `${subtitleSize}px Arial`;
+            textWidth = Math.max(textWidth, ctx.measureText(item.subtitle).width);
+        }
+        const boxWidth = textWidth + padding * 2;
+        const boxHeight = titleSize + (item.subtitle ? subtitleSize * 1.2 : 0) + padding * 2;
+        const left = (width - boxWidth) / 2;
+        const top = height - boxHeight - padding * 2 + (1 - visibility) * (boxHeight + padding * 2);
+
+        const background = item.colour || "rgba(0, 0, 0, 0.75)";
+        ctx.fillStyle = background;
+        ctx.fillRect(left, top, boxWidth, boxHeight);
+        ctx.strokeStyle = item.outline || "rgba(255, 255, 255, 0.8)";
+        ctx.lineWidth = layout.metres(RENDER_SIZES.ballOutlineWidth);
+        ctx.strokeRect(left, top, boxWidth, boxHeight);
+
+        ctx.fillStyle = item.colour ? contrastingTextColour(item.colour) : "white";
+        ctx.textAlign = "center";
+        ctx.textBaseline = "top";
+        ctx.font = `bold ${titleSize}px Arial`;
+        ctx.fillText(item.title, width / 2, top + padding);
+        if (item.subtitle) {
+            ctx.font = `${subtitleSize}px Arial`;
+            ctx.fillText(item.subtitle, width / 2, top + padding + titleSize * 1.1);
+        }
+    }
+}
+
+// Name of a GameEventType given as the enum number or its name (null if unknown)
+function getGameEventTypeName(eventType) {
+    if (typeof eventType === 'number') {
+        return GAME_EVENT_TYPES[eventType] || null;
+    }
+    if (typeof eventType === 'string') {
+        return GAME_EVENT_TYPES.find(name => name.toLowerCase() === eventType.toLowerCase()) || null;
+    }
+    return null;
+}
+
+function getOverlayTeamName(state, teamId) {
+    return teamId === "TeamA" ? state?.homeTeam?.name || "Home Team" : state?.awayTeam?.name || "Away Team";
+}
+
+// "Home 1 - 0 Away"
+function formatScoreLine(state) {
+    return `${getOverlayTeamName(state, "TeamA")} ${state?.homeTeam?.score ?? 0} - ${state?.awayTeam?.score ?? 0} ${getOverlayTeamName(state, "TeamB")}`;
+}
+
+/**
+ * Message for a change of game status, or null
+ * @param {number} previousStatus - Status before the change (undefined for the first state)
+ * @param {object} state - The state with the new status
+ * @param {object} kits - { home, away } resolved kits
+ * @param {string} [scoringTeam] - "TeamA" or "TeamB" when a goal was scored
+ */
+function overlayForStatusChange(previousStatus, state, kits, scoringTeam = null) {
+    switch (state.status) {
+        case 1:
+            if (previousStatus === 0 || previousStatus === 4) {
+                return { kind: "kickoff", title: "KICK-OFF", subtitle: formatScoreLine(state), colour: "white", outline: "black" };
+            }
+            if (previousStatus === 2) {
+                return { kind: "resumed", title: "PLAY RESUMED" };
+            }
+            return null;
+        case 2:
+            return { kind: "paused", title: "PAUSED", subtitle: formatScoreLine(state), colour: "white", outline: "black" };
+        case 3:
+            return { kind: "fullTime", title: "FULL TIME", subtitle: formatScoreLine(state), colour: "white", outline: "black" };
+        case 4: {
+            if (!scoringTeam) {
+                return { kind: "goal", title: "GOAL!", colour: "red", outline: "white" };
+            }
+            // Scoring team's colour, outlined in whichever of black/white stands out from it
+            const kit = scoringTeam === "TeamA" ? kits.home : kits.away;
+            return { kind: "goal", title: "GOAL!", subtitle: `${getOverlayTeamName(state, scoringTeam)} SCORES!`, colour: kit.primary };
+        }
+        default:
+            return null;
+    }
+}
+
+/**
+ * Message for a GameEvent from the hub, or null for events without one (passes, tackles, ...)
+ * @param {object} event - { eventType, teamId, playerId, position, additionalData, gameTime }
+ * @param {object} state - Latest game state, for team and player names (may be null)
+ * @param {object} kits - { home, away } resolved kits
+ */
+function overlayForGameEvent(event, state, kits) {
+    const type = getGameEventTypeName(event.eventType);
+    const teamId = event.teamId === "TeamA" || event.teamId === "TeamB" ? event.teamId : null;
+    const kit = teamId ? (teamId === "TeamA" ? kits.home : kits.away) : null;
+    const teamName = teamId ? getOverlayTeamName(state, teamId) : null;
+
+    // Events carry the player's number within the team ("TeamA_7" -> 7)
+    let playerName = null;
+    if (teamId && event.playerId !== null && event.playerId !== undefined) {
+        const found = state ? findPlayerWithTeam(state, `${teamId}_${event.playerId}`) : null;
+        playerName = found?.player.name || `#${event.playerId}`;
+    }
+    const who = [playerName, teamName].filter(Boolean).join(" - ") || null;
+
+    switch (type) {
+        case "GameStart":
+            return { kind: "kickoff", title: "KICK-OFF", subtitle: state ? formatScoreLine(state) : null, colour: "white", outline: "black" };
+        case "GameEnd":
+            return { kind: "fullTime", title: "FULL TIME", subtitle: state ? formatScoreLine(state) : null, colour: "white", outline: "black" };
+        case "Goal":
+            return {
+                kind: "goal",
+                title: "GOAL!",
+                subtitle: teamName ? `${teamName} SCORES!` : null,
+                detail: playerName,
+                colour: kit?.primary
+            };
+        case "Shot":
+            return { kind: "shot", title: "SHOT", subtitle: who, colour: kit?.primary };
+        case "Save":
+            return { kind: "save", title: "SAVE!", subtitle: who, colour: kit?.primary };
+        case "Foul":
+            return { kind: "foul", title: "FOUL", subtitle: who, colour: kit?.primary };
+        case "OutOfBounds":
+            return { kind: "outOfBounds", title: "OUT OF PLAY", subtitle: teamName ? `Off ${teamName}` : null };
+        default:
+            return null;
+    }
+}
+
+window.MatchOverlayQueue = MatchOverlayQueue;
+window.MATCH_OVERLAYS = MATCH_OVERLAYS;
+window.GAME_EVENT_TYPES = GAME_EVENT_TYPES;
+window.getGameEventTypeName = getGameEventTypeName;
+window.overlayForStatusChange = overlayForStatusChange;
+window.overlayForGameEvent = overlayForGameEvent;
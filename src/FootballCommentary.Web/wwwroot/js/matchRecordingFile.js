@@ -0,0 +1,377 @@
+/**
+ * Match recording file format for the Football Commentary System
+ * Exports the states recorded by football.js to a portable, versioned JSON file
+ * and plays saved files back through updateGameState without a server connection.
+ * Server times are read with StatePlaybackBuffer.getServerTime (playbackBuffer.js).
+ *
+ * File layout (version 1):
+ * {
+ *   format: "football-match-recording",
+ *   version: 1,
+ *   exportedAt: ISO timestamp,
+ *   gameId, homeTeam: { teamId, name }, awayTeam: { teamId, name },
+ *   startedAt: lastUpdateTime of the first state that has one (ISO timestamp, or null),
+ *   positionScale: positions and velocities are stored as integers (value * positionScale),
+ *   players: [{ playerId, name, team: "home" | "away" }],
+ *   frames: [...]
+ * }
+ *
+ * Each frame only holds what changed since the previous frame:
+ *   dt: ms since the previous frame      g: game time in seconds
+ *   s: status                            p: index of the possessing player (-1 for none)
+ *   sc: [homeScore, awayScore]           b: [x, y, velocityX, velocityY]
+ *   pl: flat list of [playerIndex, x, y] triples for players that moved (or came back)
+ *   r: indexes of players in the previous frame who are not in this one
+ *   u: ms of server time (lastUpdateTime) since the previous state that had one, or since
+ *      startedAt; absent for states without a lastUpdateTime (built from delta updates)
+ *   n: simulationStep, written only when it is not one more than the previous frame's
+ * The first frame is always complete. Files without startedAt, u and n play back with
+ * states ordered by arrival, as the live feed is without server timestamps.
+ */
+
+const MATCH_RECORDING_FORMAT = "football-match-recording";
+const MATCH_RECORDING_VERSION = 1;
+const MATCH_RECORDING_POSITION_SCALE = 10000; // 4 decimal places is well below a pixel on any canvas
+
+let recordingPlaybackTimer = null; // Timer feeding the next imported state
+let recordingPlaybackTarget = null; // Function receiving the imported states
+let recordingPlaybackFrames = []; // Decoded states waiting to be fed: { offset, state }
+let recordingPlaybackIndex = 0; // Next frame to feed
+let recordingPlaybackStart = 0; // performance.now() when the playback started
+let pendingRecordingFile = null; // Recording read from a file input, waiting for the canvas
+
+// Quantize a normalized value for storage
+function quantizeRecordingValue(value) {
+    return Math.round((value || 0) * MATCH_RECORDING_POSITION_SCALE);
+}
+
+// Format seconds the way System.Text.Json serializes a TimeSpan ("HH:MM:SS.fff")
+function formatRecordingGameTime(totalSeconds) {
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = totalSeconds % 60;
+    const wholeSeconds = Math.floor(seconds);
+    const milliseconds = Math.round((seconds - wholeSeconds) * 1000);
+
+    let formatted = `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:${String(wholeSeconds).padStart(2, '0')}`;
+    if (milliseconds > 0) {
+        formatted += `.${String(milliseconds).padStart(3, '0')}`;
+    }
+    return formatted;
+}
+
+/**
+ * Encode a renderer's match recording into the portable file format
+ * Uses the default #gameCanvas renderer when none is given
+ * Returns null when nothing has been recorded yet
+ */
+function exportMatchRecording(renderer) {
+    const source = renderer || defaultGameRenderer;
+    const recording = source ? source.getMatchRecording() : [];
+    if (recording.length === 0) {
+        clientLog.warn("network", "exportMatchRecording called but nothing has been recorded yet");
+        return null;
+    }
+
+    const firstState = recording[0].state;
+    const players = [];
+    const playerIndexes = {};
+
+    // Build the player table from every recorded state (substitutions could add players later)
+    const registerPlayers = (team, side) => {
+        if (!team || !team.players) return;
+        team.players.forEach(player => {
+            if (player && player.playerId && playerIndexes[player.playerId] === undefined) {
+                playerIndexes[player.playerId] = players.length;
+                players.push({ playerId: player.playerId, name: player.name || "", team: side });
+            }
+        });
+    };
+    recording.forEach(entry => {
+        registerPlayers(entry.state.homeTeam, "home");
+        registerPlayers(entry.state.awayTeam, "away");
+    });
+
+    // Server times are written relative to the first one
+    const timedEntry = recording.find(entry => StatePlaybackBuffer.getServerTime(entry.state) !== null);
+    let previousServerTime = timedEntry ? StatePlaybackBuffer.getServerTime(timedEntry.state) : null;
+
+    const frames = [];
+    let previous = null; // Last written values, in stored (quantized) form
+    let previousRecordedAt = recording[0].recordedAt;
+
+    recording.forEach((entry, frameIndex) => {
+        const state = entry.state;
+        const isFirst = frameIndex === 0;
+        const frame = { dt: Math.round(entry.recordedAt - previousRecordedAt) };
+        previousRecordedAt = entry.recordedAt;
+
+        const gameTime = Math.round(entry.gameTime * 1000) / 1000;
+        const possession = state.ballPossession && playerIndexes[state.ballPossession] !== undefined
+            ? playerIndexes[state.ballPossession]
+            : -1;
+        const scores = [state.homeTeam?.score || 0, state.awayTeam?.score || 0];
+        const ball = state.ball?.position
+            ? [
+                quantizeRecordingValue(state.ball.position.x),
+                quantizeRecordingValue(state.ball.position.y),
+                quantizeRecordingValue(state.ball.velocityX),
+                quantizeRecordingValue(state.ball.velocityY)
+            ]
+            : null;
+
+        const step = Number.isFinite(state.simulationStep) ? state.simulationStep : null;
+        const current = { gameTime, status: state.status, possession, scores, ball, step, players: {} };
+
+        const serverTime = StatePlaybackBuffer.getServerTime(state);
+        if (serverTime !== null) {
+            frame.u = Math.round(serverTime - previousServerTime);
+            previousServerTime += frame.u; // Rounding does not add up over a long match
+        }
+        const expectedStep = previous && previous.step !== null ? previous.step + 1 : null;
+        if (isFirst || step !== expectedStep) frame.n = step;
+
+        if (isFirst || gameTime !== previous.gameTime) frame.g = gameTime;
+        if (isFirst || state.status !== previous.status) frame.s = state.status;
+        if (isFirst || possession !== previous.possession) frame.p = possession;
+        if (isFirst || scores[0] !== previous.scores[0] || scores[1] !== previous.scores[1]) frame.sc = scores;
+        if (ball && (isFirst || !previous.ball || ball.some((value, i) => value !== previous.ball[i]))) frame.b = ball;
+
+        // Only players whose stored position changed are written
+        const movedPlayers = [];
+        [state.homeTeam, state.awayTeam].forEach(team => {
+            if (!team || !team.players) return;
+            team.players.forEach(player => {
+                // Players without a playerId are not in the player table, so they cannot be stored
+                const index = player ? playerIndexes[player.playerId] : undefined;
+                if (index === undefined || !player.position) return;
+                const x = quantizeRecordingValue(player.position.x);
+                const y = quantizeRecordingValue(player.position.y);
+                const last = previous ? previous.players[index] : null;
+
+                current.players[index] = [x, y];
+                if (isFirst || !last || last[0] !== x || last[1] !== y) {
+                    movedPlayers.push(index, x, y);
+                }
+            });
+        });
+        if (movedPlayers.length > 0) frame.pl = movedPlayers;
+
+        // Players who dropped out of the state; if they come back they are written in full
+        if (previous) {
+            const removedPlayers = Object.keys(previous.players)
+                .filter(index => !current.players[index])
+                .map(Number);
+            if (removedPlayers.length > 0) frame.r = removedPlayers;
+        }
+
+        frames.push(frame);
+        previous = current;
+    });
+
+    return {
+        format: MATCH_RECORDING_FORMAT,
+        version: MATCH_RECORDING_VERSION,
+        exportedAt: new Date().toISOString(),
+        gameId: firstState.gameId || "",
+        homeTeam: { teamId: firstState.homeTeam?.teamId || "TeamA", name: firstState.homeTeam?.name || "" },
+        awayTeam: { teamId: firstState.awayTeam?.teamId || "TeamB", name: firstState.awayTeam?.name || "" },
+        startedAt: timedEntry ? timedEntry.state.lastUpdateTime : null,
+        positionScale: MATCH_RECORDING_POSITION_SCALE,
+        players: players,
+        frames: frames
+    };
+}
+
+/**
+ * Decode a recording file (object or JSON text) back into GameState snapshots
+ * Returns [{ offset, state }] where offset is ms since the first frame
+ */
+function decodeMatchRecording(recordingFile) {
+    const file = typeof recordingFile === 'string' ? JSON.parse(recordingFile) : recordingFile;
+
+    if (!file || file.format !== MATCH_RECORDING_FORMAT) {
+        throw new Error("Not a match recording file");
+    }
+    if (file.version !== MATCH_RECORDING_VERSION) {
+        throw new Error(`Unsupported match recording version: ${file.version} (expected ${MATCH_RECORDING_VERSION})`);
+    }
+    if (!Array.isArray(file.players) || !Array.isArray(file.frames) || file.frames.length === 0) {
+        throw new Error("Match recording file has no frames");
+    }
+
+    const scale = file.positionScale || MATCH_RECORDING_POSITION_SCALE;
+    const positions = file.players.map(() => null);
+    const decoded = [];
+    let offset = 0;
+    let gameTime = 0;
+    let status = 0;
+    let possession = -1;
+    let scores = [0, 0];
+    let ball = null;
+    let serverTime = file.startedAt ? Date.parse(file.startedAt) : NaN;
+    let step = null;
+
+    file.frames.forEach(frame => {
+        offset += frame.dt || 0;
+        if (frame.u !== undefined) serverTime += frame.u;
+        step = frame.n !== undefined ? frame.n : step === null ? null : step + 1;
+        if (frame.g !== undefined) gameTime = frame.g;
+        if (frame.s !== undefined) status = frame.s;
+        if (frame.p !== undefined) possession = frame.p;
+        if (frame.sc !== undefined) scores = frame.sc;
+        if (frame.b !== undefined) ball = frame.b;
+        if (frame.r) {
+            frame.r.forEach(index => {
+                positions[index] = null;
+            });
+        }
+        if (frame.pl) {
+            for (let i = 0; i + 2 < frame.pl.length; i += 3) {
+                positions[frame.pl[i]] = [frame.pl[i + 1], frame.pl[i + 2]];
+            }
+        }
+
+        const homePlayers = [];
+        const awayPlayers = [];
+        file.players.forEach((player, index) => {
+            if (!positions[index]) return;
+            const decodedPlayer = {
+                playerId: player.playerId,
+                name: player.name,
+                position: { x: positions[index][0] / scale, y: positions[index][1] / scale }
+            };
+            (player.team === "away" ? awayPlayers : homePlayers).push(decodedPlayer);
+        });
+
+        decoded.push({
+            offset: offset,
+            state: {
+                gameId: file.gameId || "",
+                status: status,
+                homeTeam: { teamId: file.homeTeam?.teamId || "TeamA", name: file.homeTeam?.name || "", score: scores[0], players: homePlayers },
+                awayTeam: { teamId: file.awayTeam?.teamId || "TeamB", name: file.awayTeam?.name || "", score: scores[1], players: awayPlayers },
+                ball: ball
+                    ? { position: { x: ball[0] / scale, y: ball[1] / scale }, velocityX: ball[2] / scale, velocityY: ball[3] / scale }
+                    : { position: { x: 0.5, y: 0.5 }, velocityX: 0, velocityY: 0 },
+                gameTime: formatRecordingGameTime(gameTime),
+                ballPossession: possession >= 0 && file.players[possession] ? file.players[possession].playerId : "",
+                lastUpdateTime: frame.u !== undefined && Number.isFinite(serverTime) ? new Date(serverTime).toISOString() : null,
+                simulationStep: step
+            }
+        });
+    });
+
+    return decoded;
+}
+
+// Feed the imported states into updateGameState at their recorded pace
+function feedRecordedStates() {
+    recordingPlaybackTimer = null;
+    const elapsed = performance.now() - recordingPlaybackStart;
+
+    // Feed every frame that is due (several can be due after a slow tick)
+    while (recordingPlaybackIndex < recordingPlaybackFrames.length &&
+           recordingPlaybackFrames[recordingPlaybackIndex].offset <= elapsed) {
+        recordingPlaybackTarget(recordingPlaybackFrames[recordingPlaybackIndex].state);
+        recordingPlaybackIndex++;
+    }
+
+    if (recordingPlaybackIndex < recordingPlaybackFrames.length) {
+        const wait = recordingPlaybackFrames[recordingPlaybackIndex].offset - elapsed;
+        recordingPlaybackTimer = setTimeout(feedRecordedStates, Math.max(wait, 0));
+    } else {
+        clientLog.info("network", "Match recording playback finished");
+    }
+}
+
+// Stop feeding an imported recording
+function stopMatchRecordingPlayback() {
+    if (recordingPlaybackTimer) {
+        clearTimeout(recordingPlaybackTimer);
+        recordingPlaybackTimer = null;
+    }
+    recordingPlaybackFrames = [];
+    recordingPlaybackIndex = 0;
+    recordingPlaybackTarget = null;
+}
+
+/**
+ * Load a recording file (object or JSON text) and play it on the canvas
+ * The states go through updateGameState (or renderer.update) exactly like live SignalR data
+ * Returns a summary for the page: { gameId, homeTeam, awayTeam, frames, durationMs }
+ */
+function loadMatchRecording(recordingFile, renderer) {
+    const file = typeof recordingFile === 'string' ? JSON.parse(recordingFile) : recordingFile;
+    const frames = decodeMatchRecording(file);
+
+    stopMatchRecordingPlayback();
+    recordingPlaybackFrames = frames;
+    recordingPlaybackTarget = renderer
+        ? state => { renderer.update(state); renderer.start(); }
+        : updateGameState;
+    recordingPlaybackStart = performance.now();
+    feedRecordedStates();
+
+    clientLog.info("network", `Loaded match recording with ${frames.length} frames`);
+
+    return {
+        gameId: file.gameId || "",
+        homeTeam: file.homeTeam?.name || "",
+        awayTeam: file.awayTeam?.name || "",
+        frames: frames.length,
+        durationMs: frames[frames.length - 1].offset
+    };
+}
+
+/**
+ * Read the recording chosen in a file input with File.text(), so it never leaves the browser
+ * It is kept until playPendingMatchRecording, once the canvas is on the page
+ * @param {HTMLInputElement} input
+ * @param {number} [maxSize] - Largest file accepted, in bytes
+ */
+async function readMatchRecordingFile(input, maxSize) {
+    const chosen = input?.files?.[0];
+    if (!chosen) {
+        throw new Error("No recording file chosen");
+    }
+    if (maxSize && chosen.size > maxSize) {
+        throw new Error(`Recording file is ${chosen.size} bytes, more than the ${maxSize} allowed`);
+    }
+
+    pendingRecordingFile = JSON.parse(await chosen.text());
+}
+
+// Play the recording read by readMatchRecordingFile; returns the loadMatchRecording summary
+function playPendingMatchRecording(renderer) {
+    if (!pendingRecordingFile) {
+        throw new Error("No recording file has been read");
+    }
+    const file = pendingRecordingFile;
+    pendingRecordingFile = null;
+    return loadMatchRecording(file, renderer);
+}
+
+// Export the current recording and download it as a .json file
+function downloadMatchRecording(fileName, renderer) {
+    const recording = exportMatchRecording(renderer);
+    if (!recording) return;
+
+    const blob = new Blob([JSON.stringify(recording)], { type: "application/json" });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = fileName || `match-${recording.gameId || "recording"}.json`;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+}
+
+// Expose methods to the global scope for Blazor to call
+window.exportMatchRecording = exportMatchRecording;
+window.loadMatchRecording = loadMatchRecording;
+window.readMatchRecordingFile = readMatchRecordingFile;
+window.playPendingMatchRecording = playPendingMatchRecording;
+window.stopMatchRecordingPlayback = stopMatchRecordingPlayback;
+window.downloadMatchRecording = downloadMatchRecording;
@@ -0,0 +1,246 @@
+/**
+ * Possession and passing statistics for the Football Commentary System
+ * MatchStatistics turns the stream of game states into possession % per team,
+ * passes attempted / completed per player and possession-chain lengths.
+ * A possession change between teammates is a completed pass, a change to an opponent
+ * is a turnover (an attempted pass that was not completed). Loose-ball spells in
+ * between are bridged: the previous holder is remembered until someone has the ball.
+ * Uses getGameTimeSeconds from scoreboard.js.
+ */
+
+class MatchStatistics {
+    constructor() {
+        this.listeners = [];
+        this.reset();
+    }
+
+    // Forget everything (new match)
+    reset() {
+        this.teams = {}; // teamId -> team totals, see getTeam
+        this.players = {}; // playerId -> player totals, see getPlayer
+        this.lastGameTime = null;
+        this.lastPossessor = null; // { playerId, teamId } of the last player seen with the ball
+        this.currentHolder = null; // playerId holding the ball in the previous state (null when loose)
+        this.currentChain = null; // { teamId, passes } for the team in possession
+        this.lastStatus = null;
+        this.gameId = null;
+    }
+
+    /**
+     * Register a listener called with (stats, changes) whenever the statistics change
+     * changes is a list of { type: "possession" | "pass" | "turnover" | "chainEnded", ... }
+     */
+    addListener(listener) {
+        if (typeof listener === 'function' && !this.listeners.includes(listener)) {
+            this.listeners.push(listener);
+        }
+    }
+
+    removeListener(listener) {
+        this.listeners = this.listeners.filter(l => l !== listener);
+    }
+
+    getTeam(teamId) {
+        if (!this.teams[teamId]) {
+            this.teams[teamId] = {
+                teamId,
+                name: teamId,
+                possessionSeconds: 0,
+                passesAttempted: 0,
+                passesCompleted: 0,
+                turnovers: 0,
+                chains: 0,
+                chainPasses: 0,
+                longestChain: 0
+            };
+        }
+        return this.teams[teamId];
+    }
+
+    getPlayer(playerId, teamId, name) {
+        if (!this.players[playerId]) {
+            this.players[playerId] = {
+                playerId,
+                teamId,
+                name: name || playerId,
+                passesAttempted: 0,
+                passesCompleted: 0,
+                passesReceived: 0,
+                turnovers: 0
+            };
+        }
+        return this.players[playerId];
+    }
+
+    // Team and name of a player in the given state (team falls back to the id prefix)
+    findPlayer(state, playerId) {
+        const sides = [
+            { team: state.homeTeam, fallbackId: "TeamA" },
+            { team: state.awayTeam, fallbackId: "TeamB" }
+        ];
+        for (const { team, fallbackId } of sides) {
+            const player = team?.players?.find(p => p.playerId === playerId);
+            if (player) {
+                return { playerId, teamId: team.teamId || fallbackId, name: player.name };
+            }
+        }
+        return { playerId, teamId: playerId.split("_")[0], name: playerId };
+    }
+
+    /**
+     * Feed one game state
+     * Possession time is counted while the match is in progress, credited to the team
+     * that had the ball since the previous state
+     */
+    processState(state) {
+        if (!state) return;
+        const changes = [];
+        const gameTime = getGameTimeSeconds(state.gameTime);
+
+        if (state.gameId && this.gameId && state.gameId !== this.gameId) {
+            this.reset(); // A new match on the same page
+        }
+        this.gameId = state.gameId || this.gameId;
+        if (this.lastGameTime !== null && gameTime < this.lastGameTime) {
+            return; // A late state: play has already been counted past it
+        }
+
+        // Keep team names current for display
+        [state.homeTeam, state.awayTeam].forEach((team, index) => {
+            if (team) {
+                this.getTeam(team.teamId || (index === 0 ? "TeamA" : "TeamB")).name = team.name || team.teamId;
+            }
+        });
+
+        // Possession time since the previous state
+        if (state.status === 1 && this.lastStatus === 1 && this.currentHolder && this.lastGameTime !== null) {
+            const holderTeam = this.players[this.currentHolder]?.teamId;
+            if (holderTeam) {
+                this.getTeam(holderTeam).possessionSeconds += gameTime - this.lastGameTime;
+            }
+        }
+
+        // Restarts (kickoff, goal, pause) end the current chain without a pass or turnover
+        if (state.status !== 1) {
+            if (this.currentChain) {
+                changes.push(this.endChain());
+            }
+            this.lastPossessor = null;
+            this.currentHolder = null;
+        } else {
+            const holderId = state.ballPossession || null;
+            if (holderId && holderId !== this.currentHolder) {
+                changes.push(...this.changePossession(state, holderId));
+            }
+            this.currentHolder = holderId;
+        }
+
+        this.lastStatus = state.status;
+        this.lastGameTime = gameTime;
+
+        if (changes.length > 0) {
+            this.notify(changes.filter(change => change));
+        }
+    }
+
+    // The ball reached holderId: record the pass or turnover from the previous holder
+    changePossession(state, holderId) {
+        const changes = [];
+        const receiver = this.findPlayer(state, holderId);
+        const receiverStats = this.getPlayer(holderId, receiver.teamId, receiver.name);
+        const passer = this.lastPossessor;
+        changes.push({ type: "possession", playerId: holderId, teamId: receiver.teamId });
+
+        if (passer && passer.playerId !== holderId) {
+            const passerStats = this.players[passer.playerId];
+            const passerTeam = this.getTeam(passer.teamId);
+            passerStats.passesAttempted++;
+            passerTeam.passesAttempted++;
+
+            if (passer.teamId === receiver.teamId) {
+                passerStats.passesCompleted++;
+                passerTeam.passesCompleted++;
+                receiverStats.passesReceived++;
+                if (this.currentChain && this.currentChain.teamId === receiver.teamId) {
+                    this.currentChain.passes++;
+                }
+                changes.push({ type: "pass", from: passer.playerId, to: holderId, teamId: receiver.teamId });
+            } else {
+                passerStats.turnovers++;
+                passerTeam.turnovers++;
+                changes.push({ type: "turnover", from: passer.playerId, to: holderId, teamId: passer.teamId });
+            }
+        }
+
+        // A new team on the ball starts a new chain
+        if (!this.currentChain || this.currentChain.teamId !== receiver.teamId) {
+            if (this.currentChain) {
+                changes.push(this.endChain());
+            }
+            this.currentChain = { teamId: receiver.teamId, passes: 0 };
+        }
+
+        this.lastPossessor = { playerId: holderId, teamId: receiver.teamId };
+        return changes;
+    }
+
+    // Close the current possession chain and add it to the team's totals
+    endChain() {
+        const chain = this.currentChain;
+        this.currentChain = null;
+        if (!chain) return null;
+
+        const team = this.getTeam(chain.teamId);
+        team.chains++;
+        team.chainPasses += chain.passes;
+        team.longestChain = Math.max(team.longestChain, chain.passes);
+        return { type: "chainEnded", teamId: chain.teamId, passes: chain.passes };
+    }
+
+    /**
+     * Snapshot of the statistics (plain data, safe to hand to Blazor)
+     * Possession % only counts time when a player had the ball
+     */
+    getStats() {
+        const teams = Object.values(this.teams);
+        const totalPossession = teams.reduce((sum, team) => sum + team.possessionSeconds, 0);
+
+        return {
+            teams: teams.map(team => {
+                // The running chain counts towards the averages and the longest chain
+                const running = this.currentChain?.teamId === team.teamId ? this.currentChain.passes : null;
+                const chains = team.chains + (running !== null ? 1 : 0);
+                const chainPasses = team.chainPasses + (running ?? 0);
+                return {
+                    teamId: team.teamId,
+                    name: team.name,
+                    possessionPercent: totalPossession > 0 ? (team.possessionSeconds / totalPossession) * 100 : 0,
+                    possessionSeconds: team.possessionSeconds,
+                    passesAttempted: team.passesAttempted,
+                    passesCompleted: team.passesCompleted,
+                    passAccuracy: team.passesAttempted > 0 ? (team.passesCompleted / team.passesAttempted) * 100 : 0,
+                    turnovers: team.turnovers,
+                    possessionChains: chains,
+                    averageChainLength: chains > 0 ? chainPasses / chains : 0,
+                    longestChain: Math.max(team.longestChain, running ?? 0)
+                };
+            }),
+            players: Object.values(this.players).map(player => ({ ...player })),
+            currentChain: this.currentChain ? { ...this.currentChain } : null
+        };
+    }
+
+    notify(changes) {
+        if (this.listeners.length === 0) return;
+        const stats = this.getStats();
+        this.listeners.forEach(listener => {
+            try {
+                listener(stats, changes);
+            } catch (error) {
+                clientLog.error("general", "Error in match statistics listener", error);
+            }
+        });
+    }
+}
+
+window.MatchStatistics = MatchStatistics;
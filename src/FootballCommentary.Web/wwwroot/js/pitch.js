@@ -0,0 +1,228 @@
+/**
+ * Pitch geometry and markings for the Football Commentary System
+ * PitchLayout fits a pitch of real proportions into a canvas (letterboxed) and maps
+ * normalized game positions (0-1 along the length and width) onto it.
+ * drawPitch draws regulation markings computed from the configured size in metres.
+ */
+
+// Regulation dimensions in metres (IFAB Law 1)
+const PITCH_MARKINGS = {
+    lineWidth: 0.12,
+    centreCircleRadius: 9.15,
+    spotRadius: 0.2,
+    penaltyAreaDepth: 16.5,
+    penaltyAreaWidth: 40.32,
+    goalAreaDepth: 5.5,
+    goalAreaWidth: 18.32,
+    penaltySpotDistance: 11,
+    penaltyArcRadius: 9.15,
+    cornerArcRadius: 1,
+    goalWidth: 7.32,
+    goalDepth: 2
+};
+
+const DEFAULT_PITCH_LENGTH = 105; // metres
+const DEFAULT_PITCH_WIDTH = 68; // metres
+const DEFAULT_PITCH_MARGIN = 3; // metres of run-off drawn around the pitch (room for the goals)
+
+class PitchLayout {
+    /**
+     * @param {number} canvasWidth - Drawing area width in canvas units
+     * @param {number} canvasHeight - Drawing area height in canvas units
+     * @param {object} [options]
+     * @param {number} [options.length] - Pitch length in metres (goal line to goal line)
+     * @param {number} [options.width] - Pitch width in metres (touchline to touchline)
+     * @param {number} [options.margin] - Run-off around the pitch in metres
+     */
+    constructor(canvasWidth, canvasHeight, options = {}) {
+        this.canvasWidth = canvasWidth;
+        this.canvasHeight = canvasHeight;
+        this.length = options.length ?? DEFAULT_PITCH_LENGTH;
+        this.width = options.width ?? DEFAULT_PITCH_WIDTH;
+        this.margin = options.margin ?? DEFAULT_PITCH_MARGIN;
+
+        // Largest scale (canvas units per metre) that fits pitch + run-off, then centre it
+        const totalLength = this.length + this.margin * 2;
+        const totalWidth = this.width + this.margin * 2;
+        this.scale = Math.max(Math.min(canvasWidth / totalLength, canvasHeight / totalWidth), 0);
+
+        this.pitchWidth = this.length * this.scale; // Pitch size in canvas units
+        this.pitchHeight = this.width * this.scale;
+        this.left = (canvasWidth - this.pitchWidth) / 2; // Top-left corner of the pitch
+        this.top = (canvasHeight - this.pitchHeight) / 2;
+    }
+
+    // True when this layout was built for the same canvas size and pitch options
+    matches(canvasWidth, canvasHeight, options = {}) {
+        return this.canvasWidth === canvasWidth &&
+            this.canvasHeight === canvasHeight &&
+            this.length === (options.length ?? DEFAULT_PITCH_LENGTH) &&
+            this.width === (options.width ?? DEFAULT_PITCH_WIDTH) &&
+            this.margin === (options.margin ?? DEFAULT_PITCH_MARGIN);
+    }
+
+    // Normalized x (0 = home goal line, 1 = away goal line) to canvas x
+    toCanvasX(x) {
+        return this.left + x * this.pitchWidth;
+    }
+
+    // Normalized y (0 = top touchline, 1 = bottom touchline) to canvas y
+    toCanvasY(y) {
+        return this.top + y * this.pitchHeight;
+    }
+
+    // Canvas point back to normalized pitch coordinates (may fall outside 0-1)
+    toPitch(canvasX, canvasY) {
+        return {
+            x: this.pitchWidth > 0 ? (canvasX - this.left) / this.pitchWidth : 0,
+            y: this.pitchHeight > 0 ? (canvasY - this.top) / this.pitchHeight : 0
+        };
+    }
+
+    // Metres to canvas units
+    metres(value) {
+        return value * this.scale;
+    }
+}
+
+// Width-to-height ratio of the pitch plus run-off (the shape a canvas should have to avoid letterboxing)
+function getPitchAspectRatio(options = {}) {
+    const margin = options.margin ?? DEFAULT_PITCH_MARGIN;
+    return ((options.length ?? DEFAULT_PITCH_LENGTH) + margin * 2) / ((options.width ?? DEFAULT_PITCH_WIDTH) + margin * 2);
+}
+
+/**
+ * Draw the pitch: letterbox, grass, regulation markings and goals with nets
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {PitchLayout} layout
+ */
+function drawPitch(ctx, layout) {
+    const m = PITCH_MARKINGS;
+    const left = layout.left;
+    const top = layout.top;
+    const right = layout.left + layout.pitchWidth;
+    const bottom = layout.top + layout.pitchHeight;
+    const midX = left + layout.pitchWidth / 2;
+    const midY = top + layout.pitchHeight / 2;
+    const px = value => layout.metres(value);
+
+    // Letterbox bars, then the grass (pitch plus run-off)
+    ctx.fillStyle = "#2E7D32";
+    ctx.fillRect(0, 0, layout.canvasWidth, layout.canvasHeight);
+    ctx.fillStyle = "#4CAF50";
+    ctx.fillRect(left - px(layout.margin), top - px(layout.margin),
+        layout.pitchWidth + px(layout.margin * 2), layout.pitchHeight + px(layout.margin * 2));
+
+    ctx.save();
+    ctx.strokeStyle = "white";
+    ctx.fillStyle = "white";
+    ctx.lineWidth = Math.max(px(m.lineWidth), 1); // Keep lines visible on small canvases
+
+    // Touchlines and goal lines
+    ctx.strokeRect(left, top, layout.pitchWidth, layout.pitchHeight);
+
+    // Halfway line
+    ctx.beginPath();
+    ctx.moveTo(midX, top);
+    ctx.lineTo(midX, bottom);
+    ctx.stroke();
+
+    // Centre circle and spot
+    ctx.beginPath();
+    ctx.arc(midX, midY, px(m.centreCircleRadius), 0, Math.PI * 2);
+    ctx.stroke();
+    drawPitchSpot(ctx, midX, midY, px(m.spotRadius));
+
+    // Penalty area, goal area, penalty spot and arc at each end
+    // direction: 1 for the left (home) end, -1 for the right (away) end
+    [{ goalLineX: left, direction: 1 }, { goalLineX: right, direction: -1 }].forEach(({ goalLineX, direction }) => {
+        const penaltyDepth = px(m.penaltyAreaDepth) * direction;
+        const goalAreaDepth = px(m.goalAreaDepth) * direction;
+
+        ctx.strokeRect(Math.min(goalLineX, goalLineX + penaltyDepth), midY - px(m.penaltyAreaWidth) / 2,
+            Math.abs(penaltyDepth), px(m.penaltyAreaWidth));
+        ctx.strokeRect(Math.min(goalLineX, goalLineX + goalAreaDepth), midY - px(m.goalAreaWidth) / 2,
+            Math.abs(goalAreaDepth), px(m.goalAreaWidth));
+
+        const spotX = goalLineX + px(m.penaltySpotDistance) * direction;
+        drawPitchSpot(ctx, spotX, midY, px(m.spotRadius));
+
+        // Only the part of the arc outside the penalty area is marked
+        const arcAngle = Math.acos((m.penaltyAreaDepth - m.penaltySpotDistance) / m.penaltyArcRadius);
+        const facing = direction === 1 ? 0 : Math.PI;
+        ctx.beginPath();
+        ctx.arc(spotX, midY, px(m.penaltyArcRadius), facing - arcAngle, facing + arcAngle);
+        ctx.stroke();
+
+        drawGoal(ctx, layout, goalLineX, midY, direction);
+    });
+
+    // Corner arcs
+    const cornerRadius = px(m.cornerArcRadius);
+    [
+        { x: left, y: top, start: 0, end: Math.PI / 2 },
+        { x: right, y: top, start: Math.PI / 2, end: Math.PI },
+        { x: right, y: bottom, start: Math.PI, end: Math.PI * 1.5 },
+        { x: left, y: bottom, start: Math.PI * 1.5, end: Math.PI * 2 }
+    ].forEach(corner => {
+        ctx.beginPath();
+        ctx.arc(corner.x, corner.y, cornerRadius, corner.start, corner.end);
+        ctx.stroke();
+    });
+
+    ctx.restore();
+}
+
+// Filled marking spot (centre / penalty), never smaller than a visible dot
+function drawPitchSpot(ctx, x, y, radius) {
+    ctx.beginPath();
+    ctx.arc(x, y, Math.max(radius, 1.5), 0, Math.PI * 2);
+    ctx.fill();
+}
+
+// Goal frame behind the goal line with a net pattern
+function drawGoal(ctx, layout, goalLineX, midY, direction) {
+    const m = PITCH_MARKINGS;
+    const goalWidth = layout.metres(m.goalWidth);
+    const goalDepth = layout.metres(m.goalDepth);
+    const backX = goalLineX - goalDepth * direction;
+    const netLeft = Math.min(goalLineX, backX);
+    const netTop = midY - goalWidth / 2;
+
+    ctx.save();
+
+    // Net mesh
+    ctx.fillStyle = "rgba(255, 255, 255, 0.15)";
+    ctx.fillRect(netLeft, netTop, goalDepth, goalWidth);
+
+    ctx.beginPath();
+    ctx.rect(netLeft, netTop, goalDepth, goalWidth);
+    ctx.clip();
+    ctx.strokeStyle = "rgba(255, 255, 255, 0.45)";
+    ctx.lineWidth = Math.max(layout.metres(0.04), 0.5);
+    const mesh = Math.max(layout.metres(0.5), 3);
+    ctx.beginPath();
+    for (let x = netLeft; x <= netLeft + goalDepth; x += mesh) {
+        ctx.moveTo(x, netTop);
+        ctx.lineTo(x, netTop + goalWidth);
+    }
+    for (let y = netTop; y <= netTop + goalWidth; y += mesh) {
+        ctx.moveTo(netLeft, y);
+        ctx.lineTo(netLeft + goalDepth, y);
+    }
+    ctx.stroke();
+    ctx.restore();
+
+    // Goal frame (posts and the outline of the net)
+    ctx.beginPath();
+    ctx.moveTo(goalLineX, netTop);
+    ctx.lineTo(backX, netTop);
+    ctx.lineTo(backX, netTop + goalWidth);
+    ctx.lineTo(goalLineX, netTop + goalWidth);
+    ctx.stroke();
+}
+
+// Expose for scripts and pages that want their own pitch layout
+window.PitchLayout = PitchLayout;
+window.getPitchAspectRatio = getPitchAspectRatio;
+window.drawPitch = drawPitch;
@@ -0,0 +1,231 @@
+/**
+ * Jitter buffer for the live feed
+ * StatePlaybackBuffer orders states by the server's lastUpdateTime / simulationStep and
+ * plays them back a small, adaptive delay behind real time, so uneven arrival does not
+ * show as stutter. Rendering interpolates between the two states either side of the
+ * render time; states that arrive after their time has been played, or twice, are dropped.
+ * forEachReached hands over each state as playback reaches it.
+ */
+
+class StatePlaybackBuffer {
+    /**
+     * @param {object} [options]
+     * @param {number} [options.initialDelay] - ms behind real time before the feed has been measured
+     * @param {number} [options.minDelay] - Smallest playback delay in ms
+     * @param {number} [options.maxDelay] - Largest playback delay in ms
+     * @param {number} [options.jitterMultiplier] - Delay headroom, in multiples of the measured jitter
+     * @param {number} [options.capacity] - Most states kept
+     */
+    constructor(options = {}) {
+        this.initialDelay = options.initialDelay ?? 150;
+        this.minDelay = options.minDelay ?? 50;
+        this.maxDelay = options.maxDelay ?? 1000;
+        this.jitterMultiplier = options.jitterMultiplier ?? 3;
+        this.capacity = options.capacity ?? 64;
+        this.transitWindow = 32; // Arrivals the clock offset is taken from
+        this.resetGap = 5000; // A state this far (ms) behind the newest one starts a new timeline
+        this.duplicates = 0;
+        this.late = 0;
+        this.underruns = 0; // Times playback caught up with the newest state
+        this.sampled = { from: null, to: null, progress: 0, underrun: false }; // Reused by sample()
+        this.clear();
+    }
+
+    // Forget all states and measurements (new match or resynchronisation)
+    clear() {
+        this.entries = []; // { state, time, step } in server order
+        this.gameId = null;
+        this.transits = []; // Recent arrival - server time samples
+        this.baseTransit = null; // Smallest recent transit: maps server time onto the local clock
+        this.lastTransit = null;
+        this.jitter = 0; // Smoothed variation in transit time, ms
+        this.interval = null; // Smoothed server time between states, ms
+        this.delay = this.initialDelay;
+        this.playedTime = -Infinity; // Server time of the state playback last left behind
+        this.playedStep = -Infinity;
+        this.reachedTime = -Infinity; // Server time of the last state handed to forEachReached
+        this.reachedStep = -Infinity;
+        this.starved = false; // Holding the newest state
+    }
+
+    // Server time of a state in ms (null when it has no usable lastUpdateTime)
+    static getServerTime(state) {
+        const time = state?.lastUpdateTime ? Date.parse(state.lastUpdateTime) : NaN;
+        return Number.isFinite(time) ? time : null;
+    }
+
+    /**
+     * Time of a state on the server clock: its lastUpdateTime, or for states without one
+     * (built from delta updates) the arrival time mapped onto the server clock
+     * @param {object} state
+     * @param {number} arrivalTime - Local clock (ms) when it arrived
+     */
+    getStateTime(state, arrivalTime) {
+        return StatePlaybackBuffer.getServerTime(state) ?? arrivalTime - (this.baseTransit ?? 0);
+    }
+
+    compare(timeA, stepA, timeB, stepB) {
+        return timeA !== timeB ? timeA - timeB : stepA - stepB;
+    }
+
+    /**
+     * Add a state as it arrives
+     * @param {object} state
+     * @param {number} arrivalTime - Local clock (ms) when it arrived
+     * @returns {string} "added" (newest state), "reordered" (out of order but not yet played),
+     *     "late" (its time has already been played) or "duplicate"
+     */
+    push(state, arrivalTime) {
+        const step = Number.isFinite(state.simulationStep) ? state.simulationStep : 0;
+        // Without a server timestamp, arrival time is the best ordering there is
+        const time = this.getStateTime(state, arrivalTime);
+
+        const newest = this.entries[this.entries.length - 1];
+        if ((state.gameId && this.gameId && state.gameId !== this.gameId) ||
+            (newest && newest.time - time > this.resetGap)) {
+            this.clear();
+        }
+        this.gameId = state.gameId || this.gameId;
+
+        if (this.compare(time, step, this.playedTime, this.playedStep) <= 0) {
+            this.late++;
+            return "late";
+        }
+        if (this.entries.some(entry => entry.time === time && entry.step === step)) {
+            this.duplicates++;
+            return "duplicate";
+        }
+
+        this.measureArrival(time, arrivalTime, newest);
+
+        let index = this.entries.length;
+        while (index > 0 && this.compare(this.entries[index - 1].time, this.entries[index - 1].step, time, step) > 0) {
+            index--;
+        }
+        this.entries.splice(index, 0, { state, time, step });
+        if (this.entries.length > this.capacity) {
+            this.entries.splice(0, this.entries.length - this.capacity);
+        }
+        return index === this.entries.length - 1 ? "added" : "reordered";
+    }
+
+    // Update the clock offset, jitter, state interval and from them the playback delay
+    measureArrival(time, arrivalTime, newest) {
+        const transit = arrivalTime - time;
+        this.transits.push(transit);
+        if (this.transits.length > this.transitWindow) {
+            this.transits.shift();
+        }
+        this.baseTransit = Math.min(...this.transits);
+
+        if (this.lastTransit !== null) {
+            this.jitter += (Math.abs(transit - this.lastTransit) - this.jitter) / 16; // As in RTP (RFC 3550)
+        }
+        this.lastTransit = transit;
+
+        if (newest && time > newest.time) {
+            const gap = time - newest.time;
+            this.interval = this.interval === null ? gap : this.interval + (gap - this.interval) / 8;
+        }
+
+        // Enough delay to cover one state interval plus the jitter; eased so playback speed barely changes
+        if (this.interval !== null) {
+            const target = Math.min(Math.max(this.interval + this.jitterMultiplier * this.jitter, this.minDelay), this.maxDelay);
+            this.delay += (target - this.delay) * 0.1;
+        }
+    }
+
+    // Server time being shown at local time now
+    getRenderTime(now) {
+        return now - (this.baseTransit ?? 0) - this.delay;
+    }
+
+    // How far (ms) playback has run past the newest state; negative while it is still ahead
+    getTimePastNewest(now) {
+        const newest = this.entries[this.entries.length - 1];
+        return newest ? this.getRenderTime(now) - newest.time : -Infinity;
+    }
+
+    /**
+     * The two states either side of the render time
+     * States before the earlier one are let go. When playback runs ahead of the feed the
+     * newest state is held (underrun: true).
+     * @param {number} now - Local clock in ms
+     * @returns {object|null} { from, to, progress, underrun } (reused between calls) or null while empty
+     */
+    sample(now) {
+        if (this.entries.length === 0) return null;
+        const renderTime = this.getRenderTime(now);
+
+        let fromIndex = -1;
+        while (fromIndex + 1 < this.entries.length && this.entries[fromIndex + 1].time <= renderTime) {
+            fromIndex++;
+        }
+
+        // Still before the first state: show it until playback reaches it
+        if (fromIndex < 0) {
+            const first = this.entries[0];
+            return this.setSample(first.state, first.state, 0, false);
+        }
+
+        if (fromIndex > 0) {
+            this.entries.splice(0, fromIndex);
+        }
+        const from = this.entries[0];
+        this.playedTime = from.time;
+        this.playedStep = from.step;
+
+        const to = this.entries[1];
+        if (!to) {
+            if (!this.starved) this.underruns++;
+            this.starved = true;
+            return this.setSample(from.state, from.state, 1, true);
+        }
+        this.starved = false;
+
+        const span = to.time - from.time;
+        const progress = span > 0 ? Math.min(Math.max((renderTime - from.time) / span, 0), 1) : 1;
+        return this.setSample(from.state, to.state, progress, false);
+    }
+
+    /**
+     * Call back with each state playback has reached since the last call, oldest first,
+     * so what a state changes can be shown with its positions rather than as it arrives
+     * Call before sample() for the same time: sample() lets reached states go.
+     * @param {number} now - Local clock in ms
+     * @param {function(object)} callback - Called with each state
+     */
+    forEachReached(now, callback) {
+        const renderTime = this.getRenderTime(now);
+        for (const entry of this.entries) {
+            if (entry.time > renderTime) break;
+            if (this.compare(entry.time, entry.step, this.reachedTime, this.reachedStep) > 0) {
+                this.reachedTime = entry.time;
+                this.reachedStep = entry.step;
+                callback(entry.state);
+            }
+        }
+    }
+
+    setSample(from, to, progress, underrun) {
+        this.sampled.from = from;
+        this.sampled.to = to;
+        this.sampled.progress = progress;
+        this.sampled.underrun = underrun;
+        return this.sampled;
+    }
+
+    getStatus() {
+        return {
+            buffered: this.entries.length,
+            delay: this.delay,
+            jitter: this.jitter,
+            interval: this.interval,
+            duplicates: this.duplicates,
+            late: this.late,
+            underruns: this.underruns
+        };
+    }
+}
+
+window.StatePlaybackBuffer = StatePlaybackBuffer;
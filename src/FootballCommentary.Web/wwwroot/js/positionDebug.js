@@ -0,0 +1,240 @@
+/**
+ * Raw-vs-presented positions debug mode
+ * The renderer moves players away from where the server puts them: anti-swarming, minimum
+ * distances, subtle movement, the kickoff formation, dead reckoning and the goal celebration.
+ * PositionLayerTracker records the raw server positions of each frame (interpolated to the
+ * playback time, before any of those layers), measures how far every layer moves each player
+ * and the ball, and draws the raw positions as ghost markers joined to the presented ones.
+ * Modes: "off", "both" (presented players plus ghosts) and "raw" (only the server positions).
+ * Distances are reported in metres. Uses copyGameStateInto from football.js.
+ */
+
+// Cosmetic layers in the order the renderer applies them
+const POSITION_LAYERS = ["kickoff", "extrapolation", "swarm", "minimumDistance", "subtleMovement", "blend", "celebration", "ballAnimation"];
+
+const POSITION_DEBUG_MODES = ["off", "both", "raw"];
+
+class PositionLayerTracker {
+    /**
+     * @param {object} [options]
+     * @param {object} [options.pitch] - Pitch size in metres: { length, width } (defaults to 105x68)
+     * @param {string} [options.mode] - "off", "both" or "raw"
+     * @param {number} [options.lineThreshold] - Smallest displacement in metres drawn as a line
+     */
+    constructor(options = {}) {
+        const pitch = options.pitch || {};
+        this.length = pitch.length ?? DEFAULT_PITCH_LENGTH;
+        this.width = pitch.width ?? DEFAULT_PITCH_WIDTH;
+        this.lineThreshold = options.lineThreshold ?? 0.1;
+        this.mode = "off";
+
+        this.rawState = null; // copyGameStateInto buffer with the raw positions of this frame
+        this.ids = []; // Player ids (home team, then away team), then "ball"
+        this.teams = []; // teamId per slot
+        this.raw = new Float64Array(0); // x, y per slot
+        this.last = new Float64Array(0); // Positions after the last measured layer
+        this.presented = new Float64Array(0);
+        this.layerMoves = new Map(POSITION_LAYERS.map(layer => [layer, new Float64Array(0)])); // dx, dy per slot
+        this.peaks = new Map(); // layer -> largest displacement (m) since the mode was switched on
+        this.measured = false; // A frame has been tracked since the last begin()
+
+        this.setMode(options.mode || "off");
+    }
+
+    get enabled() {
+        return this.mode !== "off";
+    }
+
+    setMode(mode) {
+        if (!POSITION_DEBUG_MODES.includes(mode)) {
+            clientLog.warn("render", `Unknown position debug mode "${mode}" - expected one of ${POSITION_DEBUG_MODES.join(", ")}`);
+            return;
+        }
+        if (this.mode === "off" && mode !== "off") {
+            this.peaks.clear();
+        }
+        this.mode = mode;
+        this.measured = false;
+    }
+
+    /**
+     * Start a frame from the raw server positions (copied, the state is not kept)
+     */
+    begin(state) {
+        this.rawState = copyGameStateInto(this.rawState, state);
+        const home = this.rawState.homeTeam?.players || [];
+        const away = this.rawState.awayTeam?.players || [];
+        const slots = home.length + away.length + 1;
+
+        if (this.raw.length !== slots * 2) {
+            this.raw = new Float64Array(slots * 2);
+            this.last = new Float64Array(slots * 2);
+            this.presented = new Float64Array(slots * 2);
+            POSITION_LAYERS.forEach(layer => this.layerMoves.set(layer, new Float64Array(slots * 2)));
+        }
+        this.ids.length = slots;
+        this.teams.length = slots;
+        home.forEach((player, i) => {
+            this.ids[i] = player.playerId;
+            this.teams[i] = "TeamA";
+        });
+        away.forEach((player, i) => {
+            this.ids[home.length + i] = player.playerId;
+            this.teams[home.length + i] = "TeamB";
+        });
+        this.ids[slots - 1] = "ball";
+        this.teams[slots - 1] = null;
+
+        this.readPositions(this.rawState, this.raw);
+        this.last.set(this.raw);
+        this.layerMoves.forEach(moves => moves.fill(0));
+        this.measured = true;
+    }
+
+    // Copy the positions of a state into x, y pairs in slot order (NaN where missing)
+    readPositions(state, target, ballPosition = null) {
+        const home = state?.homeTeam?.players || [];
+        const away = state?.awayTeam?.players || [];
+        const slots = target.length / 2;
+        for (let i = 0; i < slots - 1; i++) {
+            const player = i < home.length ? home[i] : away[i - home.length];
+            const position = player?.playerId === this.ids[i] ? player.position : null;
+            target[i * 2] = position ? position.x : NaN;
+            target[i * 2 + 1] = position ? position.y : NaN;
+        }
+        const ball = ballPosition || state?.ball?.position;
+        target[slots * 2 - 2] = ball ? ball.x : NaN;
+        target[slots * 2 - 1] = ball ? ball.y : NaN;
+    }
+
+    /**
+     * Attribute the moves since the last measurement to a layer
+     * @param {string} layer - One of POSITION_LAYERS
+     * @param {object} state - The state the layer works on
+     * @param {object} [ballPosition] - Drawn ball position when it differs from the state's
+     */
+    measure(layer, state, ballPosition = null) {
+        const moves = this.layerMoves.get(layer);
+        if (!this.measured || !moves) return;
+        this.readPositions(state, this.presented, ballPosition);
+        for (let i = 0; i < this.presented.length; i++) {
+            const move = this.presented[i] - this.last[i];
+            if (Number.isFinite(move)) {
+                moves[i] += move;
+            }
+        }
+        this.last.set(this.presented);
+    }
+
+    // Finish the frame with what is drawn: update the per-layer peaks
+    finish(state, animatedBallPosition = null) {
+        if (!this.measured) return;
+        if (animatedBallPosition) {
+            this.measure("ballAnimation", state, animatedBallPosition);
+        }
+        this.readPositions(state, this.presented, animatedBallPosition);
+        this.layerMoves.forEach((moves, layer) => {
+            for (let slot = 0; slot < this.ids.length; slot++) {
+                const distance = this.toMetres(moves[slot * 2], moves[slot * 2 + 1]);
+                if (distance > (this.peaks.get(layer) || 0)) {
+                    this.peaks.set(layer, distance);
+                }
+            }
+        });
+    }
+
+    toMetres(dx, dy) {
+        const x = dx * this.length;
+        const y = dy * this.width;
+        return Math.sqrt(x * x + y * y);
+    }
+
+    /**
+     * How far each layer moved every player and the ball in the last frame
+     * @returns {object} { mode, layers: { [layer]: { mean, max, moved, peak } }, players: [{ playerId, teamId,
+     *     raw: { x, y }, presented: { x, y }, displacement, layers: { [layer]: metres } }] } (distances in metres;
+     *     moved counts players shifted more than the line threshold, peak is the largest since the mode was switched on)
+     */
+    getReport() {
+        const players = [];
+        const layers = {};
+        POSITION_LAYERS.forEach(layer => {
+            layers[layer] = { mean: 0, max: 0, moved: 0, peak: this.peaks.get(layer) || 0 };
+        });
+        if (!this.measured) {
+            return { mode: this.mode, layers, players };
+        }
+
+        for (let slot = 0; slot < this.ids.length; slot++) {
+            const rawX = this.raw[slot * 2];
+            const rawY = this.raw[slot * 2 + 1];
+            const shownX = this.presented[slot * 2];
+            const shownY = this.presented[slot * 2 + 1];
+            const entry = {
+                playerId: this.ids[slot],
+                teamId: this.teams[slot],
+                raw: Number.isNaN(rawX) ? null : { x: rawX, y: rawY },
+                presented: Number.isNaN(shownX) ? null : { x: shownX, y: shownY },
+                displacement: Number.isNaN(rawX) || Number.isNaN(shownX) ? 0 : this.toMetres(shownX - rawX, shownY - rawY),
+                layers: {}
+            };
+            this.layerMoves.forEach((moves, layer) => {
+                const distance = this.toMetres(moves[slot * 2], moves[slot * 2 + 1]);
+                entry.layers[layer] = distance;
+                layers[layer].mean += distance / this.ids.length;
+                layers[layer].max = Math.max(layers[layer].max, distance);
+                if (distance > this.lineThreshold) layers[layer].moved++;
+            });
+            players.push(entry);
+        }
+        return { mode: this.mode, layers, players };
+    }
+
+    /**
+     * Draw the raw positions as ghosts joined to the presented ones (call inside the camera transform)
+     * @param {object} kits - { home, away } resolved kits for the ghost colours
+     */
+    draw(ctx, layout, kits) {
+        if (!this.measured) return;
+        const radius = layout.metres(RENDER_SIZES.playerRadius);
+        const thresholdSquared = this.lineThreshold * this.lineThreshold;
+
+        ctx.save();
+        ctx.lineWidth = layout.metres(RENDER_SIZES.ballOutlineWidth);
+        for (let slot = 0; slot < this.ids.length; slot++) {
+            const rawX = this.raw[slot * 2];
+            const rawY = this.raw[slot * 2 + 1];
+            if (Number.isNaN(rawX)) continue;
+            const x = layout.toCanvasX(rawX);
+            const y = layout.toCanvasY(rawY);
+            const team = this.teams[slot];
+            const colour = team === "TeamA" ? kits.home.primary : team === "TeamB" ? kits.away.primary : "white";
+
+            // Ghost: hollow, dashed marker in the team colour
+            ctx.globalAlpha = 0.8;
+            ctx.setLineDash([layout.metres(0.4), layout.metres(0.3)]);
+            ctx.strokeStyle = colour;
+            ctx.beginPath();
+            ctx.arc(x, y, team ? radius : layout.metres(RENDER_SIZES.ballRadius), 0, Math.PI * 2);
+            ctx.stroke();
+
+            // Displacement line to where it is drawn
+            const shownX = this.presented[slot * 2];
+            const shownY = this.presented[slot * 2 + 1];
+            const dx = (shownX - rawX) * this.length;
+            const dy = (shownY - rawY) * this.width;
+            if (!Number.isNaN(shownX) && dx * dx + dy * dy > thresholdSquared) {
+                ctx.setLineDash([]);
+                ctx.strokeStyle = "magenta";
+                ctx.beginPath();
+                ctx.moveTo(x, y);
+                ctx.lineTo(layout.toCanvasX(shownX), layout.toCanvasY(shownY));
+                ctx.stroke();
+            }
+        }
+        ctx.restore();
+    }
+}
+
+window.PositionLayerTracker = PositionLayerTracker;
+window.POSITION_LAYERS = POSITION_LAYERS;
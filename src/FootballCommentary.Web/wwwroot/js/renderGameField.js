@@ -1,8 +1,22 @@
 /**
  * Specialized rendering for the Football Commentary System
  * This script handles the rendering of the game state on the canvas
+ * Requires pitch.js (PitchLayout, drawPitch), kits.js (resolveTeamKits), scoreboard.js (drawScoreboard)
+ * and logging.js (clientLog) to be loaded first
  */
 
+// Kits resolved for the last kit configuration passed in (resolving logs clash warnings)
+let fieldKitsSource;
+let fieldKits = null;
+
+function getFieldKits(kits) {
+    if (!fieldKits || kits !== fieldKitsSource) {
+        fieldKitsSource = kits;
+        fieldKits = resolveTeamKits(kits);
+    }
+    return fieldKits;
+}
+
 // Add a function to force a browser repaint
 function forceRepaint() {
     // Force a browser repaint by temporarily modifying a watched DOM property
@@ -16,30 +30,33 @@ function forceRepaint() {
 }
 
 // Rename the function to avoid conflicts with gameConnection.js
-function renderGameFieldFromRenderGameFieldJs(canvas, gameState) {
+// kits: optional { home, away } kit configuration, see DEFAULT_TEAM_KITS in kits.js
+function renderGameFieldFromRenderGameFieldJs(canvas, gameState, kits) {
     if (!canvas || !gameState) {
-        console.log("Can't render: missing canvas or game state");
+        clientLog.warn("render", "Can't render: missing canvas or game state");
         return;
     }
     
-    console.log("Rendering game field with state:", gameState);
+    clientLog.debug("render", "Rendering game field", gameState);
     
     const ctx = canvas.getContext('2d');
     const width = canvas.width;
     const height = canvas.height;
+    const layout = new PitchLayout(width, height);
+    const teamKits = getFieldKits(kits);
     
     // Clear canvas and draw field
-    drawBackground(ctx, width, height);
+    drawBackground(ctx, layout);
     
     // Handle property case differences between C# and JavaScript
     // C# uses PascalCase (HomeTeam) while some JavaScript code might expect camelCase (homeTeam)
     const homeTeam = gameState.HomeTeam || gameState.homeTeam;
     const awayTeam = gameState.AwayTeam || gameState.awayTeam;
     
-    // Draw home team (red)
+    // Draw home team
     if (homeTeam && Array.isArray(homeTeam.Players || homeTeam.players)) {
         const players = homeTeam.Players || homeTeam.players;
-        console.log(`Drawing ${players.length} home players`);
+        clientLog.debug("render", `Drawing ${players.length} home players`);
         
         players.forEach((player, index) => {
             if (player) {
@@ -48,11 +65,11 @@ function renderGameFieldFromRenderGameFieldJs(canvas, gameState) {
                 
                 if (position) {
                     // Handle X/Y vs x/y property naming  
-                    const x = (position.X !== undefined ? position.X : position.x) * width;
-                    const y = (position.Y !== undefined ? position.Y : position.y) * height;
+                    const x = layout.toCanvasX(position.X !== undefined ? position.X : position.x);
+                    const y = layout.toCanvasY(position.Y !== undefined ? position.Y : position.y);
                     
                     // Draw player
-                    drawPlayer(ctx, x, y, 'red', index + 1);
+                    drawPlayer(ctx, x, y, index === 0 ? teamKits.home.goalkeeper : teamKits.home, index + 1);
                     
                     // Handle BallPossession vs ballPossession
                     const ballPossession = gameState.BallPossession || gameState.ballPossession;
@@ -66,13 +83,13 @@ function renderGameFieldFromRenderGameFieldJs(canvas, gameState) {
             }
         });
     } else {
-        console.log("No home team players to draw");
+        clientLog.debug("render", "No home team players to draw");
     }
     
-    // Draw away team (blue)
+    // Draw away team
     if (awayTeam && Array.isArray(awayTeam.Players || awayTeam.players)) {
         const players = awayTeam.Players || awayTeam.players;
-        console.log(`Drawing ${players.length} away players`);
+        clientLog.debug("render", `Drawing ${players.length} away players`);
         
         players.forEach((player, index) => {
             if (player) {
@@ -81,11 +98,11 @@ function renderGameFieldFromRenderGameFieldJs(canvas, gameState) {
                 
                 if (position) {
                     // Handle X/Y vs x/y property naming
-                    const x = (position.X !== undefined ? position.X : position.x) * width;
-                    const y = (position.Y !== undefined ? position.Y : position.y) * height;
+                    const x = layout.toCanvasX(position.X !== undefined ? position.X : position.x);
+                    const y = layout.toCanvasY(position.Y !== undefined ? position.Y : position.y);
                     
                     // Draw player
-                    drawPlayer(ctx, x, y, 'blue', index + 1);
+                    drawPlayer(ctx, x, y, index === 0 ? teamKits.away.goalkeeper : teamKits.away, index + 1);
                     
                     // Handle BallPossession vs ballPossession
                     const ballPossession = gameState.BallPossession || gameState.ballPossession;
@@ -99,7 +116,7 @@ function renderGameFieldFromRenderGameFieldJs(canvas, gameState) {
             }
         });
     } else {
-        console.log("No away team players to draw");
+        clientLog.debug("render", "No away team players to draw");
     }
     
     // Draw the ball
@@ -111,78 +128,48 @@ function renderGameFieldFromRenderGameFieldJs(canvas, gameState) {
             const x = (ballPosition.X !== undefined ? ballPosition.X : ballPosition.x);
             const y = (ballPosition.Y !== undefined ? ballPosition.Y : ballPosition.y);
             
-            console.log(`Drawing ball at (${x}, ${y})`);
-            const ballX = x * width;
-            const ballY = y * height;
+            clientLog.debug("render", `Drawing ball at (${x}, ${y})`);
+            const ballX = layout.toCanvasX(x);
+            const ballY = layout.toCanvasY(y);
             drawBall(ctx, ballX, ballY);
         }
     }
     
-    // Draw scores
-    const homeScore = homeTeam ? (homeTeam.Score || homeTeam.score || 0) : 0;
-    const awayScore = awayTeam ? (awayTeam.Score || awayTeam.score || 0) : 0;
-    drawScores(ctx, width, homeScore, awayScore);
-    
-    // Draw game time
-    const gameTime = gameState.GameTime || gameState.gameTime;
-    if (gameTime) {
-        drawGameTime(ctx, width, gameTime);
-    }
+    // Draw scores and game time
+    drawScoreboard(ctx, layout, gameState, teamKits);
     
     // Force a browser repaint to ensure the canvas updates are immediately visible
     forceRepaint();
 }
 
 // Also expose the original name for backward compatibility
-function renderGameField(canvas, gameState) {
+function renderGameField(canvas, gameState, kits) {
     // Call our renamed function
-    renderGameFieldFromRenderGameFieldJs(canvas, gameState);
+    renderGameFieldFromRenderGameFieldJs(canvas, gameState, kits);
 }
 
 // Draw the background field
-function drawBackground(ctx, width, height) {
+function drawBackground(ctx, layout) {
     // Clear canvas
-    ctx.clearRect(0, 0, width, height);
-    
-    // Draw grass background
-    ctx.fillStyle = "#4CAF50";
-    ctx.fillRect(0, 0, width, height);
+    ctx.clearRect(0, 0, layout.canvasWidth, layout.canvasHeight);
     
-    // Draw boundary line
-    ctx.strokeStyle = "white";
-    ctx.lineWidth = 2;
-    ctx.strokeRect(0, 0, width, height);
-    
-    // Draw center line
-    ctx.beginPath();
-    ctx.moveTo(width / 2, 0);
-    ctx.lineTo(width / 2, height);
-    ctx.stroke();
-    
-    // Draw center circle
-    ctx.beginPath();
-    ctx.arc(width / 2, height / 2, 50, 0, Math.PI * 2);
-    ctx.stroke();
-    
-    // Draw goal areas
-    // Left goal
-    ctx.fillStyle = "#cccccc";
-    ctx.fillRect(0, height / 2 - 40, 10, 80);
-    
-    // Right goal
-    ctx.fillRect(width - 10, height / 2 - 40, 10, 80);
+    // Draw the pitch with regulation markings
+    drawPitch(ctx, layout);
 }
 
-// Draw a player
-function drawPlayer(ctx, x, y, color, number) {
-    // Player circle
-    ctx.fillStyle = color === 'red' ? '#FF0000' : '#0000FF';
+// Draw a player in their kit ({ primary, secondary, number } from resolveTeamKits)
+function drawPlayer(ctx, x, y, kit, number) {
+    // Player circle with a trim in the secondary colour
+    ctx.fillStyle = kit.primary;
     ctx.beginPath();
     ctx.arc(x, y, 10, 0, Math.PI * 2);
     ctx.fill();
+    ctx.strokeStyle = kit.secondary;
+    ctx.lineWidth = 1.5;
+    ctx.stroke();
     
     // Player number
-    ctx.fillStyle = 'white';
+    ctx.fillStyle = kit.number;
     ctx.font = '10px Arial';
     ctx.textAlign = 'center';
     ctx.textBaseline = 'middle';
@@ -224,63 +211,3 @@ function drawBall(ctx, x, y) {
     ctx.lineTo(x, y + 3);
     ctx.stroke();
 }
-
-// Draw scores
-function drawScores(ctx, width, homeScore, awayScore) {
-    ctx.fillStyle = 'white';
-    ctx.font = 'bold 16px Arial';
-    ctx.textAlign = 'center';
-    
-    // Draw home team score on left side
-    ctx.fillText(`${homeScore}`, width * 0.25, 20);
-    
-    // Draw away team score on right side
-    ctx.fillText(`${awayScore}`, width * 0.75, 20);
-}
-
-// Draw game time
-function drawGameTime(ctx, width, gameTime) {
-    if (!gameTime) {
-        ctx.fillStyle = 'white';
-        ctx.font = 'bold 20px Arial';
-        ctx.textAlign = 'center';
-        ctx.fillText('0:00', width / 2, 20);
-        return;
-    }
-    
-    // Handle different formats of game time
-    let minutes = 0;
-    let seconds = 0;
-    
-    // Case 1: Object with totalMinutes/TotalMinutes properties (TimeSpan serialized from C#)
-    if (typeof gameTime === 'object') {
-        if (gameTime.totalMinutes !== undefined) {
-            minutes = Math.floor(gameTime.totalMinutes);
-            seconds = Math.floor(gameTime.totalSeconds % 60);
-        } else if (gameTime.TotalMinutes !== undefined) {
-            minutes = Math.floor(gameTime.TotalMinutes);
-            seconds = Math.floor(gameTime.TotalSeconds % 60);
-        }
-    } 
-    // Case 2: String in format "HH:MM:SS" or similar
-    else if (typeof gameTime === 'string' && gameTime.includes(':')) {
-        const parts = gameTime.split(':');
-        if (parts.length >= 2) {
-            minutes = parseInt(parts[parts.length - 2]) || 0;
-            seconds = parseInt(parts[parts.length - 1]) || 0;
-        }
-    }
-    // Case 3: It's just a number (seconds)
-    else if (typeof gameTime === 'number') {
-        minutes = Math.floor(gameTime / 60);
-        seconds = Math.floor(gameTime % 60);
-    }
-    
-    // Format time as MM:SS
-    const formattedTime = `${minutes}:${seconds.toString().padStart(2, '0')}`;
-    
-    ctx.fillStyle = 'white';
-    ctx.font = 'bold 20px Arial';
-    ctx.textAlign = 'center';
-    ctx.fillText(formattedTime, width / 2, 20);
-} 
\ No newline at end of file
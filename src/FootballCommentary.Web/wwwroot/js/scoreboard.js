@@ -0,0 +1,200 @@
+/**
+ * Scoreboard and match clock
+ * The one place that reads a serialized gameTime: getGameTimeSeconds turns every form the
+ * server and recordings use into seconds, and formatGameTime prints it as a match clock.
+ * drawScoreboard draws a broadcast-style bar at the top of the canvas - team colours,
+ * names, score and clock - with a badge under it while the match is paused, has ended
+ * or a goal has just been scored. Used by the live renderer (football.js) and
+ * renderGameField.js; sizes are in metres so it scales with the pitch.
+ */
+
+// Scoreboard sizes in metres (at the default 600x400 canvas about 13px text)
+const SCOREBOARD_SIZES = {
+    font: 2.4,
+    badgeFont: 1.85,
+    height: 4.4,
+    top: 0.9,
+    padding: 1.1,
+    colourBar: 0.75,
+    maxNameWidth: 18
+};
+
+// Badge per game status: label and background (a goal uses the scoring team's colour)
+const SCOREBOARD_BADGES = {
+    2: { label: "PAUSED", colour: "#FFB300" },
+    3: { label: "FULL TIME", colour: "#546E7A" },
+    4: { label: "GOAL", colour: "#E53935" }
+};
+
+/**
+ * Seconds of game time from any serialized form:
+ * a number of seconds, a TimeSpan string ("HH:MM:SS.fffffff", optionally "d.HH:MM:SS"),
+ * a numeric string, or a TimeSpan object (totalSeconds, totalMinutes, ticks or its
+ * days/hours/minutes/seconds/milliseconds parts, camelCase or PascalCase)
+ * Always a number: 0 when the value is missing or cannot be read
+ */
+function getGameTimeSeconds(gameTime) {
+    if (gameTime === null || gameTime === undefined) return 0;
+
+    if (typeof gameTime === 'number') {
+        return Number.isFinite(gameTime) ? gameTime : 0;
+    }
+
+    if (typeof gameTime === 'object') {
+        const field = name => gameTime[name] ?? gameTime[name.charAt(0).toUpperCase() + name.slice(1)];
+        if (field("totalSeconds") !== undefined) return field("totalSeconds");
+        if (field("totalMinutes") !== undefined) return field("totalMinutes") * 60;
+        if (field("ticks") !== undefined) return field("ticks") / 1e7; // 100 ns ticks
+        if (field("minutes") !== undefined || field("seconds") !== undefined) {
+            return (field("days") || 0) * 86400 + (field("hours") || 0) * 3600 + (field("minutes") || 0) * 60 +
+                (field("seconds") || 0) + (field("milliseconds") || 0) / 1000;
+        }
+        return 0;
+    }
+
+    if (typeof gameTime === 'string' && gameTime.includes(':')) {
+        // Optional leading "d." day component, then hours, minutes and (fractional) seconds
+        let days = 0;
+        let timePart = gameTime;
+        const dayMatch = /^(\d+)\.(\d+:.*)$/.exec(gameTime);
+        if (dayMatch) {
+            days = parseInt(dayMatch[1], 10);
+            timePart = dayMatch[2];
+        }
+
+        const parts = timePart.split(':').map(part => parseFloat(part) || 0);
+        let seconds = 0;
+        parts.forEach(part => {
+            seconds = seconds * 60 + part;
+        });
+        return days * 86400 + seconds;
+    }
+
+    if (typeof gameTime === 'string') {
+        return parseFloat(gameTime) || 0;
+    }
+
+    return 0;
+}
+
+// Match clock for a gameTime: whole minutes (past 60 too) and seconds, e.g. "93:07"
+function formatGameTime(gameTime) {
+    const total = Math.max(Math.floor(getGameTimeSeconds(gameTime)), 0);
+    const minutes = Math.floor(total / 60);
+    const seconds = total % 60;
+    return `${minutes}:${String(seconds).padStart(2, '0')}`;
+}
+
+/**
+ * What the scoreboard shows, read from a game state in camelCase or PascalCase
+ * @returns {object} { homeName, awayName, homeScore, awayScore, clock, status }
+ */
+function getScoreboardInfo(state) {
+    const homeTeam = state?.homeTeam || state?.HomeTeam;
+    const awayTeam = state?.awayTeam || state?.AwayTeam;
+    return {
+        homeName: homeTeam?.name || homeTeam?.Name || "Home",
+        awayName: awayTeam?.name || awayTeam?.Name || "Away",
+        homeScore: homeTeam?.score ?? homeTeam?.Score ?? 0,
+        awayScore: awayTeam?.score ?? awayTeam?.Score ?? 0,
+        clock: formatGameTime(state?.gameTime ?? state?.GameTime),
+        status: state?.status ?? state?.Status
+    };
+}
+
+// Text cut down with an ellipsis to fit maxWidth (in the current font)
+function fitScoreboardText(ctx, text, maxWidth) {
+    if (ctx.measureText(text).width <= maxWidth) return text;
+    let fitted = text;
+    while (fitted.length > 1 && ctx.measureText(`${fitted}…`).width > maxWidth) {
+        fitted = fitted.slice(0, -1);
+    }
+    return `${fitted.trimEnd()}…`;
+}
+
+/**
+ * Draw the scoreboard at the top centre of the canvas (call in screen space)
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {PitchLayout} layout
+ * @param {object} state - Game state (camelCase or PascalCase)
+ * @param {object} kits - { home, away } resolved kits, for the team colour bars
+ * @param {object} [options]
+ * @param {string} [options.scoringTeam] - "TeamA" or "TeamB": the goal badge takes that team's colour
+ */
+function drawScoreboard(ctx, layout, state, kits, options = {}) {
+    const info = getScoreboardInfo(state);
+    const size = value => layout.metres(value);
+    const font = size(SCOREBOARD_SIZES.font);
+    const height = size(SCOREBOARD_SIZES.height);
+    const padding = size(SCOREBOARD_SIZES.padding);
+    const bar = size(SCOREBOARD_SIZES.colourBar);
+    const top = size(SCOREBOARD_SIZES.top);
+    const middle = top + height / 2;
+
+    ctx.save();
+    ctx.font = `bold ${font}px Arial`;
+    ctx.textBaseline = "middle";
+
+    // Both names get the same width so the score stays in the middle
+    const maxName = size(SCOREBOARD_SIZES.maxNameWidth);
+    const homeName = fitScoreboardText(ctx, info.homeName.toUpperCase(), maxName);
+    const awayName = fitScoreboardText(ctx, info.awayName.toUpperCase(), maxName);
+    const nameWidth = Math.max(ctx.measureText(homeName).width, ctx.measureText(awayName).width);
+    const scoreText = `${info.homeScore} - ${info.awayScore}`;
+    const scoreWidth = ctx.measureText(scoreText).width + padding * 2;
+    const clockWidth = ctx.measureText(info.clock.length > 5 ? info.clock : "00:00").width + padding * 2;
+    const teamsWidth = (bar + padding * 2 + nameWidth) * 2 + scoreWidth;
+    const totalWidth = teamsWidth + clockWidth;
+    const left = (layout.canvasWidth - totalWidth) / 2;
+    const scoreLeft = left + bar + padding * 2 + nameWidth;
+
+    // Teams: colour bar, name, score box, name, colour bar
+    ctx.fillStyle = "rgba(20, 20, 30, 0.85)";
+    ctx.fillRect(left, top, teamsWidth, height);
+    ctx.fillStyle = kits.home.primary;
+    ctx.fillRect(left, top, bar, height);
+    ctx.fillStyle = kits.away.primary;
+    ctx.fillRect(left + teamsWidth - bar, top, bar, height);
+
+    ctx.fillStyle = "white";
+    ctx.textAlign = "left";
+    ctx.fillText(homeName, left + bar + padding, middle);
+    ctx.textAlign = "right";
+    ctx.fillText(awayName, left + teamsWidth - bar - padding, middle);
+
+    ctx.fillStyle = "white";
+    ctx.fillRect(scoreLeft, top, scoreWidth, height);
+    ctx.fillStyle = "#111111";
+    ctx.textAlign = "center";
+    ctx.fillText(scoreText, scoreLeft + scoreWidth / 2, middle);
+
+    // Clock
+    const clockLeft = left + teamsWidth;
+    ctx.fillStyle = "rgba(0, 0, 0, 0.85)";
+    ctx.fillRect(clockLeft, top, clockWidth, height);
+    ctx.fillStyle = "white";
+    ctx.fillText(info.clock, clockLeft + clockWidth / 2, middle);
+
+    // Status badge under the score
+    const badge = SCOREBOARD_BADGES[info.status];
+    if (badge) {
+        const scoringKit = options.scoringTeam === "TeamA" ? kits.home : options.scoringTeam === "TeamB" ? kits.away : null;
+        const background = info.status === 4 && scoringKit ? scoringKit.primary : badge.colour;
+        const badgeFont = size(SCOREBOARD_SIZES.badgeFont);
+        ctx.font = `bold ${badgeFont}px Arial`;
+        const badgeWidth = ctx.measureText(badge.label).width + padding * 2;
+        const badgeHeight = badgeFont * 1.6;
+        const badgeLeft = scoreLeft + (scoreWidth - badgeWidth) / 2;
+        ctx.fillStyle = background;
+        ctx.fillRect(badgeLeft, top + height, badgeWidth, badgeHeight);
+        ctx.fillStyle = contrastingTextColour(background);
+        ctx.fillText(badge.label, badgeLeft + badgeWidth / 2, top + height + badgeHeight / 2);
+    }
+    ctx.restore();
+}
+
+window.SCOREBOARD_SIZES = SCOREBOARD_SIZES;
+window.getGameTimeSeconds = getGameTimeSeconds;
+window.formatGameTime = formatGameTime;
+window.getScoreboardInfo = getScoreboardInfo;
+window.drawScoreboard = drawScoreboard;
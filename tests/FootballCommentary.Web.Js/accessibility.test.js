@@ -0,0 +1,143 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { RENDERER_SCRIPTS, loadScripts, makeGameState } = require("./scriptContext");
+
+const scripts = loadScripts(RENDERER_SCRIPTS);
+const PitchAccessibility = scripts.get("PitchAccessibility");
+const describePitchPosition = scripts.get("describePitchPosition");
+
+// Just enough of the DOM for the live region and the player list
+function createElement(tagName) {
+    const attributes = new Map();
+    const element = {
+        tagName,
+        children: [],
+        dataset: {},
+        textContent: "",
+        parent: null,
+        setAttribute: (name, value) => attributes.set(name, String(value)),
+        getAttribute: name => attributes.get(name) ?? null,
+        removeAttribute: name => attributes.delete(name),
+        addEventListener() {},
+        removeEventListener() {},
+        insertAdjacentElement() {},
+        appendChild(child) {
+            child.parent = element;
+            element.children.push(child);
+        },
+        remove() {
+            if (element.parent) {
+                element.parent.children = element.parent.children.filter(child => child !== element);
+            }
+        }
+    };
+    return element;
+}
+
+// Timers run by the test: fire(ms) moves the clock on and runs what is due
+const clock = { now: 0, timers: [] };
+scripts.window.document = { createElement };
+scripts.window.setTimeout = (callback, wait) => clock.timers.push({ callback, at: clock.now + wait });
+scripts.window.clearTimeout = () => {};
+
+function advance(ms) {
+    clock.now += ms;
+    const due = clock.timers.filter(timer => timer.at <= clock.now);
+    clock.timers = clock.timers.filter(timer => timer.at > clock.now);
+    due.forEach(timer => timer.callback());
+}
+
+function createAccessibility(options = {}) {
+    clock.now = 0;
+    clock.timers = [];
+    return new PitchAccessibility(createElement("canvas"), { now: () => clock.now, ...options });
+}
+
+test("positions are described from the team's own point of view", () => {
+    assert.equal(describePitchPosition({ x: 0.9, y: 0.5 }, "TeamA"), "centre, in the opponent's penalty area");
+    assert.equal(describePitchPosition({ x: 0.9, y: 0.5 }, "TeamB"), "centre, in their own penalty area");
+    assert.equal(describePitchPosition({ x: 0.5, y: 0.1 }, "TeamA"), "left wing, middle third");
+    assert.equal(describePitchPosition({ x: 0.5, y: 0.1 }, "TeamB"), "right wing, middle third");
+    assert.equal(describePitchPosition(null, "TeamA"), "position unknown");
+});
+
+test("goals and kick-offs are announced at once", () => {
+    const a11y = createAccessibility();
+    a11y.processState(makeGameState({ step: 1 }));
+    a11y.processState(makeGameState({ step: 2, status: 4, awayScore: 1 }));
+    assert.equal(a11y.liveRegion.textContent, "Goal for Away! Home 0, Away 1");
+
+    a11y.processState(makeGameState({ step: 3, status: 1, awayScore: 1, possession: "TeamA_10" }));
+    assert.equal(a11y.liveRegion.textContent, "Kick-off, Home 10 to restart");
+});
+
+test("possession announcements are rate limited and the latest one waiting wins", () => {
+    const a11y = createAccessibility({ minAnnouncementInterval: 4000 });
+    a11y.processState(makeGameState({ step: 1, possession: "TeamA_2" }));
+    a11y.processState(makeGameState({ step: 2, possession: "TeamA_3" }));
+    assert.match(a11y.liveRegion.textContent, /^Home 3, Home, has the ball/);
+
+    advance(1000);
+    a11y.processState(makeGameState({ step: 3, possession: "TeamA_4" }));
+    advance(1000);
+    a11y.processState(makeGameState({ step: 4, possession: "TeamB_6" }));
+    assert.match(a11y.liveRegion.textContent, /^Home 3/);
+    assert.equal(clock.timers.length, 1);
+
+    advance(2000);
+    assert.match(a11y.liveRegion.textContent, /^Away 6, Away, has the ball/);
+});
+
+test("an important announcement replaces a routine one still waiting", () => {
+    const a11y = createAccessibility();
+    a11y.processState(makeGameState({ step: 1, possession: "TeamA_2" }));
+    a11y.processState(makeGameState({ step: 2, possession: "TeamA_3" }));
+    advance(100);
+    a11y.processState(makeGameState({ step: 3, possession: "TeamA_4" }));
+    a11y.processState(makeGameState({ step: 4, status: 2, possession: "TeamA_4" }));
+    assert.equal(a11y.liveRegion.textContent, "Match paused");
+
+    advance(5000);
+    assert.equal(a11y.liveRegion.textContent, "Match paused");
+});
+
+test("a late state is not announced", () => {
+    const a11y = createAccessibility();
+    a11y.processState(makeGameState({ step: 10 }));
+    a11y.processState(makeGameState({ step: 11, status: 2 }));
+    a11y.processState(makeGameState({ step: 5, status: 1, possession: "TeamB_6" }));
+    assert.equal(a11y.liveRegion.textContent, "Match paused");
+});
+
+test("the player list describes every player and follows the keyboard", () => {
+    const selected = [];
+    const a11y = createAccessibility({ onSelectPlayer: playerId => selected.push(playerId) });
+    a11y.processState(makeGameState({ possession: "TeamA_1" }));
+
+    const items = a11y.playerList.children;
+    assert.equal(items.length, 22);
+    assert.match(items[0].textContent, /^Home number 1, Home 1, goalkeeper, .*, has the ball$/);
+    assert.equal(a11y.playerList.getAttribute("aria-activedescendant"), items[0].id);
+
+    const key = name => a11y.handleListKeyDown({ key: name, preventDefault() {} });
+    key("ArrowDown");
+    key("ArrowDown");
+    assert.equal(a11y.activePlayerId, "TeamA_3");
+    key("End");
+    assert.equal(a11y.activePlayerId, "TeamB_11");
+    key("Enter");
+    assert.deepEqual(selected, ["TeamB_11"]);
+
+    a11y.setSelectedPlayer("TeamB_11");
+    assert.equal(items[21].getAttribute("aria-selected"), "true");
+});
+
+test("players who leave the state leave the list", () => {
+    const a11y = createAccessibility({ listUpdateInterval: 0 });
+    a11y.processState(makeGameState());
+    const state = makeGameState({ step: 1 });
+    state.awayTeam.players.pop();
+    a11y.processState(state);
+    assert.equal(a11y.playerList.children.length, 21);
+    assert.equal(a11y.playerItems.has("TeamB_11"), false);
+});
@@ -0,0 +1,77 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadScripts } = require("./scriptContext");
+
+const PitchCamera = loadScripts(["camera.js"]).get("PitchCamera");
+
+function createCamera(options) {
+    const camera = new PitchCamera(options);
+    camera.setViewport(600, 400);
+    return camera;
+}
+
+test("screen and world coordinates convert both ways", () => {
+    const camera = createCamera();
+    camera.zoomAt(150, 100, 3);
+    const world = camera.toWorld(420, 260);
+    const screen = camera.toScreen(world.x, world.y);
+    assert.ok(Math.abs(screen.x - 420) < 1e-9);
+    assert.ok(Math.abs(screen.y - 260) < 1e-9);
+});
+
+test("zooming keeps the point under the pointer in place and stays within the limits", () => {
+    const camera = createCamera({ maxZoom: 4 });
+    const anchor = camera.toWorld(200, 150);
+    camera.zoomAt(200, 150, 2);
+    const screen = camera.toScreen(anchor.x, anchor.y);
+    assert.equal(camera.zoom, 2);
+    assert.ok(Math.abs(screen.x - 200) < 1e-9 && Math.abs(screen.y - 150) < 1e-9);
+
+    camera.zoomAt(200, 150, 10);
+    assert.equal(camera.zoom, 4);
+    camera.zoomAt(200, 150, 0.01);
+    assert.equal(camera.zoom, 1);
+});
+
+test("the view never shows anything beyond the drawing area", () => {
+    const camera = createCamera();
+    camera.panBy(-1000, -1000); // Fully zoomed out the view cannot move
+    assert.equal(camera.centerX, 300);
+
+    camera.zoomAt(300, 200, 2);
+    camera.panBy(1000, 1000);
+    assert.equal(camera.centerX, 150); // Half the zoomed view from the left edge
+    assert.equal(camera.centerY, 100);
+});
+
+test("following eases towards the target over time", () => {
+    const camera = createCamera({ followSmoothing: 100 });
+    camera.zoomAt(300, 200, 3);
+    const target = { x: 450, y: 250 };
+
+    camera.follow(target, 0);
+    assert.equal(camera.centerX, 300);
+    camera.follow(target, 100);
+    assert.ok(Math.abs(camera.centerX - (300 + 150 * (1 - Math.exp(-1)))) < 1e-9);
+    camera.follow(target, 5000);
+    assert.ok(Math.abs(camera.centerX - 450) < 1e-6);
+});
+
+test("resizing keeps the same part of the pitch in view", () => {
+    const camera = createCamera();
+    camera.zoomAt(300, 200, 2);
+    camera.panBy(-100, 0);
+    const centre = camera.centerX / 600;
+    camera.setViewport(1200, 800);
+    assert.ok(Math.abs(camera.centerX / 1200 - centre) < 1e-9);
+});
+
+test("reset shows the whole pitch and stops following", () => {
+    const camera = createCamera();
+    camera.zoomAt(100, 100, 3);
+    camera.followMode = "ball";
+    camera.reset();
+    assert.equal(camera.zoom, 1);
+    assert.equal(camera.centerX, 300);
+    assert.equal(camera.followMode, "none");
+});
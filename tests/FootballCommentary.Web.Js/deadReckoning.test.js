@@ -0,0 +1,107 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { RENDERER_SCRIPTS, loadScripts, createTestRenderer, makeGameState } = require("./scriptContext");
+
+const scripts = loadScripts(RENDERER_SCRIPTS);
+const DeadReckoning = scripts.get("DeadReckoning");
+
+const near = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} is not ${expected}`);
+
+// Observe two states 100 ms apart in which every player moved 0.01 along x
+function createMoving(options, second = {}) {
+    const reckoning = new DeadReckoning(options);
+    reckoning.observe(makeGameState({ step: 1 }), 1000);
+    const state = makeGameState({ step: 2, shift: 0.01, ...second });
+    reckoning.observe(state, second.time ?? 1100);
+    return { reckoning, state };
+}
+
+test("players carry on in their recent direction, slowing down", () => {
+    const { reckoning, state } = createMoving({ playerSlowdown: 500 });
+    const out = reckoning.extrapolate(state, 200, null);
+    const velocity = 0.01 / 100;
+    near(out.homeTeam.players[3].position.x, state.homeTeam.players[3].position.x + velocity * 500 * (1 - Math.exp(-200 / 500)));
+    near(out.homeTeam.players[3].position.y, state.homeTeam.players[3].position.y);
+    assert.equal(state.homeTeam.players[3].position.x, makeGameState({ shift: 0.01 }).homeTeam.players[3].position.x);
+});
+
+test("extrapolation stops after maxDuration", () => {
+    const { reckoning, state } = createMoving({ maxDuration: 300 });
+    const atLimit = reckoning.extrapolate(state, 300, null).homeTeam.players[3].position.x;
+    assert.equal(reckoning.extrapolate(state, 5000, null).homeTeam.players[3].position.x, atLimit);
+    assert.equal(reckoning.extrapolate(state, 0, null).homeTeam.players[3].position.x, state.homeTeam.players[3].position.x);
+});
+
+test("samples too far apart, across a status change or from another game give no motion", () => {
+    [{ time: 5000 }, { status: 2 }, { gameId: "game-2" }].forEach(second => {
+        const { reckoning, state } = createMoving({}, second);
+        const out = reckoning.extrapolate(state, 200, null);
+        assert.equal(out.homeTeam.players[3].position.x, state.homeTeam.players[3].position.x, JSON.stringify(second));
+    });
+});
+
+test("a loose ball rolls on with the server's friction and a held ball stays with its holder", () => {
+    const { reckoning, state } = createMoving({ friction: 0.9, stepDuration: 100 }, { possession: "" });
+    state.ball.velocityX = 0.01;
+    const loose = reckoning.extrapolate(state, 300, null);
+    near(loose.ball.position.x, state.ball.position.x + 0.01 * (1 - Math.pow(0.9, 3)) / 0.1);
+
+    const held = createMoving({}, { possession: "TeamA_5" });
+    const out = held.reckoning.extrapolate(held.state, 300, null);
+    const holderMoved = out.homeTeam.players[4].position.x - held.state.homeTeam.players[4].position.x;
+    near(out.ball.position.x - held.state.ball.position.x, holderMoved);
+});
+
+test("positions stay on the pitch", () => {
+    const reckoning = new DeadReckoning();
+    const first = makeGameState({ step: 1, shift: 0.3 });
+    const second = makeGameState({ step: 2, shift: 0.38 });
+    reckoning.observe(first, 0);
+    reckoning.observe(second, 100);
+    const out = reckoning.extrapolate(second, 1000, null);
+    assert.equal(out.awayTeam.players[10].position.x, 1);
+});
+
+test("blending eases from the captured positions onto the real ones", () => {
+    const reckoning = new DeadReckoning({ blendDuration: 300 });
+    reckoning.capture(makeGameState({ shift: 0.1 }));
+    reckoning.startBlend(1000);
+
+    const real = () => makeGameState();
+    let state = real();
+    assert.equal(reckoning.blend(state, 1000), true);
+    near(state.homeTeam.players[2].position.x, makeGameState({ shift: 0.1 }).homeTeam.players[2].position.x);
+
+    state = real();
+    reckoning.blend(state, 1150);
+    near(state.ball.position.x, 0.5 + 0.1 * Math.pow(0.5, 3));
+
+    state = real();
+    assert.equal(reckoning.blend(state, 1300), false);
+    assert.equal(state.ball.position.x, 0.5);
+});
+
+test("reset forgets all motion", () => {
+    const { reckoning, state } = createMoving();
+    reckoning.startBlend(0);
+    reckoning.reset();
+    assert.equal(reckoning.extrapolate(state, 200, null).homeTeam.players[3].position.x, state.homeTeam.players[3].position.x);
+    assert.equal(reckoning.isBlending(10), false);
+});
+
+test("the renderer extrapolates while the feed stalls and blends back when it resumes", () => {
+    const { renderer, send, run } = createTestRenderer(scripts.get("GameRenderer"), { jitterBuffer: false, serverUpdateThreshold: 300 });
+    for (let step = 1; step <= 4; step++) {
+        send(makeGameState({ step, shift: step * 0.005 }));
+        run(100);
+    }
+    run(400);
+    assert.equal(renderer.getUpdateStats().extrapolating, true);
+    const drawn = renderer.renderedState.homeTeam.players[3].position.x;
+    assert.ok(drawn > makeGameState({ shift: 0.02 }).homeTeam.players[3].position.x);
+
+    send(makeGameState({ step: 9, shift: 0.045 }));
+    run(16);
+    assert.equal(renderer.getUpdateStats().extrapolating, false);
+    assert.equal(renderer.deadReckoning.isBlending(renderer.now()), true);
+});
@@ -0,0 +1,96 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+    RENDERER_SCRIPTS, loadScripts, createTestRenderer, createStubContext, createStubCanvas, makeGameState, plain
+} = require("./scriptContext");
+
+const scripts = loadScripts(RENDERER_SCRIPTS);
+const GameRenderer = scripts.get("GameRenderer");
+
+// A renderer that has played keyframes 1 to 5, 100 ms apart
+function createPlayingRenderer(options) {
+    const harness = createTestRenderer(GameRenderer, options);
+    for (let step = 1; step <= 5; step++) {
+        harness.send(makeGameState({ step }));
+        harness.run(100);
+    }
+    return harness;
+}
+
+const movePlayer = (x, y) => ({ gameId: "game-1", playerPositions: { TeamA_5: { x, y } } });
+
+test("a late full state does not become the base for deltas", () => {
+    const { renderer, send, run } = createPlayingRenderer();
+    renderer.applyDelta(movePlayer(0.3, 0.3));
+    run(16);
+    renderer.applyDelta(movePlayer(0.31, 0.3));
+    const base = renderer.deltaBaseState;
+    const pending = renderer.pendingDelta;
+
+    send(makeGameState({ step: 2, shift: 0.05 }));
+    send(makeGameState({ step: 5 }));
+
+    assert.equal(renderer.deltaBaseState, base);
+    assert.equal(renderer.pendingDelta, pending);
+    assert.deepEqual({ ...renderer.pendingDelta.playerPositions.TeamA_5 }, { x: 0.31, y: 0.3 });
+});
+
+test("the newest full state replaces the delta base and the deltas waiting on the old one", () => {
+    const { renderer, send } = createPlayingRenderer();
+    renderer.applyDelta(movePlayer(0.3, 0.3));
+    const keyframe = makeGameState({ step: 6 });
+    send(keyframe);
+    assert.equal(renderer.deltaBaseState, keyframe);
+    assert.equal(renderer.pendingDelta, null);
+});
+
+test("deltas before the first keyframe, for another game or for unknown players are dropped", () => {
+    const { renderer, send } = createTestRenderer(GameRenderer, { jitterBuffer: false });
+    assert.equal(renderer.applyDelta(movePlayer(0.3, 0.3)), false);
+
+    send(makeGameState());
+    assert.equal(renderer.applyDelta({ gameId: "game-2", playerPositions: { TeamA_5: { x: 0.3, y: 0.3 } } }), false);
+    assert.equal(renderer.applyDelta({ gameId: "game-1", playerPositions: { TeamC_1: { x: 0.3, y: 0.3 } } }), false);
+    assert.equal(renderer.getUpdateStats().droppedDeltas, 3);
+    assert.equal(renderer.pendingDelta, null);
+});
+
+test("a burst of deltas becomes one state on the next frame, sharing what did not change", () => {
+    const { renderer, send, run } = createTestRenderer(GameRenderer, { jitterBuffer: false });
+    const keyframe = makeGameState();
+    send(keyframe);
+    run(16);
+    const received = renderer.getUpdateStats().received;
+
+    renderer.applyDelta(movePlayer(0.3, 0.3));
+    renderer.applyDelta({ gameId: "game-1", playerPositions: { TeamA_6: { x: 0.35, y: 0.4 } } });
+    renderer.applyDelta({ gameId: "game-1", ball: { position: { x: 0.31, y: 0.3 }, velocityX: 0.01 }, gameTime: "00:00:01" });
+    run(16);
+
+    const state = renderer.latestGameState;
+    assert.equal(renderer.getUpdateStats().received, received + 1);
+    assert.deepEqual(plain(state.homeTeam.players[4].position), { x: 0.3, y: 0.3 });
+    assert.deepEqual(plain(state.homeTeam.players[5].position), { x: 0.35, y: 0.4 });
+    assert.equal(state.homeTeam.players[0], keyframe.homeTeam.players[0]);
+    assert.equal(state.awayTeam, keyframe.awayTeam);
+    assert.deepEqual(plain(state.ball), { position: { x: 0.31, y: 0.3 }, velocityX: 0.01, velocityY: 0 });
+    assert.equal(state.gameTime, "00:00:01");
+    assert.equal(state.lastUpdateTime, null);
+    assert.equal(keyframe.homeTeam.players[4].position.x, makeGameState().homeTeam.players[4].position.x);
+});
+
+test("the hub entry points route deltas to the game's canvas", () => {
+    const attachMatchCanvas = scripts.get("attachMatchCanvas");
+    attachMatchCanvas("game-3", createStubCanvas(), { context: createStubContext(), responsive: false, accessibility: false });
+    const renderer = scripts.get("getMatchRenderer")("game-3");
+    renderer.update(makeGameState({ gameId: "game-3" }));
+
+    assert.equal(scripts.get("updatePlayerPosition")("game-3", "TeamB_2", { x: 0.7, y: 0.2 }), true);
+    assert.equal(scripts.get("updateBallPosition")("game-3", { x: 0.6, y: 0.4 }, { x: 0.02, y: -0.01 }), true);
+    assert.equal(scripts.get("updatePlayerPosition")("game-3", "TeamB_2", null), false);
+    assert.deepEqual(plain(renderer.pendingDelta), {
+        playerPositions: { TeamB_2: { x: 0.7, y: 0.2 } },
+        ball: { position: { x: 0.6, y: 0.4 }, velocityX: 0.02, velocityY: -0.01 }
+    });
+    scripts.get("detachMatchCanvas")("game-3");
+});
@@ -0,0 +1,121 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { RENDERER_SCRIPTS, loadScripts, createStubContext, plain } = require("./scriptContext");
+
+const scripts = loadScripts(RENDERER_SCRIPTS);
+const PitchEventMarkers = scripts.get("PitchEventMarkers");
+const PitchLayout = scripts.get("PitchLayout");
+
+const layout = new PitchLayout(600, 400);
+const kits = { home: { primary: "#d00000" }, away: { primary: "#0030c0" } };
+
+// Stub context that records the alpha of every filled marker
+function createRecordingContext() {
+    const ctx = createStubContext();
+    const fills = [];
+    ctx.fill = () => fills.push({ alpha: ctx.globalAlpha, colour: ctx.fillStyle });
+    return { ctx, fills };
+}
+
+const event = (eventType, x = 0.5, y = 0.5, teamId = "TeamA") => ({ eventType, teamId, playerId: 7, position: { x, y } });
+
+test("events with a marker type and a position are kept, clamped to the pitch", () => {
+    const markers = new PitchEventMarkers();
+    assert.equal(markers.add(event(4), 0), true); // Shot, by enum number
+    assert.equal(markers.add(event("Save", 1.2, -0.1), 0), true);
+    assert.equal(markers.add(event("Pass"), 0), false);
+    assert.equal(markers.add({ eventType: "Foul", teamId: "TeamB" }, 0), false);
+    assert.equal(markers.add(event("Foul", NaN), 0), false);
+
+    assert.deepEqual(plain(markers.markers).map(marker => marker.type), ["Shot", "Save"]);
+    assert.deepEqual(plain(markers.markers[1]), { type: "Save", x: 1, y: 0, teamId: "TeamA", playerId: 7, time: 0 });
+});
+
+test("only the newest maxMarkers are kept", () => {
+    const markers = new PitchEventMarkers({ maxMarkers: 2 });
+    ["Shot", "Save", "Tackle"].forEach((type, i) => markers.add(event(type), i));
+    assert.deepEqual(plain(markers.markers).map(marker => marker.type), ["Save", "Tackle"]);
+});
+
+test("markers are forgotten after their lifetime", () => {
+    const markers = new PitchEventMarkers({ lifetime: 1000 });
+    markers.add(event("Shot"), 0);
+    markers.add(event("Shot"), 600);
+    markers.add(event("Foul"), 900);
+    assert.equal(markers.getStatus(999).counts.Shot, 2);
+    assert.equal(markers.getStatus(1000).counts.Shot, 1);
+    assert.equal(markers.getStatus(1000).counts.Foul, 1);
+    assert.equal(markers.getStatus(2000).counts.Foul, 0);
+    assert.equal(markers.markers.length, 0);
+});
+
+test("markers fade out as they age", () => {
+    const markers = new PitchEventMarkers({ lifetime: 10000 });
+    markers.add(event("Save", 0.3, 0.3, "TeamB"), 0);
+    markers.add(event("Save", 0.6, 0.6, null), 5000);
+    const { ctx, fills } = createRecordingContext();
+    markers.draw(ctx, layout, kits, 5000);
+
+    assert.deepEqual(fills.map(fill => fill.alpha), [0.5, 1]);
+    assert.ok(fills.every(fill => fill.colour === "#03A9F4"));
+});
+
+test("the filter chooses which types are drawn", () => {
+    const markers = new PitchEventMarkers({ filter: ["Save", "Bogus"] });
+    assert.deepEqual(plain(markers.getStatus(0).filter), ["Save"]);
+    markers.add(event("Shot"), 0);
+    markers.add(event("Save"), 0);
+
+    let recording = createRecordingContext();
+    markers.draw(recording.ctx, layout, kits, 0);
+    assert.equal(recording.fills.length, 1);
+
+    assert.equal(markers.toggleType("Shot"), true);
+    assert.equal(markers.toggleType("Save"), false);
+    assert.equal(markers.toggleType("Bogus"), false);
+    assert.deepEqual(plain(markers.getStatus(0).filter), ["Shot"]);
+
+    markers.setFilter(null);
+    assert.equal(markers.getStatus(0).filter.length, 6);
+
+    markers.hide();
+    recording = createRecordingContext();
+    markers.draw(recording.ctx, layout, kits, 0);
+    assert.equal(recording.fills.length, 0);
+});
+
+test("the legend appears with markers or a filter and lists the counts", () => {
+    const markers = new PitchEventMarkers();
+    const ctx = createStubContext();
+    markers.drawLegend(ctx, layout, 0);
+    assert.equal(markers.legendRows.length, 0);
+
+    markers.add(event("Tackle"), 0);
+    markers.add(event("Tackle"), 0);
+    markers.drawLegend(ctx, layout, 0);
+    assert.equal(markers.legendRows.length, 6);
+    assert.ok(ctx.texts.includes("Possession lost"));
+    assert.equal(ctx.texts[ctx.texts.indexOf("Tackle") + 1], "2");
+
+    markers.clear();
+    markers.toggleType("Foul");
+    markers.drawLegend(createStubContext(), layout, 0);
+    assert.equal(markers.legendRows.length, 6);
+
+    markers.legend = false;
+    markers.drawLegend(createStubContext(), layout, 0);
+    assert.equal(markers.legendRows.length, 0);
+});
+
+test("clicks on a legend row give its type", () => {
+    const markers = new PitchEventMarkers();
+    markers.add(event("Shot"), 0);
+    markers.drawLegend(createStubContext(), layout, 0);
+
+    const row = markers.legendRows.find(r => r.type === "Foul");
+    const x = (row.left + row.right) / 2;
+    assert.equal(markers.hitTestLegend(x, (row.top + row.bottom) / 2), "Foul");
+    assert.equal(markers.hitTestLegend(x, row.bottom), markers.legendRows[markers.legendRows.indexOf(row) + 1].type);
+    assert.equal(markers.hitTestLegend(row.right + 1, row.top), null);
+    assert.equal(markers.hitTestLegend(x, 0), null);
+});
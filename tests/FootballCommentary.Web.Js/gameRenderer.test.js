@@ -0,0 +1,141 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { RENDERER_SCRIPTS, loadScripts, createTestRenderer, makeGameState } = require("./scriptContext");
+
+const scripts = loadScripts(RENDERER_SCRIPTS);
+const GameRenderer = scripts.get("GameRenderer");
+const SharedFrameLoop = scripts.get("SharedFrameLoop");
+const createRenderer = options => createTestRenderer(GameRenderer, options);
+
+test("the scoreboard shows the score and clock of the state being played", () => {
+    const { context, send, run } = createRenderer();
+    for (let step = 1; step <= 5; step++) {
+        send(makeGameState({ step: step * 10, homeScore: 2, awayScore: 1 }));
+        run(100);
+    }
+    run(300);
+    assert.ok(context.texts.includes("2 - 1"));
+    assert.ok(context.texts.includes("0:05"));
+});
+
+test("identical and late states are not taken in", () => {
+    const { renderer, send, run } = createRenderer();
+    send(makeGameState({ step: 1 }));
+    run(16);
+    send(makeGameState({ step: 1 }));
+    send(makeGameState({ step: 2, shift: 0.01 }));
+    run(500);
+    send(makeGameState({ step: 1, shift: 0.02 }));
+
+    const stats = renderer.getUpdateStats();
+    assert.equal(stats.received, 4);
+    assert.equal(stats.accepted, 2);
+    assert.equal(stats.playback.duplicates, 1);
+    assert.equal(stats.playback.late, 1);
+});
+
+test("without the jitter buffer a goal is celebrated as it arrives", () => {
+    const { renderer, send } = createRenderer({ jitterBuffer: false });
+    send(makeGameState({ step: 1 }));
+    send(makeGameState({ step: 2, status: 4, homeScore: 1 }));
+    assert.ok(renderer.goalCelebrationStart);
+    assert.equal(renderer.goalCelebrationTeam, "TeamA");
+});
+
+test("with the jitter buffer a goal is celebrated when playback reaches it", () => {
+    const { renderer, send, run } = createRenderer();
+    for (let step = 1; step <= 5; step++) {
+        send(makeGameState({ step }));
+        run(100);
+    }
+    send(makeGameState({ step: 6, status: 4, awayScore: 1 }));
+    run(16);
+    assert.equal(renderer.goalCelebrationStart, null);
+
+    run(renderer.playbackBuffer.delay + 100);
+    assert.ok(renderer.goalCelebrationStart);
+    assert.equal(renderer.goalCelebrationTeam, "TeamB");
+    assert.equal(renderer.getOverlayStatus().active.kind, "goal");
+});
+
+test("a restart after a goal plays the kickoff formation and holds back updates", () => {
+    const { renderer, send, run } = createRenderer({ jitterBuffer: false, kickoffAnimationDuration: 500 });
+    send(makeGameState({ step: 1, status: 4, homeScore: 1 }));
+    send(makeGameState({ step: 2, status: 1, homeScore: 1 }));
+    assert.equal(renderer.matchRestarting, true);
+
+    send(makeGameState({ step: 3, status: 1, homeScore: 1, shift: 0.05 }));
+    assert.equal(renderer.getUpdateStats().droppedDuringKickoff, 1);
+
+    run(600);
+    assert.equal(renderer.matchRestarting, false);
+});
+
+test("dispose stops the loop and lets go of the canvas and states", () => {
+    const { renderer, send, run } = createRenderer();
+    send(makeGameState({ step: 1 }));
+    run(50);
+    renderer.dispose();
+    assert.equal(renderer.running, false);
+    assert.equal(renderer.ctx, null);
+    assert.equal(renderer.latestGameState, null);
+    assert.equal(renderer.getMatchRecording().length, 0);
+});
+
+test("the ball trail keeps the last moments in a fixed ring of points", () => {
+    const { renderer, run } = createRenderer();
+    const ring = renderer.ballTrail;
+    for (let i = 0; i < 300; i++) {
+        renderer.recordBallTrail(0.5 + i * 0.0001, 0.5);
+    }
+    assert.equal(renderer.ballTrail, ring);
+    assert.equal(renderer.ballTrailLength, ring.length); // Full: the oldest points were overwritten
+    assert.ok(Math.abs(renderer.getBallTrailPoint(ring.length - 1).x - 0.5299) < 1e-9);
+
+    run(700); // Older than the trail
+    renderer.recordBallTrail(0.53, 0.5);
+    assert.equal(renderer.ballTrailLength, 1);
+
+    renderer.recordBallTrail(0.53, 0.51);
+    renderer.recordBallTrail(0.9, 0.9); // A jump starts a new trail
+    assert.equal(renderer.ballTrailLength, 1);
+});
+
+test("the shared frame loop runs callbacks queued during a frame on the next one", () => {
+    let browserFrame = null;
+    const loop = new SharedFrameLoop({ requestFrame: callback => { browserFrame = callback; return 1; }, cancelFrame() {} });
+    const calls = [];
+    const again = () => calls.push("again");
+    loop.request(timestamp => {
+        calls.push(timestamp);
+        loop.request(again);
+    });
+    loop.request(() => { throw new Error("broken renderer"); });
+    loop.request(() => calls.push("after broken"));
+
+    browserFrame(16);
+    assert.deepEqual(calls, [16, "after broken"]);
+    browserFrame(32);
+    assert.deepEqual(calls, [16, "after broken", "again"]);
+});
+
+test("a pass in flight and the camera following it reuse the same position objects every frame", () => {
+    const { renderer, send, run } = createRenderer({ jitterBuffer: false });
+    renderer.zoomCamera(2); // At zoom 1 the whole pitch is in view and the camera cannot move
+    renderer.setCameraFollow("ball");
+    send(makeGameState({ step: 1, possession: "TeamA_2" }));
+    run(16);
+    send(makeGameState({ step: 2, possession: "TeamA_10" }));
+    run(16);
+
+    const ball = renderer.animatedBallPosition;
+    const cameraTarget = renderer.cameraTarget;
+    assert.ok(ball);
+    const firstX = ball.x;
+    const firstCentre = renderer.camera.centerX;
+    run(48);
+    assert.equal(renderer.animatedBallPosition, ball);
+    assert.equal(renderer.cameraTarget, cameraTarget);
+    assert.notEqual(ball.x, firstX);
+    assert.notEqual(renderer.camera.centerX, firstCentre);
+});
@@ -0,0 +1,40 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadScripts } = require("./scriptContext");
+
+const scripts = loadScripts(["logging.js", "pitch.js", "kits.js", "scoreboard.js"]);
+const getGameTimeSeconds = scripts.get("getGameTimeSeconds");
+const formatGameTime = scripts.get("formatGameTime");
+
+test("getGameTimeSeconds reads TimeSpan strings", () => {
+    assert.equal(getGameTimeSeconds("00:12:34.5670000"), 754.567);
+    assert.equal(getGameTimeSeconds("01:33:07"), 5587);
+    assert.equal(getGameTimeSeconds("1.01:00:05"), 90005);
+});
+
+test("getGameTimeSeconds reads numbers and numeric strings", () => {
+    assert.equal(getGameTimeSeconds(754.2), 754.2);
+    assert.equal(getGameTimeSeconds("754"), 754);
+});
+
+test("getGameTimeSeconds reads TimeSpan objects in either casing", () => {
+    assert.equal(getGameTimeSeconds({ totalSeconds: 61 }), 61);
+    assert.equal(getGameTimeSeconds({ TotalMinutes: 2.5 }), 150);
+    assert.equal(getGameTimeSeconds({ ticks: 6000000000 }), 600);
+    assert.equal(getGameTimeSeconds({ hours: 1, minutes: 33, seconds: 7 }), 5587);
+    assert.equal(getGameTimeSeconds({ Minutes: 4, Seconds: 2 }), 242);
+});
+
+test("getGameTimeSeconds gives 0 for missing or unreadable values", () => {
+    assert.equal(getGameTimeSeconds(null), 0);
+    assert.equal(getGameTimeSeconds(undefined), 0);
+    assert.equal(getGameTimeSeconds(NaN), 0);
+    assert.equal(getGameTimeSeconds("garbage"), 0);
+    assert.equal(getGameTimeSeconds({}), 0);
+});
+
+test("formatGameTime counts minutes past the hour", () => {
+    assert.equal(formatGameTime("01:33:07"), "93:07");
+    assert.equal(formatGameTime("00:00:09.9000000"), "0:09");
+    assert.equal(formatGameTime(null), "0:00");
+});
@@ -0,0 +1,68 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadScripts } = require("./scriptContext");
+
+const scripts = loadScripts(["logging.js", "kits.js"]);
+const resolveTeamKits = scripts.get("resolveTeamKits");
+const contrastingTextColour = scripts.get("contrastingTextColour");
+const contrastRatio = scripts.get("contrastRatio");
+const parseColour = scripts.get("parseColour");
+
+test("colours are read as hex, short hex and rgb()", () => {
+    assert.deepEqual({ ...parseColour("#f80") }, { r: 255, g: 136, b: 0 });
+    assert.deepEqual({ ...parseColour("#1E88E5") }, { r: 30, g: 136, b: 229 });
+    assert.deepEqual({ ...parseColour("rgba(10, 20, 30, 0.5)") }, { r: 10, g: 20, b: 30 });
+    assert.equal(parseColour("teal"), null);
+});
+
+test("text goes black or white, whichever has more contrast", () => {
+    assert.equal(contrastingTextColour("#FFEB3B"), "#000000");
+    assert.equal(contrastingTextColour("#0D47A1"), "#FFFFFF");
+    assert.equal(Math.round(contrastRatio("#000000", "#FFFFFF")), 21);
+});
+
+test("the default kits do not clash", () => {
+    const kits = resolveTeamKits();
+    assert.equal(kits.clash, false);
+    assert.equal(kits.switched, null);
+    assert.equal(kits.home.primary, "#FF3333");
+    assert.equal(kits.warnings.length, 0);
+});
+
+test("missing colours are filled in with a readable number and trim", () => {
+    const kits = resolveTeamKits({ home: { primary: "#FFEB3B" } });
+    assert.equal(kits.home.number, "#000000");
+    assert.equal(kits.home.secondary, "#000000");
+    assert.equal(kits.home.goalkeeper.primary, "#FFD600");
+});
+
+test("on a clash the away team changes into its alternate kit", () => {
+    const kits = resolveTeamKits({ home: { primary: "#D32F2F" }, away: { primary: "#E53935", alternate: { primary: "#FFFFFF" } } });
+    assert.equal(kits.clash, true);
+    assert.equal(kits.switched, "away");
+    assert.equal(kits.away.primary, "#FFFFFF");
+    assert.equal(kits.away.goalkeeper.primary, "#9C27B0"); // The goalkeeper keeps their kit
+    assert.match(kits.warnings[0], /away team switched/);
+});
+
+test("when the away alternate clashes too the home team changes", () => {
+    const kits = resolveTeamKits({
+        home: { primary: "#FFFFFF", alternate: { primary: "#000000" } },
+        away: { primary: "#FAFAFA", alternate: { primary: "#F5F5F5" } }
+    });
+    assert.equal(kits.switched, "home");
+    assert.equal(kits.home.primary, "#000000");
+});
+
+test("a clash no alternate resolves, and a goalkeeper like an outfield kit, are warned about", () => {
+    const kits = resolveTeamKits({
+        home: { primary: "#FFFFFF", alternate: { primary: "#FAFAFA" } },
+        away: { primary: "#FAFAFA", alternate: { primary: "#F5F5F5" } }
+    });
+    assert.equal(kits.switched, null);
+    assert.ok(kits.warnings.includes("Team kits clash and no alternate kit resolves it"));
+    assert.equal(kits.warnings.length, 1);
+
+    const keeper = resolveTeamKits({ home: { goalkeeper: { primary: "#3030F0" } } });
+    assert.ok(keeper.warnings.includes("The home goalkeeper kit is too close to an outfield kit"));
+});
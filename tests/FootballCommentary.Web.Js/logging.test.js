@@ -0,0 +1,57 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadScripts, makeGameState, plain } = require("./scriptContext");
+
+const ClientLogger = loadScripts(["logging.js"]).get("ClientLogger");
+
+const createLogger = options => new ClientLogger({ console: false, now: () => 0, ...options });
+
+test("only entries at or above their category's level are kept", () => {
+    const logger = createLogger({ level: "warn", categories: { render: "debug" } });
+    logger.info("network", "connected");
+    logger.debug("render", "frame");
+    logger.error("network", "lost");
+    assert.deepEqual(plain(logger.getEntries().map(entry => entry.message)), ["frame", "lost"]);
+});
+
+test("the ring buffers keep the newest entries and states", () => {
+    const logger = createLogger({ capacity: 3, stateCapacity: 2 });
+    ["a", "b", "c", "d", "e"].forEach(message => logger.info("general", message));
+    [1, 2, 3].forEach(step => logger.recordState(makeGameState({ step })));
+    assert.deepEqual(plain(logger.getEntries().map(entry => entry.message)), ["c", "d", "e"]);
+    assert.deepEqual(plain(logger.getStates().map(entry => entry.state.simulationStep)), [2, 3]);
+
+    logger.configure({ capacity: 2 });
+    assert.deepEqual(plain(logger.getEntries().map(entry => entry.message)), ["d", "e"]);
+});
+
+test("a capacity of 0 empties the buffers and keeps them empty", () => {
+    const logger = createLogger();
+    logger.info("general", "before");
+    logger.recordState(makeGameState());
+
+    logger.configure({ capacity: 0, stateCapacity: 0 });
+    logger.info("general", "after");
+    logger.recordState(makeGameState({ step: 1 }));
+
+    const bundle = logger.buildDiagnostics();
+    assert.equal(bundle.entries.length, 0);
+    assert.equal(bundle.states.length, 0);
+});
+
+test("a negative capacity counts as 0", () => {
+    const logger = createLogger();
+    logger.info("general", "before");
+    logger.configure({ capacity: -5 });
+    assert.equal(logger.getConfig().capacity, 0);
+    assert.equal(logger.getEntries().length, 0);
+});
+
+test("a failing diagnostics source is reported in the bundle, not thrown", () => {
+    const logger = createLogger();
+    logger.setDiagnosticsSource("renderer", () => ({ frames: 3 }));
+    logger.setDiagnosticsSource("hud", () => { throw new Error("no canvas"); });
+    const bundle = logger.buildDiagnostics();
+    assert.equal(bundle.sources.renderer.frames, 3);
+    assert.equal(bundle.sources.hud.error, "no canvas");
+});
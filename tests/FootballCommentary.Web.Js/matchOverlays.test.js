@@ -0,0 +1,145 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { RENDERER_SCRIPTS, loadScripts, makeGameState, plain } = require("./scriptContext");
+
+const scripts = loadScripts(RENDERER_SCRIPTS);
+const MatchOverlayQueue = scripts.get("MatchOverlayQueue");
+const overlayForStatusChange = scripts.get("overlayForStatusChange");
+const overlayForGameEvent = scripts.get("overlayForGameEvent");
+const getGameEventTypeName = scripts.get("getGameEventTypeName");
+
+const kits = { home: { primary: "#d00000" }, away: { primary: "#0030c0" } };
+
+const pendingKinds = (queue, now) => plain(queue.getStatus(now).pending).map(item => item.kind);
+
+test("waiting messages are ordered by priority", () => {
+    const queue = new MatchOverlayQueue();
+    queue.push({ kind: "shot", title: "SHOT" }, 0);
+    queue.push({ kind: "foul", title: "FOUL" }, 0);
+    queue.push({ kind: "save", title: "SAVE!" }, 0);
+    assert.deepEqual(pendingKinds(queue, 0), ["save", "shot", "foul"]);
+
+    queue.update(0);
+    assert.equal(queue.getStatus(0).active.kind, "save");
+    assert.deepEqual(pendingKinds(queue, 0), ["shot", "foul"]);
+});
+
+test("a higher priority message cuts the one on screen short, a lower one waits", () => {
+    const queue = new MatchOverlayQueue({ enterDuration: 300, exitDuration: 300 });
+    queue.push({ kind: "shot", title: "SHOT" }, 0);
+    queue.update(0);
+
+    queue.push({ kind: "foul", title: "FOUL" }, 400);
+    queue.update(400);
+    assert.equal(queue.active.exitAt, 1800); // Enter plus the shot's own 1500 ms
+
+    queue.push({ kind: "goal", title: "GOAL!" }, 500);
+    queue.update(799);
+    assert.equal(queue.getStatus(799).active.kind, "shot");
+    queue.update(800);
+    assert.equal(queue.getStatus(800).active.kind, "goal");
+    assert.deepEqual(pendingKinds(queue, 800), ["foul"]);
+});
+
+test("a message of the same kind inside the dedupe window fills in the first", () => {
+    const queue = new MatchOverlayQueue();
+    assert.equal(queue.push({ kind: "goal", title: "GOAL!", colour: "red" }, 0), true);
+    queue.update(0);
+    assert.equal(queue.push({ kind: "goal", title: "GOAL!", subtitle: "Home SCORES!", colour: null }, 1000), true);
+
+    assert.equal(queue.active.subtitle, "Home SCORES!");
+    assert.equal(queue.active.colour, "red");
+    assert.equal(queue.pending.length, 0);
+
+    // Shown and gone, but still inside the window: dropped rather than shown again
+    queue.update(4000);
+    assert.equal(queue.active, null);
+    assert.equal(queue.push({ kind: "goal", title: "GOAL!" }, 4500), false);
+    assert.equal(queue.push({ kind: "goal", title: "GOAL!" }, 5001), true);
+});
+
+test("kinds without a dedupe window are shown every time", () => {
+    const queue = new MatchOverlayQueue();
+    queue.push({ kind: "shot", title: "SHOT" }, 0);
+    queue.push({ kind: "shot", title: "SHOT" }, 10);
+    assert.deepEqual(pendingKinds(queue, 10), ["shot", "shot"]);
+});
+
+test("messages that waited longer than maxWait are dropped", () => {
+    const queue = new MatchOverlayQueue({ exitDuration: 300 });
+    queue.push({ kind: "paused", title: "PAUSED" }, 0);
+    queue.update(0);
+    queue.push({ kind: "shot", title: "SHOT" }, 0);
+    queue.push({ kind: "foul", title: "FOUL" }, 3000);
+
+    queue.update(3900);
+    assert.equal(queue.getStatus(3900).active.kind, "paused"); // Shown until dismissed
+    queue.dismiss("paused", 4000);
+    queue.update(4300);
+
+    // The shot waited 4300 ms (over its 4000), the foul 1300
+    assert.equal(queue.getStatus(4300).active.kind, "foul");
+    assert.equal(queue.pending.length, 0);
+});
+
+test("maxWait can be overridden per kind", () => {
+    const queue = new MatchOverlayQueue({ overlays: { shot: { maxWait: 100 } } });
+    queue.push({ kind: "shot", title: "SHOT" }, 0);
+    queue.update(101);
+    assert.equal(queue.active, null);
+});
+
+test("a full queue drops its lowest priority message", () => {
+    const queue = new MatchOverlayQueue({ maxQueued: 2 });
+    assert.equal(queue.push({ kind: "shot", title: "SHOT" }, 0), true);
+    assert.equal(queue.push({ kind: "save", title: "SAVE!" }, 0), true);
+    assert.equal(queue.push({ kind: "outOfBounds", title: "OUT OF PLAY" }, 0), false);
+    assert.equal(queue.push({ kind: "goal", title: "GOAL!" }, 0), true);
+    assert.deepEqual(pendingKinds(queue, 0), ["goal", "save"]);
+});
+
+test("visibility eases in and fades out from where the exit started", () => {
+    const queue = new MatchOverlayQueue({ enterDuration: 300, exitDuration: 300 });
+    queue.push({ kind: "shot", title: "SHOT" }, 0);
+    queue.update(0);
+    assert.equal(queue.getVisibility(queue.active, 0), 0);
+    assert.equal(queue.getVisibility(queue.active, 150), 1 - Math.pow(0.5, 3));
+
+    queue.startExit(queue.active, 150);
+    assert.equal(queue.getVisibility(queue.active, 150), 0.875);
+    assert.ok(Math.abs(queue.getVisibility(queue.active, 300) - 0.375) < 1e-9);
+    queue.update(413);
+    assert.equal(queue.active, null);
+});
+
+test("status changes map to kick-off, resumed, paused, full time and goal messages", () => {
+    const state = makeGameState({ homeScore: 1 });
+    assert.equal(overlayForStatusChange(0, state, kits).kind, "kickoff");
+    assert.equal(overlayForStatusChange(0, state, kits).subtitle, "Home 1 - 0 Away");
+    assert.equal(overlayForStatusChange(2, state, kits).kind, "resumed");
+    assert.equal(overlayForStatusChange(1, state, kits), null);
+    assert.equal(overlayForStatusChange(1, makeGameState({ status: 2 }), kits).kind, "paused");
+    assert.equal(overlayForStatusChange(1, makeGameState({ status: 3 }), kits).kind, "fullTime");
+
+    const goal = overlayForStatusChange(1, makeGameState({ status: 4 }), kits, "TeamB");
+    assert.deepEqual(plain(goal), { kind: "goal", title: "GOAL!", subtitle: "Away SCORES!", colour: "#0030c0" });
+    assert.equal(overlayForStatusChange(1, makeGameState({ status: 4 }), kits).subtitle, undefined);
+});
+
+test("game events map to messages by number or name", () => {
+    const state = makeGameState();
+    assert.equal(getGameEventTypeName(2), "Goal");
+    assert.equal(getGameEventTypeName("outofbounds"), "OutOfBounds");
+    assert.equal(getGameEventTypeName(42), null);
+
+    const goal = overlayForGameEvent({ eventType: 2, teamId: "TeamA", playerId: 7 }, state, kits);
+    assert.equal(goal.kind, "goal");
+    assert.equal(goal.subtitle, "Home SCORES!");
+    assert.equal(goal.detail, "Home 7");
+    assert.equal(goal.colour, "#d00000");
+
+    const shot = overlayForGameEvent({ eventType: "Shot", teamId: "TeamB", playerId: 99 }, state, kits);
+    assert.equal(shot.subtitle, "#99 - Away");
+    assert.equal(overlayForGameEvent({ eventType: "Pass", teamId: "TeamA", playerId: 1 }, state, kits), null);
+    assert.equal(overlayForGameEvent({ eventType: "OutOfBounds", teamId: "TeamA" }, null, kits).subtitle, "Off Home Team");
+});
@@ -0,0 +1,113 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadScripts, makeGameState, plain } = require("./scriptContext");
+
+const scripts = loadScripts(["logging.js", "scoreboard.js", "playbackBuffer.js", "matchRecordingFile.js"]);
+const exportMatchRecording = scripts.get("exportMatchRecording");
+const decodeMatchRecording = scripts.get("decodeMatchRecording");
+
+// A renderer stand-in holding the given states as its recording, 100 ms apart
+function recordingOf(states) {
+    const getGameTimeSeconds = scripts.get("getGameTimeSeconds");
+    const recording = states.map((state, index) => ({
+        gameTime: getGameTimeSeconds(state.gameTime),
+        recordedAt: 1000 + index * 100,
+        state
+    }));
+    return { getMatchRecording: () => recording.slice() };
+}
+
+// Through the file format and back, as a download and an import would
+function roundTrip(states) {
+    const file = JSON.parse(JSON.stringify(exportMatchRecording(recordingOf(states))));
+    return { file, decoded: decodeMatchRecording(file).map(entry => entry.state) };
+}
+
+const playerIds = state => [...state.homeTeam.players, ...state.awayTeam.players].map(player => player.playerId);
+
+const withoutPlayer = (state, playerId) => ({
+    ...state,
+    homeTeam: { ...state.homeTeam, players: state.homeTeam.players.filter(player => player.playerId !== playerId) }
+});
+
+test("states come back with their positions, score, status and possession", () => {
+    const states = [
+        makeGameState({ step: 1 }),
+        makeGameState({ step: 2, shift: 0.01, possession: "TeamB_3", homeScore: 1 }),
+        makeGameState({ step: 3, shift: 0.02, status: 2 })
+    ];
+    const { decoded } = roundTrip(states);
+
+    assert.equal(decoded.length, 3);
+    decoded.forEach((state, index) => {
+        const original = states[index];
+        assert.equal(state.status, original.status);
+        assert.equal(state.ballPossession, original.ballPossession);
+        assert.equal(state.homeTeam.score, original.homeTeam.score);
+        assert.equal(state.gameTime.slice(0, 8), original.gameTime.slice(0, 8));
+        assert.deepEqual(plain(playerIds(state)), playerIds(original));
+        state.homeTeam.players.forEach((player, playerIndex) => {
+            assert.ok(Math.abs(player.position.x - original.homeTeam.players[playerIndex].position.x) < 1e-4);
+        });
+    });
+});
+
+test("server times and simulation steps survive the round trip", () => {
+    const states = [makeGameState({ step: 1 }), makeGameState({ step: 2 }), makeGameState({ step: 7 })];
+    const { file, decoded } = roundTrip(states);
+
+    assert.equal(file.startedAt, states[0].lastUpdateTime);
+    assert.equal(file.frames[1].n, undefined); // Follows on from the previous step
+    assert.equal(file.frames[2].n, 7);
+    assert.deepEqual(plain(decoded.map(state => state.lastUpdateTime)), states.map(state => state.lastUpdateTime));
+    assert.deepEqual(plain(decoded.map(state => state.simulationStep)), [1, 2, 7]);
+});
+
+test("players who did not move are not written again", () => {
+    const { file, decoded } = roundTrip([makeGameState({ step: 1 }), makeGameState({ step: 2 })]);
+    assert.equal(file.frames[1].pl, undefined);
+    assert.equal(file.frames[1].b, undefined);
+    assert.deepEqual(plain(decoded[1].homeTeam.players), plain(decoded[0].homeTeam.players));
+});
+
+test("a player who drops out of the state is removed from the replay until they return", () => {
+    const { file, decoded } = roundTrip([
+        makeGameState({ step: 1 }),
+        withoutPlayer(makeGameState({ step: 2 }), "TeamA_3"),
+        withoutPlayer(makeGameState({ step: 3 }), "TeamA_3"),
+        makeGameState({ step: 4 })
+    ]);
+
+    const index = file.players.findIndex(player => player.playerId === "TeamA_3");
+    assert.deepEqual(file.frames[1].r, [index]);
+    assert.equal(file.frames[2].r, undefined);
+    assert.equal(decoded[1].homeTeam.players.length, 10);
+    assert.ok(!playerIds(decoded[2]).includes("TeamA_3"));
+
+    const returned = decoded[3].homeTeam.players.find(player => player.playerId === "TeamA_3");
+    assert.ok(returned);
+    assert.ok(Math.abs(returned.position.x - makeGameState().homeTeam.players[2].position.x) < 1e-4);
+});
+
+test("files of another format or version are refused", () => {
+    assert.throws(() => decodeMatchRecording({ format: "something-else" }), /Not a match recording/);
+    assert.throws(() => decodeMatchRecording({ format: "football-match-recording", version: 2 }), /Unsupported/);
+});
+
+test("a chosen file is read in the browser and played once the canvas asks for it", async () => {
+    const readMatchRecordingFile = scripts.get("readMatchRecordingFile");
+    const playPendingMatchRecording = scripts.get("playPendingMatchRecording");
+    const text = JSON.stringify(exportMatchRecording(recordingOf([makeGameState({ step: 1 }), makeGameState({ step: 2 })])));
+    const input = { files: [{ size: text.length, text: async () => text }] };
+
+    await assert.rejects(readMatchRecordingFile(input, text.length - 1), /more than the/);
+    await assert.rejects(readMatchRecordingFile({ files: [] }), /No recording file chosen/);
+
+    await readMatchRecordingFile(input, text.length);
+    const played = [];
+    const summary = playPendingMatchRecording({ update: state => played.push(state), start() {} });
+    assert.equal(summary.frames, 2);
+    assert.equal(played.length, 1); // The first frame at once, the rest on the recorded timer
+    assert.throws(() => playPendingMatchRecording({ update() {}, start() {} }), /No recording file has been read/);
+    scripts.get("stopMatchRecordingPlayback")();
+});
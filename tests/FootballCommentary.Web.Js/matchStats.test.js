@@ -0,0 +1,79 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadScripts, makeGameState, plain } = require("./scriptContext");
+
+const MatchStatistics = loadScripts(["logging.js", "pitch.js", "kits.js", "scoreboard.js", "matchStats.js"]).get("MatchStatistics");
+
+// Feed one state per holder, 1 s of game time (10 steps) apart
+function play(stats, holders, options = {}) {
+    holders.forEach((possession, index) => {
+        stats.processState(makeGameState({ step: (options.firstStep ?? 0) + index * 10, possession, ...options }));
+    });
+}
+
+const team = (stats, teamId) => stats.getStats().teams.find(entry => entry.teamId === teamId);
+
+test("passes between teammates are completed, to an opponent are turnovers", () => {
+    const stats = new MatchStatistics();
+    play(stats, ["TeamA_5", "TeamA_9", "TeamA_7", "TeamB_4", "TeamB_2"]);
+
+    const home = team(stats, "TeamA");
+    assert.equal(home.passesAttempted, 3);
+    assert.equal(home.passesCompleted, 2);
+    assert.equal(home.turnovers, 1);
+    assert.equal(team(stats, "TeamB").passesCompleted, 1);
+
+    const receiver = stats.getStats().players.find(player => player.playerId === "TeamA_9");
+    assert.equal(receiver.passesReceived, 1);
+    assert.equal(receiver.passesCompleted, 1);
+});
+
+test("possession time goes to the team that had the ball", () => {
+    const stats = new MatchStatistics();
+    play(stats, ["TeamA_5", "TeamA_5", "TeamA_5", "TeamB_4"]);
+    assert.equal(team(stats, "TeamA").possessionSeconds, 3);
+    assert.equal(team(stats, "TeamA").possessionPercent, 100);
+});
+
+test("loose-ball spells are bridged to the next holder", () => {
+    const stats = new MatchStatistics();
+    play(stats, ["TeamA_5", "", "", "TeamA_9"]);
+    assert.equal(team(stats, "TeamA").passesCompleted, 1);
+});
+
+test("restarts end the chain without a pass", () => {
+    const stats = new MatchStatistics();
+    play(stats, ["TeamA_5", "TeamA_9"]);
+    stats.processState(makeGameState({ step: 20, status: 4, possession: "TeamA_9" }));
+    play(stats, ["TeamB_4"], { firstStep: 30 });
+
+    const home = team(stats, "TeamA");
+    assert.equal(home.passesAttempted, 1);
+    assert.equal(home.turnovers, 0);
+    assert.equal(home.possessionChains, 1);
+    assert.equal(home.longestChain, 1);
+});
+
+test("a late state does not reset or change the statistics", () => {
+    const stats = new MatchStatistics();
+    play(stats, ["TeamA_5", "TeamA_9", "TeamA_7"]);
+    const before = plain(stats.getStats());
+    stats.processState(makeGameState({ step: 5, possession: "TeamB_4" }));
+    assert.deepEqual(plain(stats.getStats()), before);
+});
+
+test("a new game starts the statistics over", () => {
+    const stats = new MatchStatistics();
+    play(stats, ["TeamA_5", "TeamA_9"]);
+    play(stats, ["TeamB_4"], { gameId: "game-2" });
+    assert.equal(team(stats, "TeamA").passesAttempted, 0);
+});
+
+test("listeners hear about passes and a failing listener does not stop the others", () => {
+    const stats = new MatchStatistics();
+    const heard = [];
+    stats.addListener(() => { throw new Error("listener failed"); });
+    stats.addListener((snapshot, changes) => heard.push(...changes.map(change => change.type)));
+    play(stats, ["TeamA_5", "TeamA_9"]);
+    assert.deepEqual(heard, ["possession", "possession", "pass"]);
+});
@@ -0,0 +1,87 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { RENDERER_SCRIPTS, loadScripts, createTestRenderer, makeGameState } = require("./scriptContext");
+
+const GameRenderer = loadScripts(RENDERER_SCRIPTS).get("GameRenderer");
+
+// Play the possessions in turn, one state per possession, and return the renderer
+function playPossessions(possessions) {
+    const harness = createTestRenderer(GameRenderer, { jitterBuffer: false });
+    possessions.forEach((possession, index) => {
+        harness.send(makeGameState({ step: index + 1, possession }));
+        harness.run(16);
+    });
+    return harness;
+}
+
+const positionOf = (playerId, state = makeGameState()) =>
+    [...state.homeTeam.players, ...state.awayTeam.players].find(player => player.playerId === playerId).position;
+
+test("a possession change between teammates flies the ball from passer to receiver", () => {
+    const { renderer } = playPossessions(["TeamA_2", "TeamA_10"]);
+    const pass = renderer.passData;
+    assert.equal(renderer.isPassing, true);
+    assert.equal(pass.kind, "pass");
+    assert.equal(pass.receiverId, "TeamA_10");
+    assert.equal(pass.arc, true);
+    assert.equal(pass.startX, positionOf("TeamA_2").x);
+    assert.equal(pass.endY, positionOf("TeamA_10").y);
+    assert.equal(pass.duration, renderer.getPassDuration(positionOf("TeamA_2"), positionOf("TeamA_10")));
+});
+
+test("flights take longer with distance, within the shortest and longest durations", () => {
+    const renderer = createTestRenderer(GameRenderer).renderer;
+    const short = renderer.getPassDuration({ x: 0.5, y: 0.5 }, { x: 0.5, y: 0.5 });
+    const medium = renderer.getPassDuration({ x: 0.3, y: 0.5 }, { x: 0.5, y: 0.5 });
+    const long = renderer.getPassDuration({ x: 0, y: 0 }, { x: 1, y: 1 });
+    assert.equal(short, renderer.minPassDuration);
+    assert.ok(medium > short && medium < renderer.maxPassDuration);
+    assert.equal(long, renderer.maxPassDuration);
+});
+
+test("a change to an opponent is a faster, flat interception that flashes the interceptor", () => {
+    const { renderer, run } = playPossessions(["TeamA_2", "TeamB_3"]);
+    const pass = renderer.passData;
+    assert.equal(pass.kind, "interception");
+    assert.equal(pass.duration, renderer.getPassDuration(positionOf("TeamA_2"), positionOf("TeamB_3")) * 0.8);
+
+    run(pass.duration + 16);
+    assert.equal(renderer.isPassing, false);
+    assert.equal(renderer.interceptionFlash.playerId, "TeamB_3");
+});
+
+test("losing the ball to nobody rolls it to where it lies", () => {
+    const { renderer } = playPossessions(["TeamA_2", ""]);
+    const pass = renderer.passData;
+    assert.equal(pass.kind, "loose");
+    assert.equal(pass.endX, makeGameState().ball.position.x);
+    assert.equal(renderer.animatedBallPosition.kind, "loose");
+});
+
+test("a loose ball picked up is not lofted, and by the other team it counts as an interception", () => {
+    let { renderer } = playPossessions(["TeamA_2", "", "TeamA_7"]);
+    assert.equal(renderer.passData.kind, "pass");
+    assert.equal(renderer.passData.arc, false);
+
+    ({ renderer } = playPossessions(["TeamA_2", "", "TeamB_7"]));
+    assert.equal(renderer.passData.kind, "interception");
+});
+
+test("the ball follows the receiver as they move and the flight ends after its duration", () => {
+    const { renderer, send, run } = playPossessions(["TeamA_2", "TeamA_10"]);
+    const moved = makeGameState({ step: 3, possession: "TeamA_10", shift: 0.02 });
+    send(moved);
+    run(16);
+    assert.ok(renderer.passData.endX > positionOf("TeamA_10").x);
+
+    run(renderer.passData.duration);
+    assert.equal(renderer.isPassing, false);
+    assert.equal(renderer.animatedBallPosition, null);
+});
+
+test("a status change is a restart, not a pass", () => {
+    const { renderer, send, run } = playPossessions(["TeamA_2"]);
+    send(makeGameState({ step: 2, status: 2, possession: "TeamB_3" }));
+    run(16);
+    assert.equal(renderer.isPassing, false);
+});
@@ -0,0 +1,81 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadScripts, makeGameState, plain } = require("./scriptContext");
+
+const StatePlaybackBuffer = loadScripts(["playbackBuffer.js"]).get("StatePlaybackBuffer");
+
+// Push steps first..last arriving 100 ms apart with a fixed transit time
+function fill(buffer, first, last, transit = 40) {
+    const start = Date.parse(makeGameState({ step: 0 }).lastUpdateTime);
+    for (let step = first; step <= last; step++) {
+        buffer.push(makeGameState({ step }), start + step * 100 + transit);
+    }
+    return start;
+}
+
+test("states are ordered by server time and late or repeated ones are dropped", () => {
+    const buffer = new StatePlaybackBuffer();
+    const start = fill(buffer, 1, 3);
+    assert.equal(buffer.push(makeGameState({ step: 5 }), start + 540), "added");
+    assert.equal(buffer.push(makeGameState({ step: 4 }), start + 560), "reordered");
+    assert.equal(buffer.push(makeGameState({ step: 4 }), start + 570), "duplicate");
+    assert.deepEqual(plain(buffer.entries.map(entry => entry.step)), [1, 2, 3, 4, 5]);
+
+    buffer.sample(start + 2000); // Plays past everything
+    assert.equal(buffer.push(makeGameState({ step: 2 }), start + 2010), "late");
+    assert.equal(buffer.getStatus().late, 1);
+    assert.equal(buffer.getStatus().duplicates, 1);
+});
+
+test("sample interpolates between the states either side of the render time", () => {
+    const buffer = new StatePlaybackBuffer({ initialDelay: 100 });
+    const start = fill(buffer, 1, 5);
+    buffer.delay = 100; // Hold the delay still for exact times
+
+    // Render time = now - transit (40) - delay (100): 250 ms is halfway from step 2 to step 3
+    const sample = buffer.sample(start + 250 + 140);
+    assert.equal(sample.from.simulationStep, 2);
+    assert.equal(sample.to.simulationStep, 3);
+    assert.ok(Math.abs(sample.progress - 0.5) < 1e-9);
+    assert.equal(sample.underrun, false);
+});
+
+test("playback holds the newest state when it runs ahead of the feed", () => {
+    const buffer = new StatePlaybackBuffer();
+    const start = fill(buffer, 1, 3);
+    const sample = buffer.sample(start + 5000);
+    assert.equal(sample.from.simulationStep, 3);
+    assert.equal(sample.underrun, true);
+    assert.equal(buffer.getStatus().underruns, 1);
+    assert.ok(buffer.getTimePastNewest(start + 5000) > 0);
+});
+
+test("a state from another game starts a new timeline", () => {
+    const buffer = new StatePlaybackBuffer();
+    const start = fill(buffer, 1, 5);
+    assert.equal(buffer.push(makeGameState({ step: 1, gameId: "game-2" }), start + 600), "added");
+    assert.equal(buffer.entries.length, 1);
+});
+
+test("forEachReached hands over each state once, oldest first", () => {
+    const buffer = new StatePlaybackBuffer();
+    const start = fill(buffer, 1, 6);
+    buffer.delay = 100;
+    const reached = [];
+    const collect = state => reached.push(state.simulationStep);
+
+    buffer.forEachReached(start + 300 + 140, collect);
+    buffer.sample(start + 300 + 140);
+    buffer.forEachReached(start + 320 + 140, collect);
+    buffer.forEachReached(start + 600 + 140, collect);
+    assert.deepEqual(reached, [1, 2, 3, 4, 5, 6]);
+});
+
+test("states without a lastUpdateTime are timed by arrival on the server clock", () => {
+    const buffer = new StatePlaybackBuffer();
+    const start = fill(buffer, 1, 3);
+    const state = makeGameState({ step: 4 });
+    state.lastUpdateTime = null;
+    assert.equal(buffer.getStateTime(state, start + 440), start + 400);
+    assert.equal(StatePlaybackBuffer.getServerTime(state), null);
+});
@@ -0,0 +1,91 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { RENDERER_SCRIPTS, loadScripts, createTestRenderer, makeGameState } = require("./scriptContext");
+
+const GameRenderer = loadScripts(RENDERER_SCRIPTS).get("GameRenderer");
+
+// A renderer that has drawn one state, with pointer events in canvas pixels
+function createDrawnRenderer() {
+    const harness = createTestRenderer(GameRenderer, { jitterBuffer: false });
+    harness.renderer.canvas.getBoundingClientRect = () => ({ left: 0, top: 0, width: 600, height: 400 });
+    harness.send(makeGameState({ possession: "TeamA_5" }));
+    harness.run(16);
+    return harness;
+}
+
+// Where a player is drawn on screen
+function screenPoint(renderer, playerId) {
+    const player = [...renderer.renderedState.homeTeam.players, ...renderer.renderedState.awayTeam.players]
+        .find(candidate => candidate.playerId === playerId);
+    const layout = renderer.getPitchLayout();
+    return renderer.camera.toScreen(layout.toCanvasX(player.position.x), layout.toCanvasY(player.position.y));
+}
+
+const pointer = point => ({ clientX: point.x, clientY: point.y, button: 0, buttons: 0 });
+
+test("hit-testing finds the player drawn under the point, and nobody on empty grass", () => {
+    const { renderer } = createDrawnRenderer();
+    const point = screenPoint(renderer, "TeamB_4");
+    assert.equal(renderer.hitTestPlayer(point.x + 1, point.y - 1), "TeamB_4");
+    assert.equal(renderer.hitTestPlayer(2, 2), null);
+});
+
+test("hit-testing goes through the camera", () => {
+    const { renderer, run } = createDrawnRenderer();
+    renderer.zoomCamera(2);
+    run(16);
+    const point = screenPoint(renderer, "TeamA_7");
+    assert.equal(renderer.hitTestPlayer(point.x, point.y), "TeamA_7");
+});
+
+test("clicking selects a player, and clicking them again or the empty pitch clears it", () => {
+    const { renderer } = createDrawnRenderer();
+    const heard = [];
+    renderer.addSelectionListener(() => { throw new Error("listener failed"); });
+    renderer.addSelectionListener(selection => heard.push(selection && { ...selection }));
+
+    renderer.handlePointerClick(pointer(screenPoint(renderer, "TeamB_4")));
+    assert.deepEqual(heard[0], { playerId: "TeamB_4", name: "Away 4", teamId: "TeamB", teamName: "Away" });
+
+    renderer.handlePointerClick(pointer(screenPoint(renderer, "TeamB_4")));
+    assert.equal(renderer.getSelectedPlayer(), null);
+
+    renderer.selectPlayer("TeamA_2");
+    renderer.handlePointerClick(pointer({ x: 2, y: 2 }));
+    assert.equal(renderer.selectedPlayerId, null);
+    assert.equal(heard.length, 4);
+});
+
+test("the end of a drag is not a click", () => {
+    const { renderer } = createDrawnRenderer();
+    renderer.zoomCamera(2);
+    const start = screenPoint(renderer, "TeamA_3");
+    renderer.handlePointerDown(pointer(start));
+    renderer.handlePointerMove({ ...pointer({ x: start.x + 20, y: start.y }), buttons: 1 });
+    assert.equal(renderer.dragMoved, true);
+
+    renderer.handlePointerClick(pointer(screenPoint(renderer, "TeamA_3"))); // The player, moved with the pan
+    assert.equal(renderer.selectedPlayerId, null);
+    renderer.handlePointerClick(pointer(screenPoint(renderer, "TeamA_3")));
+    assert.equal(renderer.selectedPlayerId, "TeamA_3");
+});
+
+test("hovering a player shows a pointer and a tooltip with their name, team and the ball", () => {
+    const { renderer, context, run } = createDrawnRenderer();
+    renderer.handlePointerMove(pointer(screenPoint(renderer, "TeamA_5")));
+    assert.equal(renderer.hoveredPlayerId, "TeamA_5");
+    assert.equal(renderer.canvas.style.cursor, "pointer");
+
+    context.texts.length = 0;
+    run(16);
+    assert.ok(context.texts.includes("Home 5"));
+    assert.ok(context.texts.includes("On the ball"));
+
+    renderer.handlePointerMove(pointer(screenPoint(renderer, "TeamB_1")));
+    context.texts.length = 0;
+    run(16);
+    assert.ok(context.texts.some(text => / m from the ball$/.test(text)));
+
+    renderer.handlePointerMove(pointer({ x: 2, y: 2 }));
+    assert.equal(renderer.canvas.style.cursor, "");
+});
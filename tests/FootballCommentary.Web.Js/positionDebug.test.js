@@ -0,0 +1,144 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { RENDERER_SCRIPTS, loadScripts, createTestRenderer, makeGameState } = require("./scriptContext");
+
+const scripts = loadScripts(RENDERER_SCRIPTS);
+const PositionLayerTracker = scripts.get("PositionLayerTracker");
+const POSITION_LAYERS = scripts.get("POSITION_LAYERS");
+const copyGameStateInto = scripts.get("copyGameStateInto");
+
+const near = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} is not ${expected}`);
+
+// A copy of the state with one home player moved by dx, dy (pitch fractions)
+function movePlayer(state, index, dx, dy) {
+    const moved = copyGameStateInto(null, state);
+    moved.homeTeam.players[index].position.x += dx;
+    moved.homeTeam.players[index].position.y += dy;
+    return moved;
+}
+
+test("modes switch between off, both and raw and unknown modes are ignored", () => {
+    const tracker = new PositionLayerTracker();
+    assert.equal(tracker.mode, "off");
+    assert.equal(tracker.enabled, false);
+
+    tracker.setMode("raw");
+    assert.equal(tracker.mode, "raw");
+    assert.equal(tracker.enabled, true);
+
+    tracker.setMode("sideways");
+    assert.equal(tracker.mode, "raw");
+    assert.equal(new PositionLayerTracker({ mode: "both" }).mode, "both");
+});
+
+test("the report is empty until a frame is tracked", () => {
+    const report = new PositionLayerTracker({ mode: "both" }).getReport();
+    assert.equal(report.mode, "both");
+    assert.equal(report.players.length, 0);
+    POSITION_LAYERS.forEach(layer => assert.equal(report.layers[layer].max, 0, layer));
+});
+
+test("each layer is charged with the moves made since the previous measurement", () => {
+    const tracker = new PositionLayerTracker({ mode: "both" });
+    const state = makeGameState({ step: 1 });
+    tracker.begin(state);
+
+    const swarmed = movePlayer(state, 2, 0.01, 0);
+    tracker.measure("swarm", swarmed);
+    const blended = movePlayer(swarmed, 2, 0, 0.05);
+    tracker.measure("blend", blended);
+    tracker.finish(blended);
+
+    const report = tracker.getReport();
+    const player = report.players[2];
+    assert.equal(player.playerId, state.homeTeam.players[2].playerId);
+    assert.equal(player.teamId, "TeamA");
+    near(player.raw.x, state.homeTeam.players[2].position.x);
+    near(player.presented.y, state.homeTeam.players[2].position.y + 0.05);
+
+    // 0.01 of a 105 m pitch, 0.05 of a 68 m one
+    near(player.layers.swarm, 1.05);
+    near(player.layers.blend, 3.4);
+    near(player.layers.minimumDistance, 0);
+    near(player.displacement, Math.hypot(1.05, 3.4));
+
+    near(report.layers.swarm.max, 1.05);
+    near(report.layers.swarm.mean, 1.05 / report.players.length);
+    assert.equal(report.layers.swarm.moved, 1);
+    assert.equal(report.layers.kickoff.moved, 0);
+    near(report.players[0].displacement, 0);
+});
+
+test("moves below the line threshold are not counted as moved", () => {
+    const tracker = new PositionLayerTracker({ mode: "both", lineThreshold: 2 });
+    const state = makeGameState({ step: 1 });
+    tracker.begin(state);
+    const moved = movePlayer(state, 0, 0.01, 0);
+    tracker.measure("swarm", moved);
+    tracker.finish(moved);
+
+    const report = tracker.getReport();
+    near(report.layers.swarm.max, 1.05);
+    assert.equal(report.layers.swarm.moved, 0);
+});
+
+test("the ball has the last slot and the animated ball counts as ballAnimation", () => {
+    const tracker = new PositionLayerTracker({ mode: "both" });
+    const state = makeGameState({ step: 1 });
+    tracker.begin(state);
+    tracker.finish(state, { x: 0.6, y: 0.5 });
+
+    const ball = tracker.getReport().players.at(-1);
+    assert.equal(ball.playerId, "ball");
+    assert.equal(ball.teamId, null);
+    near(ball.raw.x, 0.5);
+    near(ball.presented.x, 0.6);
+    near(ball.layers.ballAnimation, 10.5);
+    near(ball.displacement, 10.5);
+});
+
+test("peaks last across frames and reset when the mode is switched back on", () => {
+    const tracker = new PositionLayerTracker({ mode: "both" });
+    const state = makeGameState({ step: 1 });
+
+    tracker.begin(state);
+    const moved = movePlayer(state, 0, 0.02, 0);
+    tracker.measure("swarm", moved);
+    tracker.finish(moved);
+
+    tracker.begin(state);
+    tracker.finish(state);
+    const report = tracker.getReport();
+    near(report.layers.swarm.max, 0);
+    near(report.layers.swarm.peak, 2.1);
+
+    tracker.setMode("off");
+    tracker.setMode("raw");
+    near(tracker.getReport().layers.swarm.peak, 0);
+});
+
+test("a custom pitch size changes the distances", () => {
+    const tracker = new PositionLayerTracker({ mode: "both", pitch: { length: 100, width: 50 } });
+    const state = makeGameState({ step: 1 });
+    tracker.begin(state);
+    const moved = movePlayer(state, 0, 0.01, 0.02);
+    tracker.measure("swarm", moved);
+    tracker.finish(moved);
+    near(tracker.getReport().players[0].layers.swarm, Math.hypot(1, 1));
+});
+
+test("the renderer reports raw server positions for every player and the ball", () => {
+    const { renderer, send, run } = createTestRenderer(scripts.get("GameRenderer"), { positionDebug: "both" });
+    const state = makeGameState({ step: 1 });
+    send(state);
+    run(100);
+
+    const report = renderer.getPositionDebugReport();
+    assert.equal(report.mode, "both");
+    assert.equal(report.players.length, state.homeTeam.players.length + state.awayTeam.players.length + 1);
+    near(report.players[0].raw.x, state.homeTeam.players[0].position.x);
+    near(report.players.at(-1).raw.x, state.ball.position.x);
+
+    renderer.setPositionDebug("off");
+    assert.equal(renderer.positionDebug.enabled, false);
+});
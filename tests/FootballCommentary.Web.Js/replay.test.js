@@ -0,0 +1,99 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { RENDERER_SCRIPTS, loadScripts, createTestRenderer, makeGameState } = require("./scriptContext");
+
+const GameRenderer = loadScripts(RENDERER_SCRIPTS).get("GameRenderer");
+
+// A renderer that has recorded game seconds 1 to count, one state every 100 ms
+function createRecordedRenderer(count = 10, options = {}) {
+    const harness = createTestRenderer(GameRenderer, { jitterBuffer: false, ...options });
+    for (let second = 1; second <= count; second++) {
+        harness.send(makeGameState({ step: second * 10, shift: second * 0.01 }));
+        harness.run(100);
+    }
+    return harness;
+}
+
+test("accepted states are recorded with their game time", () => {
+    const { renderer } = createRecordedRenderer();
+    const status = renderer.getReplayStatus();
+    assert.equal(status.isLive, true);
+    assert.equal(status.recordedStates, 10);
+    assert.equal(status.startGameTime, 1);
+    assert.equal(status.endGameTime, 10);
+    assert.equal(status.currentGameTime, 10);
+});
+
+test("seeking freezes on the first state at or after the game time, and live states keep being recorded", () => {
+    const { renderer, send, run } = createRecordedRenderer();
+    renderer.seekReplay(4.5);
+    run(200);
+
+    let status = renderer.getReplayStatus();
+    assert.equal(status.isLive, false);
+    assert.equal(status.isPlaying, false);
+    assert.equal(status.currentGameTime, 5);
+
+    send(makeGameState({ step: 110, shift: 0.11 }));
+    run(100);
+    status = renderer.getReplayStatus();
+    assert.equal(status.recordedStates, 11);
+    assert.equal(status.currentGameTime, 5);
+
+    renderer.goLive();
+    assert.equal(renderer.getReplayStatus().isLive, true);
+});
+
+test("playback from live starts at the beginning and runs at the chosen speed until the end", () => {
+    const { renderer, run } = createRecordedRenderer();
+    renderer.setReplaySpeed(2);
+    renderer.playReplay();
+    run(16); // The first frame only starts the clock
+    run(400); // 800 ms of recording at double speed
+    const status = renderer.getReplayStatus();
+    assert.equal(status.isPlaying, true);
+    assert.ok(status.currentGameTime >= 8 && status.currentGameTime <= 9, `at ${status.currentGameTime}`);
+
+    run(1000);
+    assert.equal(renderer.getReplayStatus().isPlaying, false);
+    assert.equal(renderer.getReplayStatus().currentGameTime, 10);
+});
+
+test("the replay draws positions between the recorded states around the cursor", () => {
+    const { renderer, run } = createRecordedRenderer();
+    renderer.seekReplay(3);
+    renderer.replayCursor += 50; // Halfway to game second 4
+    run(16);
+
+    const x = renderer.renderedState.homeTeam.players[0].position.x;
+    const at3 = makeGameState({ shift: 0.03 }).homeTeam.players[0].position.x;
+    const at4 = makeGameState({ shift: 0.04 }).homeTeam.players[0].position.x;
+    assert.ok(x > at3 && x < at4, `${x} is not between ${at3} and ${at4}`); // Eased, so not exactly halfway
+});
+
+test("an invalid replay speed is ignored", () => {
+    const { renderer } = createRecordedRenderer(2);
+    renderer.setReplaySpeed(0.5);
+    renderer.setReplaySpeed(-1);
+    renderer.setReplaySpeed("fast");
+    assert.equal(renderer.getReplayStatus().speed, 0.5);
+});
+
+test("past the cap the oldest states are dropped and the cursor stays on the same moment", () => {
+    const { renderer, send, run } = createRecordedRenderer(5, { maxRecordedStates: 5 });
+    renderer.seekReplay(3);
+    send(makeGameState({ step: 60, shift: 0.06 }));
+    run(100);
+
+    const status = renderer.getReplayStatus();
+    assert.equal(status.recordedStates, 5);
+    assert.equal(status.startGameTime, 2);
+    assert.equal(status.currentGameTime, 3);
+});
+
+test("play and pause do nothing before anything is recorded", () => {
+    const { renderer } = createTestRenderer(GameRenderer);
+    renderer.playReplay();
+    renderer.pauseReplay();
+    assert.equal(renderer.getReplayStatus().isLive, true);
+});
@@ -0,0 +1,173 @@
+/**
+ * Test support for the classic browser scripts in wwwroot/js
+ * loadScripts runs them, in page order, in a vm context that stands in for the window,
+ * so their globals can be reached without a browser. The clock and animation frames are
+ * driven by the test; the canvas context is a stub that records the text it is asked to draw.
+ */
+
+const fs = require("node:fs");
+const path = require("node:path");
+const vm = require("node:vm");
+
+const SCRIPT_DIRECTORY = path.join(__dirname, "..", "..", "src", "FootballCommentary.Web", "wwwroot", "js");
+
+// The scripts the live renderer needs, in _Layout.cshtml order
+const RENDERER_SCRIPTS = [
+    "logging.js", "pitch.js", "camera.js", "kits.js", "scoreboard.js", "heatmap.js", "matchStats.js",
+    "accessibility.js", "playbackBuffer.js", "deadReckoning.js", "positionDebug.js", "diagnosticsHud.js",
+    "matchOverlays.js", "eventMarkers.js", "football.js"
+];
+
+const silentConsole = { log() {}, info() {}, debug() {}, warn() {}, error() {} };
+
+/**
+ * Run scripts from wwwroot/js in a fresh context
+ * @param {string[]} files - Script file names, in load order
+ * @returns {object} { window, clock, get(name) }; get reads any top-level name, window.* or not
+ */
+function loadScripts(files) {
+    const clock = { now: 0 };
+    const context = {
+        console: silentConsole,
+        performance: { now: () => clock.now },
+        requestAnimationFrame: () => 0,
+        cancelAnimationFrame() {},
+        setTimeout: () => 0,
+        clearTimeout() {},
+        devicePixelRatio: 1
+    };
+    context.window = context;
+    vm.createContext(context);
+
+    files.forEach(file => {
+        const source = fs.readFileSync(path.join(SCRIPT_DIRECTORY, file), "utf8");
+        vm.runInContext(source, context, { filename: file });
+    });
+
+    return {
+        window: context,
+        clock,
+        get: name => vm.runInContext(name, context)
+    };
+}
+
+/**
+ * A 2D context that accepts every call
+ * Drawn text is kept in texts; measureText gives 6px per character
+ */
+function createStubContext() {
+    const texts = [];
+    const target = {
+        texts,
+        fillText: text => texts.push(String(text)),
+        measureText: text => ({ width: String(text).length * 6 }),
+        createLinearGradient: () => ({ addColorStop() {} }),
+        createRadialGradient: () => ({ addColorStop() {} }),
+        getTransform: () => ({ a: 1, b: 0, c: 0, d: 1, e: 0, f: 0 })
+    };
+    return new Proxy(target, {
+        get: (stub, key) => key in stub ? stub[key] : () => {},
+        set: (stub, key, value) => {
+            stub[key] = value;
+            return true;
+        }
+    });
+}
+
+// A canvas element with just what GameRenderer uses
+function createStubCanvas(width = 600, height = 400) {
+    return { width, height, clientWidth: width, clientHeight: height, style: {}, dataset: {} };
+}
+
+/**
+ * A GameRenderer on a stub canvas, driven by the test's clock
+ * send(state) delivers a state now; run(ms) moves the clock on, playing frames 16 ms apart
+ * @param {Function} GameRenderer - The class, from loadScripts(RENDERER_SCRIPTS)
+ * @param {object} [options] - GameRenderer options
+ * @returns {object} { renderer, context, clock, send(state), run(ms) }
+ */
+function createTestRenderer(GameRenderer, options = {}) {
+    const clock = { now: 1000 };
+    const context = createStubContext();
+    let pendingFrame = null;
+    const renderer = new GameRenderer(createStubCanvas(), {
+        context,
+        now: () => clock.now,
+        requestFrame: callback => {
+            pendingFrame = callback;
+            return 1;
+        },
+        cancelFrame: () => {
+            pendingFrame = null;
+        },
+        responsive: false,
+        accessibility: false,
+        ...options
+    });
+    renderer.start();
+
+    return {
+        renderer,
+        context,
+        clock,
+        send(state) {
+            renderer.update(state);
+        },
+        run(ms) {
+            for (let elapsed = 0; elapsed < ms; elapsed += 16) {
+                clock.now += 16;
+                const frame = pendingFrame;
+                pendingFrame = null;
+                frame?.(clock.now);
+            }
+        }
+    };
+}
+
+/**
+ * A GameState as the server sends it (camelCase)
+ * @param {object} [options]
+ * @param {number} [options.step] - Simulation step; game time and lastUpdateTime follow from it (100 ms a step)
+ * @param {number} [options.status] - GameStatus (default 1, InProgress)
+ * @param {string} [options.possession] - playerId with the ball (default "TeamA_5", "" for a loose ball)
+ * @param {number} [options.homeScore]
+ * @param {number} [options.awayScore]
+ * @param {number} [options.shift] - Added to every x position
+ * @param {string} [options.gameId]
+ */
+function makeGameState(options = {}) {
+    const step = options.step ?? 0;
+    const shift = options.shift ?? 0;
+    const team = (teamId, name, score, startX) => ({
+        teamId,
+        name,
+        score,
+        players: Array.from({ length: 11 }, (_, index) => ({
+            playerId: `${teamId}_${index + 1}`,
+            name: `${name} ${index + 1}`,
+            position: { x: startX + index * 0.03 + shift, y: 0.1 + index * 0.07 }
+        }))
+    });
+    const totalMs = step * 100;
+    const seconds = Math.floor(totalMs / 1000);
+    return {
+        gameId: options.gameId ?? "game-1",
+        status: options.status ?? 1,
+        ballPossession: options.possession ?? "TeamA_5",
+        homeTeam: team("TeamA", "Home", options.homeScore ?? 0, 0.1),
+        awayTeam: team("TeamB", "Away", options.awayScore ?? 0, 0.6),
+        ball: { position: { x: 0.5 + shift, y: 0.5 }, velocityX: 0, velocityY: 0 },
+        gameTime: `00:${String(Math.floor(seconds / 60)).padStart(2, "0")}:${String(seconds % 60).padStart(2, "0")}.${String(totalMs % 1000).padStart(3, "0")}0000`,
+        lastUpdateTime: new Date(Date.UTC(2024, 0, 1) + totalMs).toISOString(),
+        simulationStep: step
+    };
+}
+
+// Copy a value made inside the script context into this realm, for deepStrictEqual
+function plain(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+module.exports = {
+    RENDERER_SCRIPTS, loadScripts, createStubContext, createStubCanvas, createTestRenderer, makeGameState, plain
+};
@@ -0,0 +1,67 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { RENDERER_SCRIPTS, loadScripts, makeGameState } = require("./scriptContext");
+
+const StateChangeDetector = loadScripts(RENDERER_SCRIPTS).get("StateChangeDetector");
+
+test("the first state is always a change", () => {
+    const detector = new StateChangeDetector();
+    assert.equal(detector.check(makeGameState()), true);
+    assert.equal(detector.accepted, 1);
+});
+
+test("an identical state is dropped", () => {
+    const detector = new StateChangeDetector();
+    detector.check(makeGameState({ step: 3 }));
+    assert.equal(detector.check(makeGameState({ step: 3 })), false);
+    assert.equal(detector.dropped, 1);
+});
+
+test("moves within the tolerance are not a change", () => {
+    const detector = new StateChangeDetector({ tolerance: 0.001 });
+    detector.check(makeGameState());
+    assert.equal(detector.check(makeGameState({ shift: 0.0005 })), false);
+    assert.equal(detector.check(makeGameState({ shift: 0.002 })), true);
+});
+
+test("moves are measured from the last accepted state, so slow drift is still seen", () => {
+    const detector = new StateChangeDetector({ tolerance: 0.001 });
+    detector.check(makeGameState());
+    assert.equal(detector.check(makeGameState({ shift: 0.0006 })), false);
+    assert.equal(detector.check(makeGameState({ shift: 0.0012 })), true);
+});
+
+test("status, possession, score and game time changes count without any movement", () => {
+    const detector = new StateChangeDetector();
+    detector.check(makeGameState());
+    assert.equal(detector.check(makeGameState({ status: 2 })), true);
+    assert.equal(detector.check(makeGameState({ status: 2, possession: "TeamB_4" })), true);
+    assert.equal(detector.check(makeGameState({ status: 2, possession: "TeamB_4", homeScore: 1 })), true);
+    assert.equal(detector.check(makeGameState({ status: 2, possession: "TeamB_4", homeScore: 1, step: 1 })), true);
+});
+
+test("a player appearing, leaving or losing a position is a change", () => {
+    const detector = new StateChangeDetector();
+    const state = makeGameState();
+    detector.check(state);
+
+    const fewer = makeGameState();
+    fewer.awayTeam.players.pop();
+    assert.equal(detector.check(fewer), true);
+
+    const positionless = makeGameState();
+    positionless.awayTeam.players.pop();
+    positionless.homeTeam.players[2].position = null;
+    assert.equal(detector.check(positionless), true);
+});
+
+test("setTolerance ignores invalid values and reset forgets the snapshot", () => {
+    const detector = new StateChangeDetector({ tolerance: 0.01 });
+    detector.setTolerance(-1);
+    detector.setTolerance(NaN);
+    assert.equal(detector.tolerance, 0.01);
+
+    detector.check(makeGameState());
+    detector.reset();
+    assert.equal(detector.check(makeGameState()), true);
+});